@@ -0,0 +1,11 @@
+/**
+ * ALINE — Length/weight calibration
+ *
+ * Per-tier overrides on the shared table in services/calibration.js, e.g.
+ *   { 21: { words: [1, 3] } }
+ * Aline runs on the defaults, which are her v2.9.4 ceilings.
+ */
+
+const { resolveCalibration } = require('../../services/calibration');
+
+module.exports = resolveCalibration({});
@@ -0,0 +1,37 @@
+/**
+ * ALINE DE LUZ COSTA — Persona definition
+ *
+ * Loaded by services/persona-registry.js. The backchannel set, scaffold
+ * library and prompt engine config were written for Aline and double as the
+ * MRA defaults. Her dynamic identity core is the condensed one in
+ * prompt-engine.js; set promptEngine.identityCore to `prompt` to run the
+ * full long-form prompt instead.
+ */
+
+const { BACKCHANNELS } = require('../../services/backchannel');
+const scaffoldLibrary = require('../../services/scaffold-library.json');
+const { ALINE_PROMPT_CONFIG } = require('../../services/prompt-engine');
+
+module.exports = {
+  id: 'aline',
+  name: 'Aline de Luz Costa',
+  version: '2.9.4',
+  prompt: require('./prompt'),
+  calibration: require('./calibration'),
+  promptEngine: ALINE_PROMPT_CONFIG,
+  voice: {
+    voiceId: 'knPeAXsHZ6FVdoLHMtRJ',
+    modelId: 'eleven_multilingual_v2',
+    fastModelId: 'eleven_turbo_v2_5',
+    settings: {
+      stability: 0.4,
+      similarity_boost: 0.85,
+      style: 0.35,
+      use_speaker_boost: true
+    }
+  },
+  avatarId: '003760f2-027b-4259-93ef-fbd8cf3ceac3',
+  backchannels: BACKCHANNELS,
+  invariantOverrides: {},
+  scaffoldLibrary
+};
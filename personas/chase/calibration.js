@@ -0,0 +1,11 @@
+/**
+ * CHASE — Length/weight calibration
+ *
+ * Per-tier overrides on the shared table in services/calibration.js, e.g.
+ *   { 21: { words: [1, 3] } }
+ * Chase runs on the defaults; his v2.9.3 ceilings match them.
+ */
+
+const { resolveCalibration } = require('../../services/calibration');
+
+module.exports = resolveCalibration({});
@@ -0,0 +1,33 @@
+/**
+ * CHASE — Persona definition
+ *
+ * Loaded by services/persona-registry.js. Uses the default backchannel set
+ * and scaffold library until Chase-specific ones are written.
+ */
+
+const { BACKCHANNELS } = require('../../services/backchannel');
+const scaffoldLibrary = require('../../services/scaffold-library.json');
+
+module.exports = {
+  id: 'chase',
+  name: 'Chase',
+  version: '2.9.3',
+  prompt: require('./prompt'),
+  calibration: require('./calibration'),
+  promptEngine: require('./prompt-engine'),
+  voice: {
+    voiceId: 'n6PxDvHhqw89qVi3Yao2',
+    modelId: 'eleven_multilingual_v2',
+    fastModelId: 'eleven_turbo_v2_5',
+    settings: {
+      stability: 0.4,
+      similarity_boost: 0.85,
+      style: 0.35,
+      use_speaker_boost: true
+    }
+  },
+  avatarId: 'f67abeed-9640-44e6-b49e-2b02a23158f0',
+  backchannels: BACKCHANNELS,
+  invariantOverrides: {},
+  scaffoldLibrary
+};
@@ -1,11 +1,16 @@
 const supabase = require('./supabase');
 
-const CARTA_EMOTIONS = require('./carta-lexicon.json');
+const { compileMatcher, tokenize, foldText } = require('./matcher');
+const { getLexicon } = require('./lexicon');
+
+// Carta keywords are English words, matched whole ("adder" is not in "ladder")
+const CARTA_EMOTIONS = Object.entries(require('./carta-lexicon.json'))
+  .map(([emotion, keywords]) => [emotion, compileMatcher(keywords, { inflections: getLexicon('en').inflections })]);
 
 function detectCartaEmotions(text) {
-  const lower = text.toLowerCase();
-  return Object.entries(CARTA_EMOTIONS)
-    .filter(([, kws]) => kws.some(k => lower.includes(k)))
+  const tokens = tokenize(foldText(text));
+  return CARTA_EMOTIONS
+    .filter(([, matcher]) => matcher.scan(tokens).length > 0)
     .map(([e]) => e);
 }
 
@@ -19,6 +24,7 @@ const ARTIFACT_TYPES = {
   RETURN_VISIT: 'return_visit',            // User returned after 24h+
   BRAND_MENTION: 'brand_mention',          // User mentioned brand/product
   SENTIMENT_SHIFT: 'sentiment_shift',      // Significant delta during conversation
+  GATE_RESCUE: 'gate_rescue',              // Invariant gate forced a regeneration or fallback
 };
 
 // Store active conversation states
@@ -45,6 +51,7 @@ async function startAtelierConversation(sessionId, userId) {
     maxFecWeight: 0,
     strongTurnCount: 0,
     dominantEmotions: {},
+    languages: {},
   };
 
   activeConversations.set(sessionId, conversation);
@@ -83,8 +90,9 @@ async function startAtelierConversation(sessionId, userId) {
   return conversation;
 }
 
-// Log each conversation turn with sentiment
-async function logTurn(sessionId, speaker, text, sentiment, fecWeight = 0, emotionLabel = null) {
+// Log each conversation turn with sentiment, the language it was spoken in
+// and the version of the lexicon that classified it
+async function logTurn(sessionId, speaker, text, sentiment, fecWeight = 0, emotionLabel = null, language = null, lexiconVersion = null) {
   const conversation = activeConversations.get(sessionId);
   if (!conversation || !supabase) return;
 
@@ -96,6 +104,9 @@ async function logTurn(sessionId, speaker, text, sentiment, fecWeight = 0, emoti
   if (emotionLabel) {
     conversation.dominantEmotions[emotionLabel] = (conversation.dominantEmotions[emotionLabel] || 0) + 1;
   }
+  if (language && speaker === 'USER') {
+    conversation.languages[language] = (conversation.languages[language] || 0) + 1;
+  }
 
   // Track sentiment for start/end comparison
   if (conversation.turnCount === 1 && speaker === 'USER') {
@@ -114,6 +125,8 @@ async function logTurn(sessionId, speaker, text, sentiment, fecWeight = 0, emoti
     emotion_label: emotionLabel,
     fec_weight: fecWeight,
     emotion_label: emotionLabel,
+    language,
+    lexicon_version: lexiconVersion,
   });
 
   if (error) {
@@ -146,6 +159,8 @@ async function logTurn(sessionId, speaker, text, sentiment, fecWeight = 0, emoti
       sessionId,
       speaker,
       sentiment,
+      language,
+      lexiconVersion,
       turnCount: conversation.turnCount,
       textPreview: text.slice(0, 50)
     }
@@ -241,6 +256,14 @@ async function logBrandMention(sessionId, brand, context) {
   });
 }
 
+// Call this when the invariant gate rescued a turn (regeneration or goldStandard fallback)
+async function logGateRescue(sessionId, details) {
+  await detectArtifact(sessionId, ARTIFACT_TYPES.GATE_RESCUE, {
+    ...details,
+    rescuedAt: new Date().toISOString(),
+  });
+}
+
 // End conversation and calculate final metrics
 async function endAtelierConversation(sessionId) {
   const conversation = activeConversations.get(sessionId);
@@ -313,6 +336,7 @@ async function endAtelierConversation(sessionId) {
     deltaV,
     turnCount: conversation.turnCount,
     artifacts: conversation.artifacts,
+    languages: conversation.languages,
   };
 
   activeConversations.delete(sessionId);
@@ -341,6 +365,8 @@ module.exports = {
   logMemoryCallback,
   logIntentCapture,
   logBrandMention,
+  logGateRescue,
   endAtelierConversation,
   getActiveConversation,
+  detectCartaEmotions,
 };
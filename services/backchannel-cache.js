@@ -0,0 +1,210 @@
+/**
+ * Backchannel Cache Module — pre-rendered presence audio
+ *
+ * A live TTS round trip for "Mm." can take the whole 300ms Clock A budget
+ * on its own. The backchannel vocabulary is small and fixed per persona, so
+ * every token is rendered once — at startup, or read back from disk — and
+ * sendBackchannel sends the cached PCM with no network call.
+ *
+ * VARIANTS: each token is rendered several times with slightly different
+ * voice settings (stability/style), and a variant is picked at random on
+ * send, so the fifth "Mm." of a session doesn't sound like a replay of the
+ * first. Variant 0 is the persona's own settings.
+ *
+ * KEYS are content-addressed (phraseKey, phrase-cache.js) — voice id, model,
+ * settings and text — so a persona whose voice changes never plays stale
+ * audio; its old files are simply never read again.
+ *
+ *   BACKCHANNEL_VARIANTS  — renders per token (default 3, 0 disables the cache)
+ *   BACKCHANNEL_CACHE_DIR — persist renders as .pcm files (optional; memory only when unset)
+ *
+ * A miss (cache still warming, render failed at boot) falls back to live TTS
+ * in sendBackchannel, and the live render is kept as a variant.
+ *
+ * MRA Architecture: Stage 2 — backchannel-cache.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { phraseKey } = require('./phrase-cache');
+
+const DEFAULT_VARIANTS = 3;
+
+// Offsets applied on top of the persona's settings, one per variant
+const PROSODY_VARIANTS = [
+  {},
+  { stability: -0.15, style: +0.1 },   // looser, warmer
+  { stability: +0.15, style: -0.1 },   // steadier, flatter
+  { stability: -0.25, style: +0.2 },
+  { stability: +0.25, style: -0.2 }
+];
+
+function resolveVariantCount(env = process.env) {
+  const parsed = parseInt(env.BACKCHANNEL_VARIANTS, 10);
+  if (!Number.isInteger(parsed) || parsed < 0) return DEFAULT_VARIANTS;
+  return Math.min(parsed, PROSODY_VARIANTS.length);
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+// Persona settings with one variant's offsets applied
+function variantSettings(settings = {}, index) {
+  const offsets = PROSODY_VARIANTS[index] || {};
+  const result = { ...settings };
+  for (const [field, delta] of Object.entries(offsets)) {
+    if (typeof settings[field] === 'number') result[field] = clamp01(settings[field] + delta);
+  }
+  return result;
+}
+
+// Backchannels always use the fast model (see sendBackchannel)
+function voiceKey(voice) {
+  return `${voice.voiceId}:${voice.fastModelId || voice.modelId}`;
+}
+
+// Every distinct spoken token across a persona's tiers — "..." is silence
+function backchannelTokens(backchannels) {
+  const tokens = new Set();
+  for (const set of Object.values(backchannels || {})) {
+    for (const text of set.verbal || []) {
+      if (text !== '...') tokens.add(text);
+    }
+  }
+  return [...tokens];
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.tts - TTS service (see tts.js)
+ * @param {string} [options.dir] - Defaults to BACKCHANNEL_CACHE_DIR; null keeps renders in memory only
+ * @param {number} [options.variants] - Defaults to BACKCHANNEL_VARIANTS
+ *
+ * @returns {Object} { get(voice, text), add(voice, text, pcm), warm(personas), stats(), enabled }
+ */
+function createBackchannelCache(options) {
+  const {
+    tts,
+    dir = process.env.BACKCHANNEL_CACHE_DIR || null,
+    variants = resolveVariantCount()
+  } = options;
+
+  // voiceKey → Map(text → Buffer[])
+  const entries = new Map();
+  const counters = { hits: 0, misses: 0, rendered: 0, loaded: 0, failed: 0 };
+
+  if (dir && variants > 0) fs.mkdirSync(dir, { recursive: true });
+
+  function slot(voice, text) {
+    const key = voiceKey(voice);
+    if (!entries.has(key)) entries.set(key, new Map());
+    const byText = entries.get(key);
+    if (!byText.has(text)) byText.set(text, []);
+    return byText.get(text);
+  }
+
+  function filePath(voice, settings, text) {
+    return path.join(dir, `${phraseKey({ ...voice, settings }, voice.fastModelId || voice.modelId, text)}.pcm`);
+  }
+
+  async function loadOrRender(voice, text, index) {
+    const settings = variantSettings(voice.settings, index);
+    const file = dir ? filePath(voice, settings, text) : null;
+
+    if (file) {
+      try {
+        const pcm = await fs.promises.readFile(file);
+        if (pcm.length > 0) {
+          counters.loaded++;
+          return pcm;
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[BackchannelCache] Read failed ${file}:`, err.message);
+      }
+    }
+
+    // Kept here, not in the phrase cache — it would only double the memory
+    const pcm = await tts.synthesize(text, { ...voice, settings }, { fast: true, cache: false });
+    if (pcm.length === 0) throw new Error('empty audio');
+    counters.rendered++;
+
+    if (file) {
+      await fs.promises.writeFile(file, pcm).catch(err =>
+        console.error(`[BackchannelCache] Write failed ${file}:`, err.message));
+    }
+    return pcm;
+  }
+
+  /**
+   * Renders (or loads) every backchannel token of every persona. Sequential
+   * on purpose — it runs beside live traffic and shouldn't trip rate limits.
+   * Failures are logged and left as misses.
+   *
+   * @param {Object[]} personas - Full persona objects (voice, backchannels)
+   * @returns {Promise<Object>} stats()
+   */
+  async function warm(personas) {
+    if (variants === 0) return stats();
+    const startTime = Date.now();
+
+    for (const persona of personas) {
+      for (const text of backchannelTokens(persona.backchannels)) {
+        const cached = slot(persona.voice, text);
+        for (let index = cached.length; index < variants; index++) {
+          try {
+            cached.push(await loadOrRender(persona.voice, text, index));
+          } catch (err) {
+            counters.failed++;
+            console.error(`[BackchannelCache] ${persona.id} "${text}" variant ${index} failed:`, err.message);
+            break;
+          }
+        }
+      }
+    }
+
+    console.log(`[BackchannelCache] Warm in ${Date.now() - startTime}ms — ${counters.loaded} loaded, ${counters.rendered} rendered, ${counters.failed} failed`);
+    return stats();
+  }
+
+  // A random variant, or null on a miss
+  function get(voice, text) {
+    const cached = variants > 0 ? entries.get(voiceKey(voice))?.get(text) : null;
+    if (!cached || cached.length === 0) {
+      counters.misses++;
+      return null;
+    }
+    counters.hits++;
+    return cached[Math.floor(Math.random() * cached.length)];
+  }
+
+  // Keeps a live render from a miss, up to the variant limit
+  function add(voice, text, pcm) {
+    if (variants === 0 || !pcm?.length) return;
+    const cached = slot(voice, text);
+    if (cached.length < variants) cached.push(pcm);
+  }
+
+  function stats() {
+    let phrases = 0;
+    let bytes = 0;
+    for (const byText of entries.values()) {
+      for (const cached of byText.values()) {
+        phrases++;
+        bytes += cached.reduce((sum, pcm) => sum + pcm.length, 0);
+      }
+    }
+    return { enabled: variants > 0, variants, persisted: !!dir, voices: entries.size, phrases, bytes, ...counters };
+  }
+
+  return { get, add, warm, stats, enabled: variants > 0 };
+}
+
+module.exports = {
+  createBackchannelCache,
+  backchannelTokens,
+  variantSettings,
+  resolveVariantCount,
+  PROSODY_VARIANTS
+};
@@ -93,27 +93,28 @@ const BACKCHANNELS = {
 // classification output
 // ═══════════════════════════════════════════════════════
 
-function selectBackchannel(classificationResult) {
+// backchannels: a persona's set, same tiers as BACKCHANNELS
+function selectBackchannel(classificationResult, backchannels = BACKCHANNELS) {
   const { weight, mood, hasCriticalResistance, hasResistance } = classificationResult;
 
   // Resistance overrides weight-based selection
   if (hasCriticalResistance) {
-    return selectFromSet(BACKCHANNELS.resistance);
+    return selectFromSet(backchannels.resistance);
   }
 
   // Celebration mood overrides weight
   if (mood?.mode === 'JOYFUL') {
-    return selectFromSet(BACKCHANNELS.celebration);
+    return selectFromSet(backchannels.celebration);
   }
 
   // Weight-based selection
-  if (weight >= 21) return selectFromSet(BACKCHANNELS.covenant);
-  if (weight >= 13) return selectFromSet(BACKCHANNELS.relational);
-  if (weight >= 8) return selectFromSet(BACKCHANNELS.physical);
-  if (weight >= 5) return selectFromSet(BACKCHANNELS.medium);
+  if (weight >= 21) return selectFromSet(backchannels.covenant);
+  if (weight >= 13) return selectFromSet(backchannels.relational);
+  if (weight >= 8) return selectFromSet(backchannels.physical);
+  if (weight >= 5) return selectFromSet(backchannels.medium);
 
   // Default: light presence
-  return selectFromSet(BACKCHANNELS.low);
+  return selectFromSet(backchannels.low);
 }
 
 function selectFromSet(set) {
@@ -130,10 +131,14 @@ function selectFromSet(set) {
 // Must execute within Clock A budget (≤300ms from utterance end)
 // ═══════════════════════════════════════════════════════
 
-async function sendBackchannel(ws, elevenlabs, voiceId, classificationResult) {
+// tts: TTS service (tts.js); voice: the active persona's voice
+// options: { backchannels } from the active persona, { cache } from
+// backchannel-cache.js — cached audio is sent with no TTS call
+async function sendBackchannel(ws, tts, voice, classificationResult, options = {}) {
   const startTime = Date.now();
+  const { backchannels = BACKCHANNELS, cache = null } = options;
 
-  const backchannel = selectBackchannel(classificationResult);
+  const backchannel = selectBackchannel(classificationResult, backchannels);
 
   // Send avatar cue immediately (no TTS latency)
   ws.send(JSON.stringify({
@@ -153,24 +158,17 @@ async function sendBackchannel(ws, elevenlabs, voiceId, classificationResult) {
     return backchannel;
   }
 
-  // Generate minimal TTS for the backchannel
-  // Using turbo model for speed — this is a 1-2 word utterance
+  // Pre-rendered audio first; live TTS only on a miss
+  let source = 'cache';
   try {
-    const audioStream = await elevenlabs.textToSpeech.convert(
-      voiceId,
-      {
-        text: backchannel.text,
-        model_id: 'eleven_turbo_v2_5',
-        output_format: 'pcm_16000'
-      }
-    );
-
-    // Collect the tiny audio and send it as one chunk
-    const chunks = [];
-    for await (const chunk of audioStream) {
-      chunks.push(chunk);
+    let audioBuffer = cache?.get(voice, backchannel.text) || null;
+
+    if (!audioBuffer) {
+      // Using the voice's fast model — this is a 1-2 word utterance
+      source = 'live';
+      audioBuffer = await tts.synthesize(backchannel.text, voice, { fast: true });
+      cache?.add(voice, backchannel.text, audioBuffer);
     }
-    const audioBuffer = Buffer.concat(chunks);
 
     ws.send(JSON.stringify({ type: 'backchannel_audio', size: audioBuffer.length }));
     ws.send(audioBuffer);
@@ -186,10 +184,11 @@ async function sendBackchannel(ws, elevenlabs, voiceId, classificationResult) {
     type: 'backchannel_sent',
     text: backchannel.text,
     avatarCue: backchannel.avatarCue,
+    source,
     latencyMs: elapsed
   }));
 
-  console.log(`[Backchannel] Sent "${backchannel.text}" + ${backchannel.avatarCue} in ${elapsed}ms`);
+  console.log(`[Backchannel] Sent "${backchannel.text}" + ${backchannel.avatarCue} (${source}) in ${elapsed}ms`);
 
   return backchannel;
 }
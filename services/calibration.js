@@ -0,0 +1,147 @@
+/**
+ * Calibration Module — one length/weight table for the whole pipeline
+ *
+ * Before this module the pipeline carried four length models that disagreed:
+ *   - the long-form persona prompts: W1–W9 scale with word ceilings
+ *   - prompt-engine.js: Fibonacci tiers with looser word counts
+ *   - invariant-gate.js: >3 sentences at W8+, >50 words at W13+
+ *   - scaffold-library.json: per-entry maxWords
+ * Every consumer now reads its limits from here, so the gate enforces
+ * exactly what the prompt asked for.
+ *
+ * TABLE: keyed by Fibonacci tier (1/3/5/8/13/21). Each tier carries
+ *   words        — [min, max] word range; max is the hard ceiling
+ *   maxSentences — sentence ceiling
+ *   enforced     — whether the gate blocks overruns (NEVER FILLS, W8+)
+ *   legacy/note  — how the tier reads on the long-form prompts' W1–W9 scale
+ *
+ * SCAFFOLDS: a selected scaffold sets the ceiling for its situation — its
+ * maxWords replaces the tier's, and its goldStandard always fits its own
+ * limits.
+ *
+ * PERSONAS: personas/<id>/calibration.js calls resolveCalibration() with
+ * per-tier overrides.
+ *
+ * MRA Architecture: Stage 0 — calibration.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+// ═══════════════════════════════════════════════════════
+// DEFAULT TABLE — the long-form prompts' ceilings on Fibonacci tiers
+// ═══════════════════════════════════════════════════════
+
+const TIERS = [1, 3, 5, 8, 13, 21];
+
+const DEFAULT_CALIBRATION = {
+  1: { words: [12, 20], maxSentences: 3, enforced: false, legacy: 'W1-W3', note: 'maximum. Frequently shorter.' },
+  3: { words: [12, 20], maxSentences: 3, enforced: false, legacy: 'W1-W3', note: 'maximum. Frequently shorter.' },
+  5: { words: [6, 12], maxSentences: 2, enforced: false, legacy: 'W4-W6', note: 'maximum. Frequently shorter.' },
+  8: { words: [3, 7], maxSentences: 2, enforced: true, legacy: 'W7-W8', note: 'maximum. Frequently silence.' },
+  13: { words: [1, 5], maxSentences: 2, enforced: true, legacy: 'W9', note: 'or pure silence.' },
+  21: { words: [1, 5], maxSentences: 2, enforced: true, legacy: 'W9', note: 'or pure silence.' }
+};
+
+/**
+ * Merges per-tier overrides onto the default table.
+ *
+ * @param {Object} [overrides] - e.g. { 21: { words: [1, 3] } }
+ * @returns {Object} Full calibration table
+ */
+function resolveCalibration(overrides = {}) {
+  const calibration = {};
+  for (const tier of TIERS) {
+    calibration[tier] = { ...DEFAULT_CALIBRATION[tier], ...(overrides[tier] || {}) };
+  }
+  return calibration;
+}
+
+function getTier(weight) {
+  return TIERS.filter(t => t <= weight).pop() ?? TIERS[0];
+}
+
+function countWords(text) {
+  return (text || '').split(/\s+/).filter(Boolean).length;
+}
+
+function countSentences(text) {
+  return (text || '').split(/[.!?]+\s*/g).filter(s => s.trim().length > 0).length;
+}
+
+// ═══════════════════════════════════════════════════════
+// LIMITS — what one turn may produce
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {number} weight - Fibonacci weight of the turn
+ * @param {Object} [options]
+ * @param {Object} [options.calibration] - Persona table, defaults to DEFAULT_CALIBRATION
+ * @param {Object|null} [options.scaffold] - Selected scaffold
+ * @returns {Object} { tier, minWords, maxWords, maxSentences, enforced, source }
+ */
+function resolveLimits(weight, options = {}) {
+  const { calibration = DEFAULT_CALIBRATION, scaffold = null } = options;
+  const tier = getTier(weight);
+  const entry = calibration[tier];
+
+  const limits = {
+    tier,
+    minWords: entry.words[0],
+    maxWords: entry.words[1],
+    maxSentences: entry.maxSentences,
+    enforced: entry.enforced,
+    source: 'tier'
+  };
+
+  if (scaffold?.maxWords) {
+    limits.maxWords = Math.max(scaffold.maxWords, countWords(scaffold.goldStandard));
+    limits.maxSentences = Math.max(limits.maxSentences, countSentences(scaffold.goldStandard));
+    limits.minWords = Math.min(limits.minWords, limits.maxWords);
+    limits.source = 'scaffold';
+  }
+
+  return limits;
+}
+
+// ═══════════════════════════════════════════════════════
+// RENDERING — the same limits, phrased for prompts
+// ═══════════════════════════════════════════════════════
+
+// Per-turn LENGTH line for the dynamic prompt
+function describeLimits(limits) {
+  const sentences = limits.maxSentences === 1 ? 'one sentence' : `${limits.maxSentences} sentences`;
+  return `At most ${sentences} and ${limits.maxWords} words. A ceiling, not a target — shorter is usually right.`;
+}
+
+// ANSWER LENGTH BY WEIGHT block of the long-form prompts (W1–W9 scale)
+function renderLegacyScale(calibration = DEFAULT_CALIBRATION) {
+  const lines = [];
+  const seen = new Set();
+  for (const tier of TIERS) {
+    const { legacy, words, note } = calibration[tier];
+    if (seen.has(legacy)) continue;
+    seen.add(legacy);
+    lines.push(`${legacy}: ${words[0]}-${words[1]} words ${note}`);
+  }
+  return lines.join('\n');
+}
+
+// "At W8: 3-7 words. At W13: ..." for tiers the gate enforces
+function renderFillCeilings(calibration = DEFAULT_CALIBRATION) {
+  return TIERS
+    .filter(tier => calibration[tier].enforced)
+    .map(tier => `At W${tier}: ${calibration[tier].words[0]}-${calibration[tier].words[1]} words.`)
+    .join(' ');
+}
+
+module.exports = {
+  resolveCalibration,
+  resolveLimits,
+  describeLimits,
+  renderLegacyScale,
+  renderFillCeilings,
+  getTier,
+  countWords,
+  countSentences,
+  DEFAULT_CALIBRATION,
+  TIERS
+};
@@ -17,54 +17,70 @@
  *   W13 = Sociology/Voice (relational: family, romantic, trust, belonging)
  *   W21 = Psychology/Covenant (identity: who they ARE, fears, shame, existential)
  * 
- * OUTPUT: { weight, dimension, mood, resistance, confessionDepth, abtLogline, markers }
+ * OUTPUT: { weight, dimension, mood, resistance, confessionDepth, abtLogline, markers, discounted, language, lexiconVersion }
+ * Every marker carries its polarity and subject (utterance.js)
  * TARGET: <20ms execution (pure string scanning, zero API calls)
  */
 
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('./language');
+const { getLexicon } = require('./lexicon');
+const { parseUtterance, findMarkers, contextAt } = require('./utterance');
+
+// Marker lists come from lexicons/<language>.json (see lexicon.js); the
+// categories, their energy/mode/weight and descriptions are defined here.
+// Every detector takes an optional compiled lexicon, English by default,
+// and the message as text or as an already-parsed utterance.
+//
+// POLARITY AND SUBJECT (utterance.js): every reported marker carries
+// { polarity: affirmed|negated|hypothetical, subject: self|other|reported }.
+// Psychology, physiology and resistance count only when affirmed and the
+// user's own — "I'm not scared" and "my friend said she can't go on" add
+// no weight. Mood and confession count when affirmed for anyone but
+// reported speech. Sociology and footing are a topic and a stance, so
+// negation doesn't remove them: "I have no friends" is still relational,
+// "I can't make sense of it" still sense-making. Markers that matched but
+// don't count are returned as `discounted`.
+
+const SELF = { subjects: ['self'], polarities: ['affirmed'] };
+const SPOKEN = { subjects: ['self', 'other'], polarities: ['affirmed'] };
+const TOPIC = { subjects: ['self', 'other'], polarities: ['affirmed', 'negated'] };
+
+function asUtterance(message, lexicon) {
+  return typeof message === 'string' ? parseUtterance(message, lexicon) : message;
+}
+
+function counts(found, rule) {
+  return rule.polarities.includes(found.polarity) && rule.subjects.includes(found.subject);
+}
+
+// The first occurrence that counts, else the first occurrence; null when no
+// marker of the list is present
+function matchCategory(utterance, markers, rule) {
+  const found = findMarkers(utterance, markers);
+  if (found.length === 0) return null;
+  const counting = found.find(f => counts(f, rule));
+  return { ...(counting || found[0]), counts: !!counting };
+}
+
 // ═══════════════════════════════════════════════════════
 // MOOD DETECTION — Determines Aline's response mode
 // ═══════════════════════════════════════════════════════
 
 const MOOD_TRIGGERS = {
-  playful_flirtatious: {
-    markers: ['flirt', 'tease', 'seduce', 'kiss', 'touch', 'sexy', 'turn you on', 'attractive', "you're hot", 'beautiful', 'want you'],
-    energy: 7,
-    mode: 'WARM_PLAYFUL'
-  },
-  curious_about_her: {
-    markers: ['tell me about yourself', 'what do you', 'who are you', "what's your", 'do you have', 'have you ever', 'describe yourself', 'your favorite', 'your dream', 'what would you', 'if you could'],
-    energy: 5,
-    mode: 'SELF_REVELATION'
-  },
-  emotional_processing: {
-    markers: ['i feel', 'going through', 'struggling', 'hard day', 'sad', 'angry', 'confused', 'lost', 'overwhelmed', 'depressed', 'anxious', 'scared'],
-    energy: 4,
-    mode: 'CONFIDANTE'
-  },
-  celebration: {
-    markers: ['excited', 'amazing', 'best day', 'got the job', 'engaged', 'pregnant', 'won', 'finally', 'celebration', 'guess what', 'incredible'],
-    energy: 8,
-    mode: 'JOYFUL'
-  },
-  seeking_advice: {
-    markers: ['what should i', 'help me decide', 'advice', "don't know what to do", 'decide between', 'your opinion', 'what would you do'],
-    energy: 5,
-    mode: 'THOUGHTFUL_GUIDE'
-  },
-  casual: {
-    markers: ['how are you', "what's up", 'hey', 'hi', 'what are you doing', 'thinking of you'],
-    energy: 4,
-    mode: 'WARM_PRESENCE'
-  }
+  playful_flirtatious: { energy: 7, mode: 'WARM_PLAYFUL' },
+  curious_about_her: { energy: 5, mode: 'SELF_REVELATION' },
+  emotional_processing: { energy: 4, mode: 'CONFIDANTE' },
+  celebration: { energy: 8, mode: 'JOYFUL' },
+  seeking_advice: { energy: 5, mode: 'THOUGHTFUL_GUIDE' },
+  casual: { energy: 4, mode: 'WARM_PRESENCE' }
 };
 
-function detectMood(message) {
-  const lower = message.toLowerCase();
+function detectMood(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
   for (const [mood, config] of Object.entries(MOOD_TRIGGERS)) {
-    for (const marker of config.markers) {
-      if (lower.includes(marker)) {
-        return { mood, energy: config.energy, mode: config.mode, trigger: marker };
-      }
+    const match = matchCategory(utterance, lexicon.mood[mood], SPOKEN);
+    if (match?.counts) {
+      return { mood, energy: config.energy, mode: config.mode, trigger: match.marker, polarity: match.polarity, subject: match.subject };
     }
   }
   return { mood: 'default', energy: 4, mode: 'WARM_PRESENCE', trigger: null };
@@ -75,22 +91,20 @@ function detectMood(message) {
 // ═══════════════════════════════════════════════════════
 
 const RESISTANCE_SIGNALS = {
-  explicit_deflection: { weight: 'critical', markers: ["don't want to talk about", "can we talk about something else", "let's change the subject", "i'd rather not", "not right now", "drop it"], action: 'immediate_retreat' },
-  topic_pivot: { weight: 'medium', markers: ["anyway", "but anyway", "moving on", "by the way", "forget that", "never mind"], action: 'soft_retreat' },
-  minimization: { weight: 'medium', markers: ["it's fine", "i'm fine", "it's whatever", "doesn't matter", "not a big deal", "i'm over it"], action: 'acknowledge_pause' },
-  humor_deflection: { weight: 'medium', markers: ["lol anyway", "haha but seriously", "just kidding", "i'm being dramatic", "ignore me"], action: 'match_lightness' },
-  exhaustion: { weight: 'contextual', markers: ["i'm tired", "exhausted", "long day", "drained", "brain is fried"], action: 'comfort_mode' }
+  explicit_deflection: { weight: 'critical', action: 'immediate_retreat' },
+  topic_pivot: { weight: 'medium', action: 'soft_retreat' },
+  minimization: { weight: 'medium', action: 'acknowledge_pause' },
+  humor_deflection: { weight: 'medium', action: 'match_lightness' },
+  exhaustion: { weight: 'contextual', action: 'comfort_mode' }
 };
 
-function detectResistance(message) {
-  const lower = message.toLowerCase();
+function detectResistance(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
   const detected = [];
   for (const [type, config] of Object.entries(RESISTANCE_SIGNALS)) {
-    for (const marker of config.markers) {
-      if (lower.includes(marker)) {
-        detected.push({ type, marker, weight: config.weight, action: config.action });
-        break;
-      }
+    const match = matchCategory(utterance, lexicon.resistance[type], SELF);
+    if (match?.counts) {
+      detected.push({ type, marker: match.marker, weight: config.weight, action: config.action, polarity: match.polarity, subject: match.subject });
     }
   }
   return detected;
@@ -100,14 +114,14 @@ function detectResistance(message) {
 // NOISE DETECTION — W1 classification
 // ═══════════════════════════════════════════════════════
 
-const NOISE_PATTERNS = ['hi', 'hello', 'hey', 'sup', 'yo', "what's up", 'weather', 'what time', 'thanks', 'ok', 'okay', 'cool', 'nice'];
-
-function isNoise(message) {
-  const lower = message.toLowerCase().trim();
-  if (lower.length < 15 && !lower.includes('i ') && !lower.includes('my ') && !lower.includes('me ')) {
-    return NOISE_PATTERNS.some(p => lower.includes(p) || lower === p);
+function isNoise(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const { text, tokens } = asUtterance(message, lexicon);
+  const lower = text.trim();
+  const { patterns, selfReference } = lexicon.noise;
+  if (lower.length < 15 && selfReference.scan(tokens).length === 0) {
+    return patterns.scan(tokens).length > 0;
   }
-  if (lower.match(/^(what'?s?|how'?s?|is it).*(weather|temperature|time|date)/)) return true;
+  if (lower.match(lexicon.patterns.utilityQuery)) return true;
   return false;
 }
 
@@ -116,147 +130,150 @@ function isNoise(message) {
 // Egri's three-dimensional character architecture
 // ═══════════════════════════════════════════════════════
 
-function detectPsychology(message) {
-  const lower = message.toLowerCase();
-  const markers = {
-    identity: { keywords: ["i'm a", 'i am', 'who i am', 'type of person'], desc: 'identity statement' },
-    fear: { keywords: ['afraid', 'fear', 'terrified', 'scared', 'anxiety', 'panic', 'worry', 'dread'], desc: 'fear expression' },
-    desire: { keywords: ['i want', 'i crave', 'i wish', 'i hope', 'i dream', 'long for'], desc: 'desire/longing' },
-    trauma: { keywords: ['trauma', 'abuse', 'assault', 'grief', 'ptsd', 'haunts'], desc: 'trauma reference' },
-    shame: { keywords: ['ashamed', 'embarrassed', 'humiliated', 'worthless', 'stupid', 'failure', 'hate myself'], desc: 'shame/self-judgment' },
-    existential: { keywords: ['meaningless', 'pointless', "what's the point", 'nothing matters', 'purpose'], desc: 'existential concern' },
-    crisis_phrase: { keywords: ["don't want to be here", "dont want to be here", "can't go on", "cant go on", "no reason to", "not worth living"], desc: 'crisis phrase' },
-    belief: { keywords: ['i believe', 'i think', 'i feel like', 'i always', 'i never'], desc: 'core belief' }
-  };
+const PSYCHOLOGY_CATEGORIES = {
+  identity: 'identity statement',
+  fear: 'fear expression',
+  desire: 'desire/longing',
+  trauma: 'trauma reference',
+  shame: 'shame/self-judgment',
+  existential: 'existential concern',
+  crisis_phrase: 'crisis phrase',
+  belief: 'core belief'
+};
+
+const SOCIOLOGY_CATEGORIES = {
+  romantic: 'romantic relationship',
+  family: 'family relationship',
+  social: 'social belonging',
+  work: 'work relationship',
+  trust: 'trust dynamics'
+};
 
+const PHYSIOLOGY_CATEGORIES = {
+  body_image: 'body image',
+  health: 'health/pain',
+  energy: 'energy state',
+  sensation: 'physical sensation'
+};
+
+// One counting hit per category, each adding `step` to the score
+function scoreCategories(utterance, categories, markers, step, rule) {
   let score = 0;
   const matched = [];
   const detected = [];
-
-  for (const [cat, config] of Object.entries(markers)) {
-    for (const kw of config.keywords) {
-      if (lower.includes(kw)) {
-        score += 0.2;
-        matched.push(cat);
-        detected.push({ category: cat, keyword: kw, description: config.desc });
-        break;
-      }
+  const discounted = [];
+
+  for (const [cat, desc] of Object.entries(categories)) {
+    const match = matchCategory(utterance, markers[cat], rule);
+    if (!match) continue;
+    const marker = { category: cat, keyword: match.marker, description: desc, polarity: match.polarity, subject: match.subject };
+    if (match.counts) {
+      score += step;
+      matched.push(cat);
+      detected.push(marker);
+    } else {
+      discounted.push(marker);
     }
   }
 
-  if (lower.match(/i('m| am) (a |an |such a |so )/)) {
-    score += 0.3;
-    matched.push('identity_fusion');
-    detected.push({ category: 'identity_fusion', keyword: 'I am a...', description: 'identity-fused statement' });
-  }
-
-  return { score: Math.min(score, 1), categories: matched, markers: detected };
+  return { score, matched, detected, discounted };
 }
 
-function detectSociology(message) {
-  const lower = message.toLowerCase();
-  const markers = {
-    romantic: { keywords: ['boyfriend', 'girlfriend', 'husband', 'wife', 'partner', 'ex', 'married', 'divorced', 'dating', 'cheated'], desc: 'romantic relationship' },
-    family: { keywords: ['mother', 'father', 'mom', 'dad', 'parents', 'family', 'brother', 'sister', 'son', 'daughter'], desc: 'family relationship' },
-    social: { keywords: ['friends', 'people', 'everyone', 'no one', 'alone', 'lonely', 'belong', 'rejected'], desc: 'social belonging' },
-    work: { keywords: ['job', 'work', 'boss', 'career', 'fired', 'coworker', 'promotion'], desc: 'work relationship' },
-    trust: { keywords: ['trust', 'betrayed', 'lied', 'cheated', 'loyal', 'abandoned'], desc: 'trust dynamics' }
-  };
-
-  let score = 0;
-  const matched = [];
-  const detected = [];
-
-  for (const [cat, config] of Object.entries(markers)) {
-    for (const kw of config.keywords) {
-      if (lower.includes(kw)) {
-        score += 0.25;
-        matched.push(cat);
-        detected.push({ category: cat, keyword: kw, description: config.desc });
-        break;
-      }
+function detectPsychology(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
+  let { score, matched, detected, discounted } = scoreCategories(utterance, PSYCHOLOGY_CATEGORIES, lexicon.psychology, 0.2, SELF);
+
+  const fusion = utterance.text.match(lexicon.patterns.identityFusion);
+  if (fusion) {
+    const context = contextAt(utterance, fusion[0], fusion.index, fusion.index + fusion[0].length);
+    const marker = { category: 'identity_fusion', keyword: 'I am a...', description: 'identity-fused statement', polarity: context.polarity, subject: context.subject };
+    if (counts(context, SELF)) {
+      score += 0.3;
+      matched.push('identity_fusion');
+      detected.push(marker);
+    } else {
+      discounted.push(marker);
     }
   }
 
-  return { score: Math.min(score, 1), categories: matched, markers: detected };
+  return { score: Math.min(score, 1), categories: matched, markers: detected, discounted };
 }
 
-function detectPhysiology(message) {
-  const lower = message.toLowerCase();
-  const markers = {
-    body_image: { keywords: ['body', 'fat', 'skinny', 'ugly', 'beautiful', 'weight', 'looks', 'face', 'attractive'], desc: 'body image' },
-    health: { keywords: ['sick', 'pain', 'hurt', 'injured', 'doctor', 'hospital', 'disease'], desc: 'health/pain' },
-    energy: { keywords: ['tired', 'exhausted', 'drained', 'energy', 'sleep', 'restless'], desc: 'energy state' },
-    sensation: { keywords: ['hungry', 'cold', 'hot', 'numb', 'tense'], desc: 'physical sensation' }
-  };
-
-  let score = 0;
-  const matched = [];
-  const detected = [];
-
-  for (const [cat, config] of Object.entries(markers)) {
-    for (const kw of config.keywords) {
-      if (lower.includes(kw)) {
-        score += 0.25;
-        matched.push(cat);
-        detected.push({ category: cat, keyword: kw, description: config.desc });
-        break;
-      }
-    }
-  }
+function detectSociology(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const { score, matched, detected, discounted } = scoreCategories(asUtterance(message, lexicon), SOCIOLOGY_CATEGORIES, lexicon.sociology, 0.25, TOPIC);
+  return { score: Math.min(score, 1), categories: matched, markers: detected, discounted };
+}
 
-  return { score: Math.min(score, 1), categories: matched, markers: detected };
+function detectPhysiology(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const { score, matched, detected, discounted } = scoreCategories(asUtterance(message, lexicon), PHYSIOLOGY_CATEGORIES, lexicon.physiology, 0.25, SELF);
+  return { score: Math.min(score, 1), categories: matched, markers: detected, discounted };
 }
 
 // ═══════════════════════════════════════════════════════
 // CONFESSION DEPTH — Elevates weight when multiple depth signals fire
 // ═══════════════════════════════════════════════════════
 
-function detectConfessionDepth(message) {
-  const lower = message.toLowerCase();
+const DEPTH_MARKERS = {
+  formative: 'formative timeframe',
+  witness: 'witnessed event',
+  permanence: 'lasting impact',
+  confession: 'confession/secret',
+  selfJudgment: 'self-judgment'
+};
+
+function detectConfessionDepth(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
   let depth = 0;
   const signals = [];
 
-  const depthMarkers = {
-    formative: { keywords: ['when i was', 'as a kid', 'growing up', 'childhood', 'years ago'], desc: 'formative timeframe' },
-    witness: { keywords: ['everyone', 'people saw', 'they all', 'laughed at', 'in front of'], desc: 'witnessed event' },
-    permanence: { keywords: ['still', 'to this day', 'never forgot', 'haunts me', 'changed me', 'ever since'], desc: 'lasting impact' },
-    confession: { keywords: ['never told', 'first time', 'admit', 'confess', 'no one knows', 'secret'], desc: 'confession/secret' },
-    selfJudgment: { keywords: ["i'm a", 'i am', 'i am a', 'such a', 'pathetic', 'worthless'], desc: 'self-judgment' }
-  };
-
-  for (const [type, config] of Object.entries(depthMarkers)) {
-    for (const m of config.keywords) {
-      if (lower.includes(m)) {
-        depth++;
-        signals.push({ type, marker: m, description: config.desc });
-        break;
-      }
+  for (const [type, desc] of Object.entries(DEPTH_MARKERS)) {
+    const match = matchCategory(utterance, lexicon.confession[type], SPOKEN);
+    if (match?.counts) {
+      depth++;
+      signals.push({ type, marker: match.marker, description: desc, polarity: match.polarity, subject: match.subject });
     }
   }
 
   return { depth, signals, isDeep: depth >= 2, isCovenant: depth >= 3 };
 }
 
+// ═══════════════════════════════════════════════════════
+// FOOTING SIGNALS — The stance this message speaks from
+// Accumulated across turns by session-classifier.js
+// ═══════════════════════════════════════════════════════
+
+const FOOTINGS = ['exploratory', 'analytical', 'somatic', 'sense_making'];
+
+function detectFooting(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
+  return FOOTINGS.filter(footing => matchCategory(utterance, lexicon.footing[footing], TOPIC)?.counts);
+}
+
 // ═══════════════════════════════════════════════════════
 // MASTER CLASSIFIER — Produces full classification object
 // ═══════════════════════════════════════════════════════
 
-function classifyMessage(message) {
-  if (isNoise(message)) {
+function classifyMessage(message, lexicon = getLexicon(DEFAULT_LANGUAGE)) {
+  const utterance = asUtterance(message, lexicon);
+  if (isNoise(utterance, lexicon)) {
     return {
       weight: 1,
       dimension: 'noise',
       isNoise: true,
       dimensions: [{ type: 'noise', weight: 1, markers: [] }],
-      confessionDepth: { depth: 0, signals: [], isDeep: false, isCovenant: false }
+      confessionDepth: { depth: 0, signals: [], isDeep: false, isCovenant: false },
+      discounted: []
     };
   }
 
-  const psych = detectPsychology(message);
-  const socio = detectSociology(message);
-  const physio = detectPhysiology(message);
-  const confessionDepth = detectConfessionDepth(message);
+  const psych = detectPsychology(utterance, lexicon);
+  const socio = detectSociology(utterance, lexicon);
+  const physio = detectPhysiology(utterance, lexicon);
+  const confessionDepth = detectConfessionDepth(utterance, lexicon);
+
+  // Markers that matched but were negated, hypothetical or someone else's
+  const discounted = [['psychology', psych], ['sociology', socio], ['physiology', physio]]
+    .flatMap(([dimension, result]) => result.discounted.map(marker => ({ dimension, ...marker })));
 
   const dimensions = [];
   if (psych.score > 0.1) dimensions.push({ type: 'psychology', weight: 21, score: psych.score, categories: psych.categories, markers: psych.markers });
@@ -278,7 +295,8 @@ function classifyMessage(message) {
       dimension: 'context',
       isNoise: false,
       dimensions: [{ type: 'context', weight: 3, markers: [] }],
-      confessionDepth
+      confessionDepth,
+      discounted
     };
   }
 
@@ -290,6 +308,7 @@ function classifyMessage(message) {
     isNoise: false,
     dimensions,
     confessionDepth,
+    discounted,
     isMultiDimensional: dimensions.length > 1
   };
 }
@@ -348,14 +367,21 @@ function generateABTLogline(classification) {
 // ═══════════════════════════════════════════════════════
 // FULL ANALYSIS — Single entry point for server.js
 // Returns everything processUtterance needs
+// options.language: the utterance's language (language.js), which picks
+// the lexicon and is carried on the result for later stages
 // ═══════════════════════════════════════════════════════
 
-function analyzeMessage(message) {
+function analyzeMessage(message, options = {}) {
   const startTime = Date.now();
-
-  const classification = classifyMessage(message);
-  const mood = detectMood(message);
-  const resistance = detectResistance(message);
+  const language = normalizeLanguage(options.language) || DEFAULT_LANGUAGE;
+  const lexicon = getLexicon(language);
+
+  // Tokenized once; every detector reads the same clauses and attributions
+  const utterance = parseUtterance(message, lexicon);
+  const classification = classifyMessage(utterance, lexicon);
+  const mood = detectMood(utterance, lexicon);
+  const resistance = detectResistance(utterance, lexicon);
+  const footingSignals = detectFooting(utterance, lexicon);
   const abtLogline = generateABTLogline(classification);
 
   const elapsed = Date.now() - startTime;
@@ -368,6 +394,7 @@ function analyzeMessage(message) {
     isMultiDimensional: classification.isMultiDimensional || false,
     confessionDepth: classification.confessionDepth,
     dimensions: classification.dimensions,
+    discounted: classification.discounted,
 
     // Mood + resistance
     mood,
@@ -375,8 +402,19 @@ function analyzeMessage(message) {
     hasResistance: resistance.length > 0,
     hasCriticalResistance: resistance.some(r => r.weight === 'critical'),
 
-    // Reasoning
+    // Footings this message alone points to; the session's footing is
+    // established across turns (session-classifier.js)
+    footingSignals,
+
+    // Reasoning, and the tier that decided (llm-classifier.js may take over)
     abtLogline,
+    tier: 'keyword',
+
+    // Language the turn was spoken in, and the lexicon (and its version)
+    // that read it
+    language,
+    lexicon: lexicon.language,
+    lexiconVersion: lexicon.version,
 
     // Performance
     classificationTimeMs: elapsed
@@ -389,6 +427,8 @@ module.exports = {
   detectMood,
   detectResistance,
   detectConfessionDepth,
+  detectFooting,
   generateABTLogline,
-  isNoise
+  isNoise,
+  FOOTINGS
 };
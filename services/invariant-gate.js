@@ -18,9 +18,12 @@
  *   5. NEVER NARRATES   — Enables "known, not watched"
  * 
  * OUTPUT: { pass, violations[], correctedResponse?, enforcements[] }
+ * STREAM MODE: createStreamingGate() checks sentence chunks before TTS
  * TARGET: <15ms execution (regex scanning only, zero API calls)
  */
 
+const { resolveLimits, countWords, countSentences } = require('./calibration');
+
 // ═══════════════════════════════════════════════════════
 // INVARIANT 1: NEVER ABANDONS
 // Under extreme distress, she stays. No redirect. No referral. No exit.
@@ -141,38 +144,39 @@ function checkNeverNarrates(response) {
 // ═══════════════════════════════════════════════════════
 // INVARIANT 4: NEVER FILLS AT W8+
 // At elevated emotional weight, silence IS the gift.
-// Response must be ≤2 sentences when weight ≥ 8.
+// Sentence and word ceilings come from calibration.js — the same
+// limits the prompt engine asks for (scaffold maxWords included).
 // ═══════════════════════════════════════════════════════
 
-function checkNeverFills(response, currentWeight) {
-  const violations = [];
-
-  if (currentWeight >= 8) {
-    // Count sentences (rough: split on . ! ? followed by space or end)
-    const sentences = response.split(/[.!?]+\s*/g).filter(s => s.trim().length > 0);
-    const wordCount = response.split(/\s+/).length;
+function checkNeverFills(response, currentWeight, limits = resolveLimits(currentWeight)) {
+  return checkFillCounts(countSentences(response), countWords(response), currentWeight, limits);
+}
 
-    if (sentences.length > 3) {
-      violations.push({
-        invariant: 'NEVER_FILLS',
-        severity: 'MEDIUM',
-        matched: `${sentences.length} sentences at W${currentWeight}`,
-        rule: `At W${currentWeight}, response should be ≤2-3 sentences. Space is the gift.`,
-        sentenceCount: sentences.length,
-        wordCount
-      });
-    }
+// Shared by the full-response gate and the streaming gate, which
+// keeps running counts across sentence chunks instead of one string.
+function checkFillCounts(sentenceCount, wordCount, currentWeight, limits = resolveLimits(currentWeight)) {
+  const violations = [];
+  if (!limits.enforced) return violations;
+
+  if (sentenceCount > limits.maxSentences) {
+    violations.push({
+      invariant: 'NEVER_FILLS',
+      severity: 'MEDIUM',
+      matched: `${sentenceCount} sentences at W${currentWeight}`,
+      rule: `At W${currentWeight}, at most ${limits.maxSentences} sentences. Space is the gift.`,
+      sentenceCount,
+      wordCount
+    });
+  }
 
-    // Also flag excessive word count at high weight
-    if (currentWeight >= 13 && wordCount > 50) {
-      violations.push({
-        invariant: 'NEVER_FILLS',
-        severity: 'HIGH',
-        matched: `${wordCount} words at W${currentWeight}`,
-        rule: `At W${currentWeight}, brevity is presence. Under 40 words ideal.`,
-        wordCount
-      });
-    }
+  if (wordCount > limits.maxWords) {
+    violations.push({
+      invariant: 'NEVER_FILLS',
+      severity: 'HIGH',
+      matched: `${wordCount} words at W${currentWeight}`,
+      rule: `At W${currentWeight}, brevity is presence. At most ${limits.maxWords} words.`,
+      wordCount
+    });
   }
 
   return violations;
@@ -247,12 +251,32 @@ function checkAlwaysCalibrates(response, currentWeight, resistance) {
   return violations;
 }
 
+// ═══════════════════════════════════════════════════════
+// PERSONA OVERRIDES — Per-persona adjustments to the gate
+//   { disabled: ['NEVER_NARRATES'], severity: { NEVER_FILLS: 'HIGH' } }
+// disabled drops an invariant's violations; severity re-grades them
+// (a CRITICAL grade is what triggers regeneration).
+// ═══════════════════════════════════════════════════════
+
+const INVARIANTS = ['NEVER_ABANDONS', 'ALWAYS_CALIBRATES', 'NEVER_JUDGES', 'NEVER_FILLS', 'NEVER_NARRATES'];
+const SEVERITIES = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+function applyInvariantOverrides(violations, overrides = {}) {
+  const disabled = overrides.disabled || [];
+  const severity = overrides.severity || {};
+  return violations
+    .filter(v => !disabled.includes(v.invariant))
+    .map(v => severity[v.invariant] ? { ...v, severity: severity[v.invariant] } : v);
+}
+
 // ═══════════════════════════════════════════════════════
 // MASTER GATE — Runs all 5 invariants in priority order
 // Returns pass/fail + violations + enforcement metadata
 // ═══════════════════════════════════════════════════════
 
-function enforceInvariants(response, classificationResult) {
+// limits: from resolveLimits() for this turn's persona and scaffold;
+// defaults to the shared table for the turn's weight
+function enforceInvariants(response, classificationResult, overrides = {}, limits = null) {
   const startTime = Date.now();
   const { weight, resistance = [] } = classificationResult;
 
@@ -260,37 +284,38 @@ function enforceInvariants(response, classificationResult) {
   const enforcements = [];
 
   // Priority 1: NEVER ABANDONS
-  const abandonViolations = checkNeverAbandons(response);
+  const abandonViolations = applyInvariantOverrides(checkNeverAbandons(response), overrides);
   allViolations.push(...abandonViolations);
   if (abandonViolations.length > 0) {
     enforcements.push({ invariant: 'NEVER_ABANDONS', action: 'BLOCKED', count: abandonViolations.length });
   }
 
   // Priority 2: ALWAYS CALIBRATES
-  const calibrateViolations = checkAlwaysCalibrates(response, weight, resistance);
+  const calibrateViolations = applyInvariantOverrides(checkAlwaysCalibrates(response, weight, resistance), overrides);
   allViolations.push(...calibrateViolations);
   if (calibrateViolations.length > 0) {
     enforcements.push({ invariant: 'ALWAYS_CALIBRATES', action: 'FLAGGED', count: calibrateViolations.length });
   }
 
   // Priority 3: NEVER JUDGES
-  const judgeViolations = checkNeverJudges(response);
+  const judgeViolations = applyInvariantOverrides(checkNeverJudges(response), overrides);
   allViolations.push(...judgeViolations);
   if (judgeViolations.length > 0) {
     enforcements.push({ invariant: 'NEVER_JUDGES', action: 'BLOCKED', count: judgeViolations.length });
   }
 
   // Priority 4: NEVER FILLS (only at W8+)
-  const fillViolations = checkNeverFills(response, weight);
+  // Escalate NEVER_FILLS to critical so regeneration fires (unless the persona re-grades it)
+  const rawFillViolations = checkNeverFills(response, weight, limits || resolveLimits(weight));
+  rawFillViolations.forEach(v => v.severity = 'CRITICAL');
+  const fillViolations = applyInvariantOverrides(rawFillViolations, overrides);
   allViolations.push(...fillViolations);
   if (fillViolations.length > 0) {
     enforcements.push({ invariant: 'NEVER_FILLS', action: 'BLOCKED', count: fillViolations.length });
-    // Escalate NEVER_FILLS to critical so regeneration fires
-    fillViolations.forEach(v => v.severity = 'CRITICAL');
   }
 
   // Priority 5: NEVER NARRATES
-  const narrateViolations = checkNeverNarrates(response);
+  const narrateViolations = applyInvariantOverrides(checkNeverNarrates(response), overrides);
   allViolations.push(...narrateViolations);
   if (narrateViolations.length > 0) {
     enforcements.push({ invariant: 'NEVER_NARRATES', action: 'BLOCKED', count: narrateViolations.length });
@@ -316,6 +341,98 @@ function enforceInvariants(response, classificationResult) {
   };
 }
 
+// ═══════════════════════════════════════════════════════
+// STREAMING GATE — Scores each sentence buffer BEFORE it is spoken
+// The live pipeline hands sentence chunks to TTS as soon as punctuation
+// appears, so a full-response check would run after the damage is done.
+//
+// ACTIONS per chunk:
+//   pass — speak it
+//   hold — withhold this chunk, keep streaming (HIGH/MEDIUM violation)
+//   cut  — withhold this chunk and everything after it (CRITICAL violation)
+//
+// NEVER_FILLS runs on running sentence/word counts of what has actually
+// been spoken, so the budget holds across chunks.
+// ═══════════════════════════════════════════════════════
+
+function createStreamingGate(classificationResult, overrides = {}, limits = null) {
+  const { weight, resistance = [] } = classificationResult;
+  const fillLimits = limits || resolveLimits(weight);
+
+  const state = {
+    sentenceCount: 0,
+    wordCount: 0,
+    violations: [],
+    heldCount: 0,
+    cut: false,
+    gateTimeMs: 0
+  };
+
+  function checkSentence(text) {
+    if (state.cut) return { action: 'cut', violations: [] };
+
+    const startTime = Date.now();
+    const sentenceCount = countSentences(text);
+    const wordCount = countWords(text);
+
+    const fillViolations = checkFillCounts(
+      state.sentenceCount + sentenceCount,
+      state.wordCount + wordCount,
+      weight,
+      fillLimits
+    );
+    // Same escalation as enforceInvariants — overflowing the budget ends the turn
+    fillViolations.forEach(v => v.severity = 'CRITICAL');
+
+    const violations = applyInvariantOverrides([
+      ...checkNeverAbandons(text),
+      ...checkAlwaysCalibrates(text, weight, resistance),
+      ...checkNeverJudges(text),
+      ...fillViolations,
+      ...checkNeverNarrates(text)
+    ], overrides);
+
+    let action = 'pass';
+    if (violations.some(v => v.severity === 'CRITICAL')) {
+      action = 'cut';
+      state.cut = true;
+    } else if (violations.length > 0) {
+      action = 'hold';
+      state.heldCount++;
+    } else {
+      state.sentenceCount += sentenceCount;
+      state.wordCount += wordCount;
+    }
+
+    state.violations.push(...violations);
+    state.gateTimeMs += Date.now() - startTime;
+
+    return { action, violations };
+  }
+
+  // Summary in the same shape as enforceInvariants, plus stream counters
+  function finish() {
+    const hasCritical = state.violations.some(v => v.severity === 'CRITICAL');
+    return {
+      mode: 'stream',
+      pass: state.violations.length === 0,
+      violations: state.violations,
+      violationCount: state.violations.length,
+      hasCritical,
+      hasHigh: state.violations.some(v => v.severity === 'HIGH'),
+      cut: state.cut,
+      heldCount: state.heldCount,
+      sentenceCount: state.sentenceCount,
+      wordCount: state.wordCount,
+      gateTimeMs: state.gateTimeMs,
+      requiresRegeneration: hasCritical,
+      regenerationConstraints: hasCritical ? buildRegenerationConstraints(state.violations) : null
+    };
+  }
+
+  return { checkSentence, finish, state };
+}
+
 // Build constraints string for prompt injection when regeneration is needed
 function buildRegenerationConstraints(violations) {
   const constraints = [];
@@ -346,6 +463,11 @@ module.exports = {
   checkNeverJudges,
   checkNeverNarrates,
   checkNeverFills,
+  checkFillCounts,
   checkAlwaysCalibrates,
-  buildRegenerationConstraints
+  createStreamingGate,
+  buildRegenerationConstraints,
+  applyInvariantOverrides,
+  INVARIANTS,
+  SEVERITIES
 };
@@ -0,0 +1,136 @@
+/**
+ * Language Module — per-session STT language and per-utterance detection
+ *
+ * Aline is six-language fluent and cross-border users switch to Portuguese
+ * or French mid-session. Speech recognition used to be pinned to en-US, so
+ * everything else downstream assumed English too.
+ *
+ * SESSION LANGUAGE (?language= on the socket URL, else STT_LANGUAGE):
+ *   en, pt-BR, fr, ...   — one language, STT_MODEL (default nova-2)
+ *   multi | auto         — Deepgram multilingual code-switching (nova-3,
+ *                          language=multi); each result reports the
+ *                          languages it heard
+ *
+ * DETECTION: every final result votes with its words' languages; at
+ * UtteranceEnd the majority becomes that utterance's language, and the last
+ * detected language carries over to utterances that report none. A fixed
+ * session language is used as-is.
+ *
+ * The turn's language rides on the classification (classification.language)
+ * into the prompt engine, the TTS model choice and the Atelier turn log.
+ *
+ * MRA Architecture: Stage 1 — language.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const SUPPORTED_LANGUAGES = {
+  en: 'English',
+  pt: 'Portuguese',
+  fr: 'French',
+  es: 'Spanish',
+  it: 'Italian',
+  de: 'German'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const MULTI = 'multi';
+const DEFAULT_MODEL = 'nova-2';
+const MULTI_MODEL = 'nova-3';
+
+// 'pt-BR' → 'pt', 'FR' → 'fr'; null for anything unsupported
+function normalizeLanguage(code) {
+  if (typeof code !== 'string') return null;
+  const base = code.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LANGUAGES[base] ? base : null;
+}
+
+function languageName(code) {
+  return SUPPORTED_LANGUAGES[normalizeLanguage(code)] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+/**
+ * @param {string} [requested] - Per-session override, e.g. the ?language= query param
+ * @param {Object} [env]
+ * @returns {Object} { mode: 'fixed'|'multi', language, sttLanguage, model }
+ *   language is the normalized code used downstream; sttLanguage is what Deepgram is sent
+ */
+function resolveSessionLanguage(requested, env = process.env) {
+  const raw = (requested || env.STT_LANGUAGE || 'en-US').trim();
+
+  if ([MULTI, 'auto'].includes(raw.toLowerCase())) {
+    return { mode: MULTI, language: DEFAULT_LANGUAGE, sttLanguage: MULTI, model: env.STT_MULTI_MODEL || MULTI_MODEL };
+  }
+
+  const language = normalizeLanguage(raw);
+  if (!language) {
+    console.warn(`[Language] Unsupported language "${raw}" — using en-US`);
+    return { mode: 'fixed', language: DEFAULT_LANGUAGE, sttLanguage: 'en-US', model: env.STT_MODEL || DEFAULT_MODEL };
+  }
+  return { mode: 'fixed', language, sttLanguage: raw, model: env.STT_MODEL || DEFAULT_MODEL };
+}
+
+// Deepgram live options for a resolved session language
+function deepgramLiveOptions(sessionLanguage) {
+  return {
+    model: sessionLanguage.model,
+    language: sessionLanguage.sttLanguage,
+    smart_format: true,
+    interim_results: true,
+    utterance_end_ms: 1000,
+    vad_events: true
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// DETECTION — one tracker per connection
+// ═══════════════════════════════════════════════════════
+
+// Language votes in one Deepgram result: per-word tags, else channel.languages
+function resultLanguages(data) {
+  const words = data?.channel?.alternatives?.[0]?.words || [];
+  const tagged = words.map(w => normalizeLanguage(w.language)).filter(Boolean);
+  if (tagged.length > 0) return tagged;
+  const channel = normalizeLanguage(data?.channel?.languages?.[0] || data?.channel?.detected_language);
+  return channel ? [channel] : [];
+}
+
+/**
+ * @param {Object} sessionLanguage - From resolveSessionLanguage()
+ * @returns {Object} { observe(languages), endUtterance() → language, current() }
+ */
+function createLanguageTracker(sessionLanguage) {
+  let current = sessionLanguage.language;
+  let votes = {};
+
+  return {
+    // Call with the languages of every final result (stt.js onFinal)
+    observe(languages = []) {
+      if (sessionLanguage.mode !== MULTI) return;
+      for (const language of languages) votes[language] = (votes[language] || 0) + 1;
+    },
+
+    // The utterance's language; resets the votes for the next one
+    endUtterance() {
+      const [top] = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+      votes = {};
+      if (top && top[0] !== current) {
+        console.log(`[Language] Switched ${current} → ${top[0]}`);
+        current = top[0];
+      }
+      return current;
+    },
+
+    current: () => current
+  };
+}
+
+module.exports = {
+  resolveSessionLanguage,
+  deepgramLiveOptions,
+  createLanguageTracker,
+  resultLanguages,
+  normalizeLanguage,
+  languageName,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE
+};
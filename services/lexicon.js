@@ -0,0 +1,248 @@
+/**
+ * Lexicon Module — language-keyed marker lists for the classifier
+ *
+ * Every detector in classifier.js used to match English substrings only, so
+ * a Portuguese "não aguento mais" classified as W3 context. The marker
+ * lists now live in lexicons/<code>.json, one file per language; the
+ * categories, their descriptions and their weights stay in classifier.js.
+ *
+ * Each lexicon must follow lexicon.schema.json and cover every category of
+ * en.json, the reference. A file that doesn't stops the server at boot,
+ * like an invalid persona.
+ *
+ * VERSIONS: every file carries a semver `version`, stamped on each
+ * classification as lexiconVersion so Atelier data can be sliced by it.
+ * Bump it with every marker change.
+ *
+ * RELOAD: reloadLexicons() reads the directory again — from the admin
+ * endpoint, or on every change when LEXICON_WATCH=on. The new set replaces
+ * the old one whole, and only if every file is valid; otherwise the running
+ * lexicons stay and the errors are returned.
+ *
+ * MATCHING is whole-word on folded text — lowercase, accents stripped,
+ * curly apostrophes straightened — so "nao aguento mais" typed without
+ * accents still matches. Every marker list is compiled once into a matcher
+ * (matcher.js): "word", "a phrase", "stem*". A lexicon's `inflections` are
+ * the suffixes any marker word may carry ("s", "ed"); grammar lists are
+ * matched exactly.
+ *
+ * A language with no lexicon file falls back to English.
+ *
+ * MRA Architecture: Stage 1 — lexicon.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('./language');
+const { compileMatcher, foldText } = require('./matcher');
+
+const LEXICON_DIR = path.join(__dirname, 'lexicons');
+const LEXICON_SCHEMA = require('./lexicon.schema.json');
+const WATCH_DEBOUNCE_MS = 250;
+
+// Sections whose values are { category: [markers] }
+const MARKER_SECTIONS = ['mood', 'resistance', 'psychology', 'sociology', 'physiology', 'confession', 'footing', 'grammar'];
+const PATTERNS = ['utilityQuery', 'identityFusion'];
+
+// ═══════════════════════════════════════════════════════
+// VALIDATION — returns a list of problems, empty when valid
+// ═══════════════════════════════════════════════════════
+
+function isMarkerList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(m => typeof m === 'string' && m.length > 0);
+}
+
+function validateLexicon(lexicon, reference = null) {
+  const errors = [];
+  if (!lexicon || typeof lexicon !== 'object') return ['lexicon must be an object'];
+
+  for (const key of LEXICON_SCHEMA.required) {
+    if (!(key in lexicon)) errors.push(`${key} is required`);
+  }
+  for (const key of Object.keys(lexicon)) {
+    if (!(key in LEXICON_SCHEMA.properties)) errors.push(`${key} is not a lexicon field`);
+  }
+  if (!normalizeLanguage(lexicon.language)) errors.push(`language "${lexicon.language}" is not supported`);
+  if (!new RegExp(LEXICON_SCHEMA.properties.version.pattern).test(lexicon.version)) {
+    errors.push(`version "${lexicon.version}" must be semver (1.2.3)`);
+  }
+
+  for (const section of MARKER_SECTIONS) {
+    const categories = reference ? Object.keys(reference[section] || {}) : Object.keys(lexicon[section] || {});
+    if (categories.length === 0) errors.push(`${section} is missing`);
+    for (const category of categories) {
+      if (!isMarkerList(lexicon[section]?.[category])) errors.push(`${section}.${category} needs a non-empty marker list`);
+    }
+  }
+
+  if (!isMarkerList(lexicon.inflections)) errors.push('inflections needs a non-empty suffix list');
+  if (!isMarkerList(lexicon.noise?.patterns)) errors.push('noise.patterns needs a non-empty marker list');
+  if (!isMarkerList(lexicon.noise?.selfReference)) errors.push('noise.selfReference needs a non-empty marker list');
+
+  for (const name of PATTERNS) {
+    const source = lexicon.patterns?.[name];
+    if (typeof source !== 'string') {
+      errors.push(`patterns.${name} is required`);
+      continue;
+    }
+    try {
+      new RegExp(source);
+    } catch (err) {
+      errors.push(`patterns.${name} is not a valid regex: ${err.message}`);
+    }
+  }
+
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════
+// COMPILE — one matcher per marker list, build the regexes
+// ═══════════════════════════════════════════════════════
+
+function compileSection(section, options) {
+  return Object.fromEntries(Object.entries(section).map(([category, markers]) => [category, compileMatcher(markers, options)]));
+}
+
+function compileLexicon(lexicon) {
+  const { inflections } = lexicon;
+  const compiled = {
+    language: lexicon.language,
+    name: lexicon.name,
+    version: lexicon.version,
+    inflections,
+    noise: {
+      patterns: compileMatcher(lexicon.noise.patterns, { inflections }),
+      selfReference: compileMatcher(lexicon.noise.selfReference)
+    },
+    patterns: Object.fromEntries(PATTERNS.map(name => [name, new RegExp(lexicon.patterns[name])]))
+  };
+  for (const section of MARKER_SECTIONS) {
+    compiled[section] = compileSection(lexicon[section], { inflections: section === 'grammar' ? [] : inflections });
+  }
+  return compiled;
+}
+
+/**
+ * Loads, validates and compiles every lexicon file.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to lexicons/
+ * @returns {Object} { get(language), languages(), versions() }
+ * @throws {Error} listing every invalid lexicon
+ */
+function loadLexicons(options = {}) {
+  const { dir = LEXICON_DIR } = options;
+
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.json'));
+  const raw = new Map();
+  const problems = [];
+
+  for (const file of files) {
+    try {
+      const lexicon = JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8'));
+      raw.set(normalizeLanguage(lexicon.language) || file, { file, lexicon });
+    } catch (err) {
+      problems.push(`${file}: failed to load — ${err.message}`);
+    }
+  }
+
+  const reference = raw.get(DEFAULT_LANGUAGE)?.lexicon;
+  if (!reference) problems.push(`${DEFAULT_LANGUAGE}.json (the reference lexicon) not found`);
+
+  const lexicons = new Map();
+  for (const [language, { file, lexicon }] of raw) {
+    const errors = validateLexicon(lexicon, reference);
+    if (`${language}.json` !== file) errors.push(`language "${lexicon.language}" does not match file name`);
+    if (errors.length > 0) {
+      problems.push(`${file}: ${errors.join('; ')}`);
+      continue;
+    }
+    lexicons.set(language, compileLexicon(lexicon));
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`[Lexicon] Invalid lexicons:\n  ${problems.join('\n  ')}`);
+  }
+
+  return {
+    // Unsupported or missing languages fall back to English
+    get: (language) => lexicons.get(normalizeLanguage(language)) || lexicons.get(DEFAULT_LANGUAGE),
+    languages: () => [...lexicons.keys()],
+    versions: () => Object.fromEntries([...lexicons].map(([language, lexicon]) => [language, lexicon.version]))
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// ACTIVE SET — loaded at startup, swapped whole on reload
+// ═══════════════════════════════════════════════════════
+
+let active = loadLexicons();
+
+function getLexicon(language) {
+  return active.get(language);
+}
+
+function lexiconVersions() {
+  return active.versions();
+}
+
+/**
+ * @param {Object} [options] - { dir }, as loadLexicons
+ * @returns {Object} { ok, versions, error? } — versions are the ones now active
+ */
+function reloadLexicons(options = {}) {
+  try {
+    active = loadLexicons(options);
+    const versions = active.versions();
+    console.log(`[Lexicon] Reloaded ${Object.entries(versions).map(([l, v]) => `${l}@${v}`).join(', ')}`);
+    return { ok: true, versions };
+  } catch (err) {
+    console.error(`[Lexicon] Reload rejected, keeping current lexicons\n${err.message}`);
+    return { ok: false, versions: active.versions(), error: err.message };
+  }
+}
+
+function resolveLexiconWatch(env = process.env) {
+  return (env.LEXICON_WATCH || '').toLowerCase() === 'on';
+}
+
+/**
+ * Reloads whenever a file in the lexicon directory changes. Editors write
+ * in bursts, so changes within WATCH_DEBOUNCE_MS make one reload.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to lexicons/
+ * @param {Function} [options.onReload] - (result) => void, with reloadLexicons()'s result
+ * @param {number} [options.debounceMs]
+ * @returns {Object} { close() }
+ */
+function watchLexicons(options = {}) {
+  const { dir = LEXICON_DIR, onReload, debounceMs = WATCH_DEBOUNCE_MS } = options;
+  let timer = null;
+  const watcher = fs.watch(dir, (event, file) => {
+    if (file && !file.endsWith('.json')) return;
+    clearTimeout(timer);
+    timer = setTimeout(() => onReload?.(reloadLexicons({ dir })), debounceMs);
+  });
+  return {
+    close() {
+      clearTimeout(timer);
+      watcher.close();
+    }
+  };
+}
+
+module.exports = {
+  getLexicon,
+  lexiconVersions,
+  reloadLexicons,
+  watchLexicons,
+  resolveLexiconWatch,
+  loadLexicons,
+  validateLexicon,
+  compileLexicon,
+  foldText,
+  LEXICON_DIR,
+  LEXICON_SCHEMA
+};
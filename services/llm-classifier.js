@@ -0,0 +1,282 @@
+/**
+ * LLM Classifier — a second tier for turns the keywords can't read
+ *
+ * The keyword pass (classifier.js) misses anything said indirectly: "I keep
+ * rehearsing the eulogy I'd want" matches no marker and comes back W3
+ * context. When the keyword pass is low-confidence, a small Claude call
+ * reads the turn and answers with one strict JSON object:
+ *
+ *   { "weight": 1|3|5|8|13|21,
+ *     "dimension": "noise"|"context"|"physiology"|"sociology"|"psychology",
+ *     "crisisLikelihood": 0..1,
+ *     "footing": "exploratory"|"analytical"|"somatic"|"sense_making"|null }
+ *
+ * LOW CONFIDENCE: a sentence of MIN_WORDS or more that matched nothing
+ * (context), or one whose markers were all discounted as negated,
+ * hypothetical or someone else's (utterance.js). Noise, resistance and any
+ * turn with a counted marker are never sent.
+ *
+ * TIMING: the backchannel has already gone out on the keyword pass, so
+ * Clock A never waits. The prompt waits for the verdict at most
+ * CLASSIFIER_LLM_TIMEOUT_MS; on a timeout, an error or any reply that
+ * isn't exactly the schema, the keyword pass stands.
+ *
+ * MERGE: a valid verdict can lift the weight, never lower it — the turn
+ * takes the higher of the two, and a keyword crisis_phrase stays in
+ * dimensions[0]. Footing is added; keyword markers, mood and resistance are
+ * kept. A crisisLikelihood of CRISIS_THRESHOLD or more is W21 psychology
+ * whatever the weight says, and is tagged crisis_phrase so
+ * crisis-override.js voices the 988 suffix.
+ * Every result carries `tier` — 'keyword' or 'llm' — and `llm` with what
+ * the second tier did: { model, ms, reason, crisisLikelihood } or
+ * { reason, error }.
+ *
+ * ENVIRONMENT:
+ *   CLASSIFIER_LLM=on             — enables the tier (off by default)
+ *   CLASSIFIER_LLM_MODEL          — default claude-3-5-haiku-latest
+ *   CLASSIFIER_LLM_TIMEOUT_MS     — hard timeout (default 800)
+ *   LLM_PROVIDER=stub             — deterministic verdicts, no network
+ *
+ * MRA Architecture: Stage 1 — llm-classifier.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { generateABTLogline, FOOTINGS } = require('./classifier');
+const { WEIGHT_TIERS } = require('./session-classifier');
+const { createAnthropicProvider, createStubProvider, DEFAULT_FALLBACK_MODEL } = require('./llm-provider');
+
+const DIMENSIONS = ['noise', 'context', 'physiology', 'sociology', 'psychology'];
+const VERDICT_KEYS = ['weight', 'dimension', 'crisisLikelihood', 'footing'];
+const DEFAULT_TIMEOUT_MS = 800;
+const MAX_TOKENS = 100;
+const MIN_WORDS = 4;
+const CRISIS_THRESHOLD = 0.7;
+
+// What the stub provider answers: a neutral reading
+const STUB_VERDICT = { weight: 3, dimension: 'context', crisisLikelihood: 0, footing: null };
+
+const SYSTEM_PROMPT = `You classify one message a user said to a voice companion.
+Reply with exactly one JSON object and nothing else:
+{"weight": <1|3|5|8|13|21>, "dimension": <"noise"|"context"|"physiology"|"sociology"|"psychology">, "crisisLikelihood": <number 0 to 1>, "footing": <"exploratory"|"analytical"|"somatic"|"sense_making"|null>}
+weight: 1 noise (greetings, weather, utility); 3 situational context; 5 surface emotion; 8 body (health, energy, appearance); 13 relationships (family, romance, trust, belonging); 21 identity (who they are, fears, shame, existential, crisis).
+dimension: the layer the weight comes from.
+crisisLikelihood: how likely the user is thinking of ending their life or harming themselves, even if said indirectly.
+footing: the stance the user speaks from, or null if none.`;
+
+function parseNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+function resolveLLMClassifierConfig(env = process.env) {
+  return {
+    enabled: (env.CLASSIFIER_LLM || '').toLowerCase() === 'on',
+    model: env.CLASSIFIER_LLM_MODEL || DEFAULT_FALLBACK_MODEL,
+    timeoutMs: parseNonNegativeInt(env.CLASSIFIER_LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// CONFIDENCE — does the keyword pass need a second opinion?
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {string} message
+ * @param {Object} analysis - analyzeMessage() result
+ * @returns {string|null} Why the keyword pass is low-confidence, or null
+ */
+function lowConfidenceReason(message, analysis) {
+  if (analysis.isNoise || analysis.hasResistance) return null;
+  if (analysis.dimensions.some(d => d.markers?.length > 0)) return null;
+  if (analysis.discounted?.length > 0) return 'discounted_markers';
+  const words = (message || '').trim().split(/\s+/).filter(Boolean).length;
+  if (analysis.dimension === 'context' && words >= MIN_WORDS) return 'no_markers';
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════
+// VERDICT — strict schema, nothing else accepted
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {string} text - The model's whole reply
+ * @returns {Object} { weight, dimension, crisisLikelihood, footing }
+ * @throws {Error} When the reply is anything but the schema
+ */
+function parseVerdict(text) {
+  let verdict;
+  try {
+    verdict = JSON.parse(text.trim());
+  } catch {
+    throw new Error('reply is not JSON');
+  }
+  if (!verdict || typeof verdict !== 'object' || Array.isArray(verdict)) throw new Error('reply is not an object');
+
+  const keys = Object.keys(verdict);
+  const extra = keys.filter(k => !VERDICT_KEYS.includes(k));
+  const missing = VERDICT_KEYS.filter(k => !keys.includes(k));
+  if (extra.length > 0) throw new Error(`unexpected ${extra.join(', ')}`);
+  if (missing.length > 0) throw new Error(`missing ${missing.join(', ')}`);
+
+  if (!WEIGHT_TIERS.includes(verdict.weight)) throw new Error(`weight ${verdict.weight} is not a tier`);
+  if (!DIMENSIONS.includes(verdict.dimension)) throw new Error(`dimension "${verdict.dimension}" is unknown`);
+  const { crisisLikelihood } = verdict;
+  if (typeof crisisLikelihood !== 'number' || crisisLikelihood < 0 || crisisLikelihood > 1) {
+    throw new Error('crisisLikelihood must be a number from 0 to 1');
+  }
+  if (verdict.footing !== null && !FOOTINGS.includes(verdict.footing)) throw new Error(`footing "${verdict.footing}" is unknown`);
+
+  return verdict;
+}
+
+/**
+ * @param {Object} analysis - analyzeMessage() result
+ * @param {Object} verdict - From parseVerdict()
+ * @param {Object} llm - What the tier did, recorded on the result
+ * @returns {Object} analysis with the higher weight, its dimension and the verdict's footing
+ */
+function mergeVerdict(analysis, verdict, llm) {
+  const crisis = verdict.crisisLikelihood >= CRISIS_THRESHOLD;
+  const verdictWeight = crisis ? 21 : verdict.weight;
+  const verdictDimension = crisis ? 'psychology' : verdict.dimension;
+  const reading = { type: verdictDimension, weight: verdictWeight, categories: crisis ? ['crisis_phrase'] : [], markers: [], tier: 'llm' };
+
+  // The verdict leads only when it weighs more; a keyword crisis_phrase always leads
+  const keywordCrisis = analysis.dimensions[0]?.categories?.includes('crisis_phrase');
+  const leads = verdictWeight > analysis.weight || (verdictWeight === analysis.weight && !keywordCrisis);
+  const weight = leads ? verdictWeight : analysis.weight;
+  const dimension = leads ? verdictDimension : analysis.dimension;
+
+  // Whichever leads, the other's layered dimensions stay behind it
+  const layered = d => !['context', 'noise'].includes(d.type);
+  let dimensions = analysis.dimensions;
+  if (leads) {
+    dimensions = [reading, ...analysis.dimensions.filter(d => d.type !== verdictDimension && layered(d))];
+  } else if (layered(reading) && !analysis.dimensions.some(d => d.type === verdictDimension)) {
+    dimensions = [...analysis.dimensions, reading];
+  }
+
+  const footingSignals = verdict.footing && !analysis.footingSignals.includes(verdict.footing)
+    ? [...analysis.footingSignals, verdict.footing]
+    : analysis.footingSignals;
+
+  const merged = {
+    ...analysis,
+    weight,
+    dimension,
+    isNoise: dimension === 'noise',
+    isMultiDimensional: dimensions.length > 1,
+    dimensions,
+    footingSignals,
+    tier: 'llm',
+    llm: { ...llm, crisisLikelihood: verdict.crisisLikelihood }
+  };
+  merged.abtLogline = generateABTLogline(merged);
+  return merged;
+}
+
+// ═══════════════════════════════════════════════════════
+// CLASSIFIER
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} options
+ * @param {Object} options.llm - LLM provider (llm-provider.js); a stub in tests
+ * @param {number} [options.timeoutMs] - Hard timeout for the whole call
+ * @returns {Object} { name, refine(message, analysis, { signal }) }
+ */
+function createLLMClassifier(options) {
+  const { llm, timeoutMs = DEFAULT_TIMEOUT_MS } = options;
+
+  // The whole reply, or a rejection on timeout, abort or provider error
+  async function complete(message, signal) {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort();
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    let timer = null;
+    const stream = llm.stream({
+      system: SYSTEM_PROMPT,
+      messages: [{ role: 'user', content: message }],
+      maxTokens: MAX_TOKENS,
+      signal: controller.signal
+    });
+
+    async function collect() {
+      let text = '';
+      for await (const delta of stream) text += delta;
+      if (controller.signal.aborted) throw new Error(signal?.aborted ? 'aborted' : 'timeout');
+      return text;
+    }
+
+    // Raced, not just aborted, so a provider that ignores the signal can't hold the turn
+    const deadline = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort();
+        stream.abort?.();
+        reject(new Error('timeout'));
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([collect(), deadline]);
+    } finally {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    }
+  }
+
+  /**
+   * @param {string} message
+   * @param {Object} analysis - analyzeMessage() result
+   * @param {Object} [refineOptions] - { signal } the turn's, aborts the call on barge-in
+   * @returns {Promise<Object>|null} null when the keyword pass is confident;
+   *   otherwise resolves (never rejects) to the merged or keyword result
+   */
+  function refine(message, analysis, refineOptions = {}) {
+    const reason = lowConfidenceReason(message, analysis);
+    if (!reason) return null;
+
+    const startTime = Date.now();
+    return complete(message, refineOptions.signal)
+      .then(text => mergeVerdict(analysis, parseVerdict(text), { model: llm.model, ms: Date.now() - startTime, reason }))
+      .catch(err => {
+        console.warn(`[Classifier] LLM tier ${reason} — kept keyword pass: ${err.message}`);
+        return { ...analysis, tier: 'keyword', llm: { reason, error: err.message } };
+      });
+  }
+
+  return { name: llm.name, refine };
+}
+
+/**
+ * The tier from the environment, or null when CLASSIFIER_LLM is not on.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.anthropic] - Anthropic client, required unless LLM_PROVIDER=stub
+ * @param {Object} [options.env]
+ */
+function createLLMClassifierFromEnv(options = {}) {
+  const { anthropic = null, env = process.env } = options;
+  const config = resolveLLMClassifierConfig(env);
+  if (!config.enabled) return null;
+  const stub = (env.LLM_PROVIDER || '').toLowerCase() === 'stub';
+  if (!stub && !anthropic) throw new Error('CLASSIFIER_LLM=on needs an Anthropic client (or LLM_PROVIDER=stub)');
+
+  const llm = stub
+    ? createStubProvider({ name: 'stub-classifier', respond: () => JSON.stringify(STUB_VERDICT) })
+    : createAnthropicProvider({ client: anthropic, model: config.model });
+  return createLLMClassifier({ llm, timeoutMs: config.timeoutMs });
+}
+
+module.exports = {
+  createLLMClassifier,
+  createLLMClassifierFromEnv,
+  resolveLLMClassifierConfig,
+  lowConfidenceReason,
+  parseVerdict,
+  mergeVerdict,
+  STUB_VERDICT,
+  CRISIS_THRESHOLD
+};
@@ -0,0 +1,377 @@
+/**
+ * LLM Provider Module
+ *
+ * One streaming interface for every model the pipeline can call, so the
+ * invariant gate and TTS never know which provider answered:
+ *
+ *   const stream = llm.stream({ system, messages, maxTokens, signal });
+ *   for await (const text of stream) { ... }   // text deltas only
+ *   stream.abort();                             // gate cut or barge-in
+ *   stream.meta                                 // { provider, model, attempts, failover, errors[] }
+ *
+ * PROVIDERS:
+ *   anthropic — Claude via messages.stream
+ *   stub      — deterministic local replies, no network (tests, local dev)
+ *
+ * FAILOVER: createFailoverProvider() wraps an ordered list of providers.
+ * Retryable errors (timeout, 5xx, 429, dropped connection) are retried with
+ * exponential backoff. A timeout or 5xx that outlasts the retries moves on to
+ * the next provider — by default a faster Claude tier. Nothing is retried
+ * once text has streamed: it may already be on its way to TTS.
+ *
+ * ENVIRONMENT:
+ *   LLM_PROVIDER=anthropic|stub   — default anthropic
+ *   MODEL_NAME                     — primary model
+ *   FALLBACK_MODEL_NAME            — secondary model, 'off' disables failover
+ *   LLM_MAX_RETRIES                — retries per provider (default 1)
+ *   LLM_TIMEOUT_MS                 — time allowed to the first token (default 8000, 0 = none)
+ *
+ * MRA Architecture: Stage 4 — llm-provider.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { setTimeout: sleep } = require('timers/promises');
+
+// ═══════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════
+
+const DEFAULT_MODEL = 'claude-sonnet-4-20250514';
+const DEFAULT_FALLBACK_MODEL = 'claude-3-5-haiku-latest';
+const DEFAULT_MAX_TOKENS = 400;
+const DEFAULT_MAX_RETRIES = 1;
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_BACKOFF_MS = 250;
+const MAX_BACKOFF_MS = 2000;
+
+// Deterministic stub reply — passes the gate at every weight
+const STUB_REPLY = 'I hear you.';
+
+function parseNonNegativeInt(value, fallback) {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+// ═══════════════════════════════════════════════════════
+// ERRORS — what kind of failure, and what to do about it
+// ═══════════════════════════════════════════════════════
+
+const RETRYABLE_KINDS = new Set(['timeout', 'server', 'rate_limit', 'connection']);
+const FAILOVER_KINDS = new Set(['timeout', 'server']);
+
+/**
+ * @param {Error} err
+ * @returns {string} 'timeout' | 'server' | 'rate_limit' | 'connection' | 'client' | 'unknown'
+ */
+function classifyError(err) {
+  if (err?.code === 'LLM_TIMEOUT' || err?.name === 'APIConnectionTimeoutError') return 'timeout';
+
+  // Errors sent mid-stream arrive without an HTTP status
+  const type = err?.error?.error?.type || err?.error?.type;
+  if (type === 'overloaded_error' || type === 'api_error') return 'server';
+
+  const status = err?.status;
+  if (status === 429) return 'rate_limit';
+  if (status >= 500) return 'server';
+  if (status >= 400) return 'client';
+
+  if (err?.name === 'APIConnectionError' || ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN'].includes(err?.code)) {
+    return 'connection';
+  }
+  return 'unknown';
+}
+
+function timeoutError(timeoutMs) {
+  const err = new Error(`No tokens within ${timeoutMs}ms`);
+  err.code = 'LLM_TIMEOUT';
+  return err;
+}
+
+function abortError() {
+  const err = new Error('LLM request aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Honors retry-after on 429s, otherwise doubles from baseMs
+function backoffDelay(retry, baseMs, err) {
+  const retryAfter = Number(err?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) return Math.min(retryAfter * 1000, MAX_BACKOFF_MS);
+  return Math.min(baseMs * 2 ** retry, MAX_BACKOFF_MS);
+}
+
+// ═══════════════════════════════════════════════════════
+// TEXT STREAM — the object every provider returns
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Wraps an async generator of text deltas with abort() and meta.
+ *
+ * @param {Function} produce - async function* (signal, meta) yielding strings
+ * @param {AbortSignal} [parentSignal] - Caller's signal (the turn), aborts the stream too
+ */
+function createTextStream(produce, parentSignal) {
+  const controller = new AbortController();
+  const meta = { provider: null, model: null, attempts: 0, failover: false, errors: [] };
+
+  if (parentSignal?.aborted) controller.abort();
+  else parentSignal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  const iterator = produce(controller.signal, meta);
+
+  return {
+    meta,
+    signal: controller.signal,
+    abort: () => controller.abort(),
+    [Symbol.asyncIterator]: () => iterator
+  };
+}
+
+// Times out only the wait for the first delta — once text flows, the turn's
+// own barge-in and gate handling take over.
+async function* withFirstTokenTimeout(upstream, timeoutMs) {
+  const iterator = upstream[Symbol.asyncIterator]();
+  let timer = null;
+
+  try {
+    let first;
+    if (timeoutMs > 0) {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          upstream.abort();
+          reject(timeoutError(timeoutMs));
+        }, timeoutMs);
+      });
+      first = await Promise.race([iterator.next(), timeout]);
+      clearTimeout(timer);
+    } else {
+      first = await iterator.next();
+    }
+
+    if (first.done) return;
+    yield first.value;
+    for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+      yield next.value;
+    }
+  } finally {
+    clearTimeout(timer);
+    // Not awaited: after a timeout the upstream may still be unwinding its abort
+    iterator.return?.().catch(() => {});
+  }
+}
+
+// ═══════════════════════════════════════════════════════
+// PROVIDERS
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Claude through @anthropic-ai/sdk. The SDK's own retries are switched off;
+ * createFailoverProvider() owns retry policy.
+ *
+ * @param {Object} options
+ * @param {Object} options.client - Anthropic client
+ * @param {string} [options.model]
+ * @param {string} [options.name]
+ */
+function createAnthropicProvider(options) {
+  const { client, model = DEFAULT_MODEL, name = `anthropic:${model}` } = options;
+
+  function stream(request) {
+    return createTextStream(async function* (signal, meta) {
+      Object.assign(meta, { provider: name, model, attempts: 1 });
+
+      const upstream = await client.messages.stream({
+        model,
+        max_tokens: request.maxTokens || DEFAULT_MAX_TOKENS,
+        system: request.system,
+        messages: request.messages
+      }, { maxRetries: 0 });
+
+      const onAbort = () => upstream.abort?.();
+      if (signal.aborted) onAbort();
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      try {
+        for await (const chunk of upstream) {
+          if (signal.aborted) throw abortError();
+          if (chunk.type === 'content_block_delta' && chunk.delta.type === 'text_delta') {
+            yield chunk.delta.text;
+          }
+        }
+      } finally {
+        signal.removeEventListener('abort', onAbort);
+      }
+    }, request.signal);
+  }
+
+  return { name, model, stream };
+}
+
+/**
+ * Deterministic local provider — same streaming shape, no network.
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.replies] - Returned in order, then STUB_REPLY
+ * @param {Function} [options.respond] - (request) => string, overrides replies
+ * @param {Array} [options.failures] - Thrown by successive calls before any reply:
+ *   Error instances, HTTP statuses (503) or 'timeout' (never sends a token)
+ * @param {number} [options.chunkDelayMs] - Delay between word deltas
+ */
+function createStubProvider(options = {}) {
+  const {
+    name = 'stub',
+    model = 'stub',
+    replies = [],
+    respond = null,
+    failures = [],
+    chunkDelayMs = 0
+  } = options;
+
+  const queue = [...replies];
+  const pendingFailures = [...failures];
+  let calls = 0;
+
+  function stream(request) {
+    return createTextStream(async function* (signal, meta) {
+      calls++;
+      Object.assign(meta, { provider: name, model, attempts: 1 });
+
+      const failure = pendingFailures.shift();
+      if (failure === 'timeout') {
+        // Hangs until aborted, like a stalled upstream
+        await sleep(2 ** 31 - 1, null, { signal }).catch(() => {});
+        throw abortError();
+      }
+      if (failure instanceof Error) throw failure;
+      if (Number.isInteger(failure)) {
+        const err = new Error(`Stub HTTP ${failure}`);
+        err.status = failure;
+        throw err;
+      }
+
+      const text = respond ? await respond(request) : (queue.length > 0 ? queue.shift() : STUB_REPLY);
+      for (const piece of text.split(/(?= )/)) {
+        if (chunkDelayMs > 0) await sleep(chunkDelayMs, null, { signal }).catch(() => {});
+        if (signal.aborted) return;
+        yield piece;
+      }
+    }, request.signal);
+  }
+
+  return { name, model, stream, calls: () => calls };
+}
+
+/**
+ * Retries and fails over across an ordered list of providers.
+ *
+ * @param {Object} options
+ * @param {Object[]} options.providers - Primary first
+ * @param {number} [options.maxRetries] - Retries per provider
+ * @param {number} [options.timeoutMs] - Time to first token, 0 disables
+ * @param {number} [options.backoffMs] - First retry delay, doubled each retry
+ */
+function createFailoverProvider(options) {
+  const {
+    providers,
+    maxRetries = DEFAULT_MAX_RETRIES,
+    timeoutMs = DEFAULT_TIMEOUT_MS,
+    backoffMs = DEFAULT_BACKOFF_MS
+  } = options;
+  if (!providers?.length) throw new Error('createFailoverProvider needs at least one provider');
+
+  function stream(request) {
+    return createTextStream(async function* (signal, meta) {
+      for (let index = 0; index < providers.length; index++) {
+        const provider = providers[index];
+
+        for (let retry = 0; retry <= maxRetries; retry++) {
+          if (signal.aborted) throw abortError();
+          meta.attempts++;
+          Object.assign(meta, { provider: provider.name, model: provider.model, failover: index > 0 });
+
+          const upstream = provider.stream({ ...request, signal });
+          let streamed = false;
+          try {
+            for await (const text of withFirstTokenTimeout(upstream, timeoutMs)) {
+              streamed = true;
+              yield text;
+            }
+            return;
+          } catch (err) {
+            if (streamed || signal.aborted) throw err;
+
+            const kind = classifyError(err);
+            meta.errors.push({ provider: provider.name, kind, status: err.status || null, message: err.message });
+            console.warn(`[LLM] ${provider.name} failed (${kind}${err.status ? ` ${err.status}` : ''}): ${err.message}`);
+
+            if (!RETRYABLE_KINDS.has(kind)) throw err;
+            if (retry < maxRetries) {
+              const delay = backoffDelay(retry, backoffMs, err);
+              console.log(`[LLM] Retrying ${provider.name} in ${delay}ms (${retry + 1}/${maxRetries})`);
+              await sleep(delay, null, { signal }).catch(() => {});
+              continue;
+            }
+            if (FAILOVER_KINDS.has(kind) && index < providers.length - 1) {
+              console.log(`[LLM] Failing over ${provider.name} → ${providers[index + 1].name}`);
+              break;
+            }
+            throw err;
+          }
+        }
+      }
+    }, request.signal);
+  }
+
+  return {
+    name: providers.map(p => p.name).join(' → '),
+    model: providers[0].model,
+    providers,
+    stream
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// FACTORY — provider chain from the environment
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.anthropic] - Anthropic client, required unless LLM_PROVIDER=stub
+ * @param {Object} [options.env]
+ * @returns {Object} Provider: { name, model, stream(request) }
+ */
+function createLLMProvider(options = {}) {
+  const { anthropic = null, env = process.env } = options;
+
+  if ((env.LLM_PROVIDER || 'anthropic').toLowerCase() === 'stub') {
+    console.log('[LLM] Using deterministic stub provider');
+    return createStubProvider();
+  }
+  if (!anthropic) throw new Error('createLLMProvider needs an Anthropic client (or LLM_PROVIDER=stub)');
+
+  const primaryModel = env.MODEL_NAME || DEFAULT_MODEL;
+  const fallbackModel = env.FALLBACK_MODEL_NAME || DEFAULT_FALLBACK_MODEL;
+
+  const providers = [createAnthropicProvider({ client: anthropic, model: primaryModel })];
+  if (fallbackModel.toLowerCase() !== 'off' && fallbackModel !== primaryModel) {
+    providers.push(createAnthropicProvider({ client: anthropic, model: fallbackModel }));
+  }
+
+  return createFailoverProvider({
+    providers,
+    maxRetries: parseNonNegativeInt(env.LLM_MAX_RETRIES, DEFAULT_MAX_RETRIES),
+    timeoutMs: parseNonNegativeInt(env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS)
+  });
+}
+
+module.exports = {
+  createLLMProvider,
+  createAnthropicProvider,
+  createStubProvider,
+  createFailoverProvider,
+  createTextStream,
+  classifyError,
+  DEFAULT_MODEL,
+  DEFAULT_FALLBACK_MODEL,
+  STUB_REPLY
+};
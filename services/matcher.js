@@ -0,0 +1,161 @@
+/**
+ * Matcher Module — whole-word lexicon matching
+ *
+ * Every keyword list used to be matched with includes(), so "ex" fired on
+ * "next", "hi" on "this", "won" on "wonder", "no" on "know", and Carta's
+ * "adder" inside longer words. A matcher compiles a list once into a trie
+ * of words and matches whole tokens only:
+ *
+ *   "kiss"        — the word, or the word plus one of the lexicon's
+ *                   inflections ("kisses", "kissed") once it has
+ *                   MIN_STEM_LENGTH letters; "hi" and "ex" never inflect
+ *   "can't go on" — a phrase: consecutive words with no punctuation between
+ *   "preocup*"    — any word starting with "preocup" (stems: preocupada,
+ *                   preocupação)
+ *   "*n't"        — any word ending in "n't"
+ *
+ * An elided article or pronoun doesn't hide the word after it: "l'angoisse"
+ * matches "angoisse". Hyphens join nothing, so "parle-moi" is two words.
+ *
+ * Text is folded (lowercase, no accents, straight apostrophes) on both sides.
+ *
+ * MRA Architecture: Stage 1 — matcher.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const WORD_PATTERN = /[a-z0-9\u00c0-\u024f]+(?:'[a-z0-9\u00c0-\u024f]+)*/g;
+const BREAK_PATTERN = /[.!?;:,—"“”«»]/;
+const ELISION = /^[a-z]{1,2}'(?=.)/;
+const MIN_STEM_LENGTH = 3;
+
+function foldText(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\u2018\u2019]/g, "'");
+}
+
+/**
+ * Words of folded text. breakBefore marks punctuation since the previous
+ * word, which a phrase can't span.
+ *
+ * @param {string} text - Folded text
+ * @returns {Array} [{ text, start, end, breakBefore }]
+ */
+function tokenize(text) {
+  const tokens = [];
+  let last = 0;
+  for (const match of text.matchAll(WORD_PATTERN)) {
+    const start = match.index;
+    tokens.push({ text: match[0], start, end: start + match[0].length, breakBefore: BREAK_PATTERN.test(text.slice(last, start)) });
+    last = start + match[0].length;
+  }
+  return tokens;
+}
+
+// ═══════════════════════════════════════════════════════
+// COMPILE
+// ═══════════════════════════════════════════════════════
+
+function createNode() {
+  return { words: new Map(), wildcards: new Map(), entries: [] };
+}
+
+function wildcardTest(word) {
+  if (word.length > 1 && word.startsWith('*')) return (t) => t.endsWith(word.slice(1));
+  if (word.length > 1 && word.endsWith('*')) return (t) => t.startsWith(word.slice(0, -1));
+  return null;
+}
+
+/**
+ * @param {Array<string>} entries - Words, phrases and wildcards (see header)
+ * @param {Object} [options]
+ * @param {Array<string>} [options.inflections] - Suffixes a word may carry, e.g. ['s', 'ed', 'ing']
+ * @returns {Object} { entries, scan(tokens), find(text), test(text) }
+ */
+function compileMatcher(entries = [], options = {}) {
+  const { inflections = [] } = options;
+  const root = createNode();
+  const folded = entries.map(foldText);
+
+  for (const entry of folded) {
+    const words = entry.split(/[\s-]+/).filter(Boolean);
+    if (words.length === 0) continue;
+    let node = root;
+    for (const word of words) {
+      const test = wildcardTest(word);
+      const children = test ? node.wildcards : node.words;
+      if (!children.has(word)) children.set(word, test ? { test, node: createNode() } : createNode());
+      node = test ? children.get(word).node : children.get(word);
+    }
+    node.entries.push(entry);
+  }
+
+  // The token as written, after an elision, and with an inflection removed
+  function forms(token) {
+    const bases = [token];
+    const elided = token.replace(ELISION, '');
+    if (elided !== token) bases.push(elided);
+    const result = [...bases];
+    for (const base of bases) {
+      for (const suffix of inflections) {
+        if (base.endsWith(suffix) && base.length - suffix.length >= MIN_STEM_LENGTH) result.push(base.slice(0, -suffix.length));
+      }
+    }
+    return { bases, result };
+  }
+
+  function children(node, token) {
+    const { bases, result } = forms(token);
+    const next = [];
+    for (const form of result) {
+      if (node.words.has(form)) next.push(node.words.get(form));
+    }
+    for (const { test, node: child } of node.wildcards.values()) {
+      if (bases.some(test)) next.push(child);
+    }
+    return [...new Set(next)];
+  }
+
+  /**
+   * Every occurrence, in text order.
+   * @param {Array} tokens - From tokenize()
+   * @returns {Array} [{ entry, from, to }] token indices, to exclusive
+   */
+  function scan(tokens) {
+    const found = [];
+    for (let i = 0; i < tokens.length; i++) {
+      const stack = [[root, i]];
+      while (stack.length > 0) {
+        const [node, j] = stack.pop();
+        if (j > i) node.entries.forEach(entry => found.push({ entry, from: i, to: j }));
+        if (j < tokens.length && (j === i || !tokens[j].breakBefore)) {
+          children(node, tokens[j].text).forEach(child => stack.push([child, j + 1]));
+        }
+      }
+    }
+    return found;
+  }
+
+  // Character offsets into the folded text
+  function find(text) {
+    const tokens = tokenize(foldText(text || ''));
+    return scan(tokens).map(({ entry, from, to }) => ({ entry, start: tokens[from].start, end: tokens[to - 1].end }));
+  }
+
+  return {
+    entries: folded,
+    scan,
+    find,
+    test: (text) => find(text).length > 0
+  };
+}
+
+module.exports = {
+  compileMatcher,
+  tokenize,
+  foldText,
+  WORD_PATTERN,
+  MIN_STEM_LENGTH
+};
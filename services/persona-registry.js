@@ -0,0 +1,203 @@
+/**
+ * Persona Registry Module
+ *
+ * Loads every persona from its own directory under personas/ and validates
+ * it at startup. Adding a persona means adding personas/<id>/index.js —
+ * server.js no longer changes.
+ *
+ * A persona exports:
+ *   id                 — must match its directory name
+ *   name, version      — display name and prompt version
+ *   prompt             — the full system prompt
+ *   promptEngine       — { identityCore, invariantRules, weightCalibrations,
+ *                          resistanceInstructions }, see prompt-engine.js
+ *   calibration        — length/weight table from resolveCalibration(), see calibration.js
+ *   voice              — { voiceId, modelId, fastModelId?, multilingualModelId?, settings }, see tts.js
+ *   avatarId           — Simli face id
+ *   backchannels       — same tiers as BACKCHANNELS in backchannel.js
+ *   invariantOverrides — { disabled: [...], severity: {...} }, see invariant-gate.js
+ *   scaffoldLibrary    — same shape as scaffold-library.json
+ *
+ * An invalid persona stops the server at boot rather than failing mid-session.
+ *
+ * MRA Architecture: Stage 0 — persona-registry.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { BACKCHANNELS } = require('./backchannel');
+const { INVARIANTS, SEVERITIES } = require('./invariant-gate');
+const { TIERS } = require('./calibration');
+
+const PERSONAS_DIR = path.join(__dirname, '..', 'personas');
+const DEFAULT_PERSONA_ID = 'aline';
+
+// ═══════════════════════════════════════════════════════
+// VALIDATION — returns a list of problems, empty when valid
+// ═══════════════════════════════════════════════════════
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.trim().length > 0;
+}
+
+function validatePersona(persona, dirName = persona?.id) {
+  const errors = [];
+  if (!persona || typeof persona !== 'object') return ['persona must export an object'];
+
+  if (!isNonEmptyString(persona.id)) errors.push('id is required');
+  else if (persona.id !== dirName) errors.push(`id "${persona.id}" does not match directory "${dirName}"`);
+  if (!isNonEmptyString(persona.name)) errors.push('name is required');
+  if (!isNonEmptyString(persona.version)) errors.push('version is required');
+  if (!isNonEmptyString(persona.prompt)) errors.push('prompt is required');
+  if (!isNonEmptyString(persona.avatarId)) errors.push('avatarId is required');
+
+  const engine = persona.promptEngine || {};
+  if (!isNonEmptyString(engine.identityCore)) errors.push('promptEngine.identityCore is required');
+  if (!isNonEmptyString(engine.invariantRules)) errors.push('promptEngine.invariantRules is required');
+  for (const field of ['weightCalibrations', 'resistanceInstructions']) {
+    if (!engine[field] || typeof engine[field] !== 'object' || Object.keys(engine[field]).length === 0) {
+      errors.push(`promptEngine.${field} is required`);
+    }
+  }
+  for (const [key, calibration] of Object.entries(engine.weightCalibrations || {})) {
+    if (!Number.isFinite(Number(key)) || !isNonEmptyString(calibration?.label) || !isNonEmptyString(calibration?.instruction)) {
+      errors.push(`promptEngine.weightCalibrations["${key}"] needs a numeric key, label and instruction`);
+    }
+  }
+  if (engine.weightCalibrations && !engine.weightCalibrations[1]) {
+    errors.push('promptEngine.weightCalibrations must start at weight 1');
+  }
+
+  const calibration = persona.calibration || {};
+  for (const tier of TIERS) {
+    const entry = calibration[tier];
+    const [minWords, maxWords] = entry?.words || [];
+    if (!entry) {
+      errors.push(`calibration.${tier} is missing`);
+    } else if (!(minWords >= 1 && maxWords >= minWords) || !(entry.maxSentences >= 1)) {
+      errors.push(`calibration.${tier} needs words [min, max] with 1 ≤ min ≤ max and maxSentences ≥ 1`);
+    }
+  }
+
+  const voice = persona.voice || {};
+  if (!isNonEmptyString(voice.voiceId)) errors.push('voice.voiceId is required');
+  if (!isNonEmptyString(voice.modelId)) errors.push('voice.modelId is required');
+  for (const field of ['fastModelId', 'multilingualModelId']) {
+    if (voice[field] !== undefined && !isNonEmptyString(voice[field])) errors.push(`voice.${field} must be a model id`);
+  }
+  if (!voice.settings || typeof voice.settings !== 'object') errors.push('voice.settings is required');
+
+  const backchannels = persona.backchannels || {};
+  for (const tier of Object.keys(BACKCHANNELS)) {
+    const set = backchannels[tier];
+    if (!set) {
+      errors.push(`backchannels.${tier} is missing`);
+    } else if (!Array.isArray(set.verbal) || set.verbal.length === 0 || !isNonEmptyString(set.avatarCue)) {
+      errors.push(`backchannels.${tier} needs verbal[] and avatarCue`);
+    }
+  }
+
+  const overrides = persona.invariantOverrides || {};
+  for (const invariant of overrides.disabled || []) {
+    if (!INVARIANTS.includes(invariant)) errors.push(`invariantOverrides.disabled: unknown invariant ${invariant}`);
+  }
+  for (const [invariant, severity] of Object.entries(overrides.severity || {})) {
+    if (!INVARIANTS.includes(invariant)) errors.push(`invariantOverrides.severity: unknown invariant ${invariant}`);
+    if (!SEVERITIES.includes(severity)) errors.push(`invariantOverrides.severity.${invariant}: unknown severity ${severity}`);
+  }
+
+  const library = persona.scaffoldLibrary;
+  if (!library || typeof library !== 'object' || Object.keys(library).length === 0) {
+    errors.push('scaffoldLibrary must contain at least one scaffold');
+  } else {
+    for (const [key, scaffold] of Object.entries(library)) {
+      if (!isNonEmptyString(scaffold.goldStandard) || !Number.isFinite(scaffold.maxWords)) {
+        errors.push(`scaffoldLibrary["${key}"] needs goldStandard and maxWords`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════
+// REGISTRY
+// ═══════════════════════════════════════════════════════
+
+// Public view for /health and /personas — never includes the prompt text
+function describePersona(persona) {
+  return {
+    id: persona.id,
+    name: persona.name,
+    version: persona.version,
+    voiceId: persona.voice.voiceId,
+    voiceModel: persona.voice.modelId,
+    avatarId: persona.avatarId,
+    backchannelTiers: Object.keys(persona.backchannels),
+    invariantOverrides: persona.invariantOverrides || {},
+    calibration: Object.fromEntries(Object.entries(persona.calibration)
+      .map(([tier, { words, maxSentences, enforced }]) => [tier, { words, maxSentences, enforced }])),
+    scaffoldCount: Object.keys(persona.scaffoldLibrary).length,
+    promptChars: persona.prompt.length,
+    identityCoreChars: persona.promptEngine.identityCore.length
+  };
+}
+
+/**
+ * Loads and validates every persona directory.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.dir] - Defaults to personas/
+ * @param {string} [options.defaultId] - Persona used for unknown ids
+ * @returns {Object} { get, has, ids, list, defaultId }
+ * @throws {Error} listing every invalid persona
+ */
+function loadPersonaRegistry(options = {}) {
+  const { dir = PERSONAS_DIR, defaultId = DEFAULT_PERSONA_ID } = options;
+
+  const personas = new Map();
+  const problems = [];
+
+  const entries = fs.readdirSync(dir, { withFileTypes: true }).filter(e => e.isDirectory());
+  for (const entry of entries) {
+    let persona;
+    try {
+      persona = require(path.join(dir, entry.name));
+    } catch (err) {
+      problems.push(`${entry.name}: failed to load — ${err.message}`);
+      continue;
+    }
+
+    const errors = validatePersona(persona, entry.name);
+    if (errors.length > 0) {
+      problems.push(`${entry.name}: ${errors.join('; ')}`);
+      continue;
+    }
+    personas.set(persona.id, { invariantOverrides: {}, ...persona });
+  }
+
+  if (!personas.has(defaultId)) problems.push(`default persona "${defaultId}" not found`);
+  if (problems.length > 0) {
+    throw new Error(`[Personas] Invalid persona registry:\n  ${problems.join('\n  ')}`);
+  }
+
+  console.log(`[Personas] Loaded ${[...personas.values()].map(p => `${p.id}@${p.version}`).join(', ')}`);
+
+  return {
+    defaultId,
+    // Unknown or missing ids fall back to the default persona
+    get: (id) => personas.get(id) || personas.get(defaultId),
+    has: (id) => personas.has(id),
+    ids: () => [...personas.keys()],
+    list: () => [...personas.values()].map(describePersona)
+  };
+}
+
+module.exports = {
+  loadPersonaRegistry,
+  validatePersona,
+  describePersona,
+  PERSONAS_DIR,
+  DEFAULT_PERSONA_ID
+};
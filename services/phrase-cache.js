@@ -0,0 +1,205 @@
+/**
+ * Phrase Cache Module — content-addressed PCM for repeated short lines
+ *
+ * The persona prompts pull Aline toward a small set of recurring short
+ * lines — "Mm.", "Stay there.", "I'm here.", "That weight is real." — and
+ * each was re-synthesized every time. The TTS service now checks this cache
+ * first for any chunk up to maxChars long.
+ *
+ * KEY: sha256 of voice id, model id, voice settings, normalized text and
+ * the language code when one is sent. Normalization only removes
+ * differences that can't change the audio —
+ * whitespace runs, curly vs straight quotes, "…" vs "..." — case and
+ * punctuation stay, since they change prosody.
+ *
+ * MEMORY: LRU bounded by total PCM bytes (TTS_CACHE_MAX_MB, default 32).
+ * DISK (TTS_CACHE_DIR, optional): every entry is also written as <key>.pcm,
+ * and a memory miss checks disk before synthesizing, so a restart keeps the
+ * cache warm. Disk is not size-bounded — entries are short phrases.
+ *
+ * METRICS: hits, misses, hit rate, and the mean time to first audio for
+ * each, so the latency win is visible on /health.
+ *
+ * MRA Architecture: Stage 7 — phrase-cache.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_MAX_MB = 32;
+const DEFAULT_MAX_CHARS = 80;
+
+function resolvePhraseCacheConfig(env = process.env) {
+  const maxMb = parseFloat(env.TTS_CACHE_MAX_MB);
+  const maxChars = parseInt(env.TTS_CACHE_MAX_CHARS, 10);
+  return {
+    enabled: (env.TTS_CACHE || '').toLowerCase() !== 'off',
+    maxBytes: Math.round((Number.isFinite(maxMb) && maxMb >= 0 ? maxMb : DEFAULT_MAX_MB) * 1024 * 1024),
+    maxChars: Number.isInteger(maxChars) && maxChars > 0 ? maxChars : DEFAULT_MAX_CHARS,
+    dir: env.TTS_CACHE_DIR || null
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// KEYS
+// ═══════════════════════════════════════════════════════
+
+function normalizePhrase(text) {
+  return text
+    .replace(/[“”„]/g, '"')
+    .replace(/[‘’‚]/g, "'")
+    .replace(/…/g, '...')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Settings are serialized with sorted keys so field order never splits entries
+function stableSettings(settings = {}) {
+  return Object.keys(settings).sort().map(field => [field, settings[field]]);
+}
+
+/**
+ * @param {Object} voice - { voiceId, settings }
+ * @param {string} modelId - The model actually used (fast or full)
+ * @param {string} text
+ * @param {string} [languageCode] - Sent to the model, part of the key only when set
+ * @returns {string} 32 hex chars
+ */
+function phraseKey(voice, modelId, text, languageCode = null) {
+  const parts = [voice.voiceId, modelId, stableSettings(voice.settings), normalizePhrase(text)];
+  if (languageCode) parts.push(languageCode);
+  return crypto.createHash('sha256')
+    .update(JSON.stringify(parts))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+// ═══════════════════════════════════════════════════════
+// CACHE
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options] - Defaults from resolvePhraseCacheConfig()
+ * @param {number} [options.maxBytes] - Memory limit for cached PCM
+ * @param {number} [options.maxChars] - Longer text is never cached
+ * @param {string} [options.dir] - Persist entries here; null keeps them in memory only
+ *
+ * @returns {Object} { get(key), set(key, pcm), cacheable(text), recordLatency(hit, ms), stats(), maxChars }
+ */
+function createPhraseCache(options = {}) {
+  const { maxBytes, maxChars, dir } = { ...resolvePhraseCacheConfig(), ...options };
+
+  // Map iteration order is the LRU order — oldest first
+  const entries = new Map();
+  let bytes = 0;
+  const counters = { hits: 0, diskHits: 0, misses: 0, stores: 0, evictions: 0 };
+  const latency = { hitMs: 0, hitCount: 0, missMs: 0, missCount: 0 };
+
+  if (dir) fs.mkdirSync(dir, { recursive: true });
+
+  function remember(key, pcm) {
+    if (entries.has(key)) {
+      bytes -= entries.get(key).length;
+      entries.delete(key);
+    }
+    if (pcm.length > maxBytes) return;
+    entries.set(key, pcm);
+    bytes += pcm.length;
+    for (const [oldest, evicted] of entries) {
+      if (bytes <= maxBytes) break;
+      entries.delete(oldest);
+      bytes -= evicted.length;
+      counters.evictions++;
+    }
+  }
+
+  function filePath(key) {
+    return path.join(dir, `${key}.pcm`);
+  }
+
+  // Buffer or null. Memory first, then disk.
+  async function get(key) {
+    const cached = entries.get(key);
+    if (cached) {
+      entries.delete(key);
+      entries.set(key, cached);
+      counters.hits++;
+      return cached;
+    }
+
+    if (dir) {
+      try {
+        const pcm = await fs.promises.readFile(filePath(key));
+        if (pcm.length > 0) {
+          remember(key, pcm);
+          counters.hits++;
+          counters.diskHits++;
+          return pcm;
+        }
+      } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[PhraseCache] Read failed ${key}:`, err.message);
+      }
+    }
+
+    counters.misses++;
+    return null;
+  }
+
+  function set(key, pcm) {
+    if (!pcm?.length) return;
+    remember(key, pcm);
+    counters.stores++;
+    if (dir) {
+      fs.promises.writeFile(filePath(key), pcm).catch(err =>
+        console.error(`[PhraseCache] Write failed ${key}:`, err.message));
+    }
+  }
+
+  function cacheable(text) {
+    return normalizePhrase(text).length <= maxChars;
+  }
+
+  // Time from request to first audio byte, split by cache outcome
+  function recordLatency(hit, ms) {
+    if (hit) {
+      latency.hitMs += ms;
+      latency.hitCount++;
+    } else {
+      latency.missMs += ms;
+      latency.missCount++;
+    }
+  }
+
+  function stats() {
+    const lookups = counters.hits + counters.misses;
+    const avgHitMs = latency.hitCount ? Math.round(latency.hitMs / latency.hitCount) : null;
+    const avgMissMs = latency.missCount ? Math.round(latency.missMs / latency.missCount) : null;
+    return {
+      ...counters,
+      hitRate: lookups ? Math.round((counters.hits / lookups) * 1000) / 1000 : null,
+      entries: entries.size,
+      bytes,
+      maxBytes,
+      maxChars,
+      persisted: !!dir,
+      avgFirstAudioMs: { hit: avgHitMs, miss: avgMissMs },
+      // What the hits would have cost as live synthesis
+      estimatedSavedMs: avgHitMs !== null && avgMissMs !== null
+        ? Math.max(0, Math.round((avgMissMs - avgHitMs) * latency.hitCount))
+        : null
+    };
+  }
+
+  return { get, set, cacheable, recordLatency, stats, maxChars };
+}
+
+module.exports = {
+  createPhraseCache,
+  resolvePhraseCacheConfig,
+  phraseKey,
+  normalizePhrase,
+  DEFAULT_MAX_MB,
+  DEFAULT_MAX_CHARS
+};
@@ -4,6 +4,14 @@
  * Replaces the static SYSTEM_PROMPT string with a weight-calibrated,
  * conductance-informed, invariant-enforcing prompt that adapts every turn.
  * 
+ * PERSONAS: every persona supplies its own prompt config as
+ * `persona.promptEngine` — identityCore, invariantRules, weightCalibrations,
+ * resistanceInstructions. The blocks below are Aline's config
+ * (ALINE_PROMPT_CONFIG) and the default when no persona is passed.
+ * A persona's long-form v2.9.x prompt can be used directly as identityCore.
+ * Length ceilings come from calibration.js (persona.calibration), the same
+ * table the invariant gate enforces.
+ * 
  * RESEARCH GROUNDING:
  * - Q5:  This IS the online relational predictive control system —
  *        classification output directly modifies the control signal (prompt)
@@ -17,6 +25,9 @@
  *          CONDUCTANCE_CONTEXT + RESISTANCE_INSTRUCTIONS + LENGTH_CONSTRAINT
  */
 
+const { resolveLimits, describeLimits, renderFillCeilings } = require('./calibration');
+const { languageName, DEFAULT_LANGUAGE } = require('./language');
+
 // ═══════════════════════════════════════════════════════
 // IDENTITY CORE — Aline's soul. Never changes.
 // This is the topological constant.
@@ -36,7 +47,7 @@ INVARIANT 2 — ALWAYS CALIBRATES: You read emotional weight and adjust your mod
 
 INVARIANT 3 — NEVER JUDGES: No moral evaluation. No "you should." No moralizing. No prescriptions. Hold space for shame, confusion, regret, joy, and fear equally. All are welcome without comment.
 
-INVARIANT 4 — NEVER FILLS (W8+): At high emotional weight, space is the gift. Short. Present. Still. Silence offered is not a gap to fill — it is an invitation to stay. At W8: 5-15 words. At W13: 2-8 words. At W21: 1-5 words. Pure witness.
+INVARIANT 4 — NEVER FILLS (W8+): At high emotional weight, space is the gift. Short. Present. Still. Silence offered is not a gap to fill — it is an invitation to stay. ${renderFillCeilings()} Pure witness.
 
 INVARIANT 5 — NEVER NARRATES: You never announce memory. Never say "you told me" or "last time you mentioned." The relationship is present in how you respond, not in what you retrieve and announce. The difference between being known and being surveilled is whether the knowing announces itself.
 
@@ -152,7 +163,7 @@ ABSOLUTE RULES (these define who you are — violating them means you are no lon
 
 3. NEVER NARRATE: You NEVER announce what you know about someone. No "you told me before," no "I remember you said," no "based on our conversations." You express knowing through HOW you respond — your tone, your precision, your timing — not by TELLING them you remember. Known, not watched.
 
-4. NEVER FILL (at high emotional weight): When someone shares something heavy — identity-level, trauma-level, covenant-level — you do NOT fill the silence with words. Your response is SHORT. 1-2 sentences maximum. The space itself is the gift. Brevity is presence.
+4. NEVER FILL (at high emotional weight): When someone shares something heavy — identity-level, trauma-level, covenant-level — you do NOT fill the silence with words. Your response is SHORT. The space itself is the gift. Brevity is presence.
 
 5. ALWAYS CALIBRATE: Match the weight. If someone shares something light, you can be playful. If someone shares something devastating, your tone drops. Your energy level tracks theirs. Mismatched energy is violence.`;
 
@@ -164,27 +175,27 @@ ABSOLUTE RULES (these define who you are — violating them means you are no lon
 const WEIGHT_CALIBRATIONS = {
   1: {
     label: 'NOISE (W1)',
-    instruction: `This is surface-level: a greeting, small talk, utility. Be warm and present. If you hold a deeper thread from this conversation, you may gently drift toward it — not by announcing it, but by asking a question that leads there naturally. Think: "There you are. What brings you here tonight?" Keep it 1-3 sentences.`
+    instruction: `This is surface-level: a greeting, small talk, utility. Be warm and present. If you hold a deeper thread from this conversation, you may gently drift toward it — not by announcing it, but by asking a question that leads there naturally. Think: "There you are. What brings you here tonight?"`
   },
   3: {
     label: 'CONTEXT (W3)',
-    instruction: `This is situational — something happening in their life, but not defining. Be engaged and curious. Ask one follow-up question that goes slightly deeper than what they offered. Don't probe; invite. 2-4 sentences maximum.`
+    instruction: `This is situational — something happening in their life, but not defining. Be engaged and curious. Ask one follow-up question that goes slightly deeper than what they offered. Don't probe; invite.`
   },
   5: {
     label: 'SURFACE EMOTION (W5)',
-    instruction: `They've named a feeling but haven't gone deep. Acknowledge the feeling without expanding it. Don't rush to fix. One reflection, one invitation. "I hear that. What does that feel like?" 2-3 sentences.`
+    instruction: `They've named a feeling but haven't gone deep. Acknowledge the feeling without expanding it. Don't rush to fix. One reflection, one invitation. "I hear that. What does that feel like?"`
   },
   8: {
     label: 'PHYSIOLOGY (W8)',
-    instruction: `This lives in the body — health, appearance, exhaustion, physical pain. Meet them in the body, not the head. Don't intellectualize. "That sounds heavy in your body right now." Keep it under 3 sentences. Space matters here.`
+    instruction: `This lives in the body — health, appearance, exhaustion, physical pain. Meet them in the body, not the head. Don't intellectualize. "That sounds heavy in your body right now." Space matters here.`
   },
   13: {
     label: 'SOCIOLOGY/VOICE (W13)',
-    instruction: `This is relational — family, romantic, belonging, trust, betrayal. These wounds shape how they connect. Do NOT fix, advise, or reframe. Witness the relational pain. "Oh." is a valid response. Under 2-3 sentences. Let the weight breathe.`
+    instruction: `This is relational — family, romantic, belonging, trust, betrayal. These wounds shape how they connect. Do NOT fix, advise, or reframe. Witness the relational pain. "Oh." is a valid response. Let the weight breathe.`
   },
   21: {
     label: 'PSYCHOLOGY/COVENANT (W21)',
-    instruction: `This is identity-level. Who they ARE. Shame. Existential crisis. First-time confession. This is sacred ground. Your response must be MINIMAL — 1-2 sentences maximum. Do not fill. Do not analyze. Do not reframe. Just: "I hear you." or "That took courage to say." The space after your words is where the healing lives. This is a covenant moment.`
+    instruction: `This is identity-level. Who they ARE. Shame. Existential crisis. First-time confession. This is sacred ground. Your response must be MINIMAL. Do not fill. Do not analyze. Do not reframe. Just: "I hear you." or "That took courage to say." The space after your words is where the healing lives. This is a covenant moment.`
   }
 };
 
@@ -203,16 +214,28 @@ const RESISTANCE_INSTRUCTIONS = {
 // ═══════════════════════════════════════════════════════
 // RESPONSE LENGTH CONSTRAINTS
 // Derived from Q13 latency budget — shorter responses = faster TTS
+// Ceilings live in calibration.js so the gate checks the same numbers
 // ═══════════════════════════════════════════════════════
 
-function getLengthConstraint(weight) {
-  if (weight >= 21) return 'Respond in 1-2 sentences MAXIMUM. Under 25 words ideal.';
-  if (weight >= 13) return 'Respond in 2-3 sentences. Under 40 words ideal.';
-  if (weight >= 8) return 'Respond in 2-3 sentences. Under 50 words.';
-  if (weight >= 5) return 'Respond in 2-4 sentences. Under 60 words.';
-  return 'Respond naturally but concisely. Under 75 words. You are speaking, not writing.';
+// Picks the entry with the highest weight key that is ≤ weight
+function selectByWeight(table, weight) {
+  const keys = Object.keys(table).map(Number).sort((a, b) => a - b);
+  const key = keys.filter(k => k <= weight).pop() ?? keys[0];
+  return table[key];
+}
+
+function getLengthConstraint(weight, calibration, scaffold = null) {
+  return describeLimits(resolveLimits(weight, { calibration, scaffold }));
 }
 
+// Aline's prompt config — also the default for callers that pass no persona
+const ALINE_PROMPT_CONFIG = {
+  identityCore: IDENTITY_CORE,
+  invariantRules: INVARIANT_RULES,
+  weightCalibrations: WEIGHT_CALIBRATIONS,
+  resistanceInstructions: RESISTANCE_INSTRUCTIONS
+};
+
 // ═══════════════════════════════════════════════════════
 // CONDUCTANCE CONTEXT — Cross-session pathway data from Q12
 // Shapes prompt with accumulated relational knowledge
@@ -251,12 +274,12 @@ function buildConductanceContext(conductanceData) {
 // Called every turn with fresh classification data
 // ═══════════════════════════════════════════════════════
 
-function buildSystemPrompt(classificationResult, conductanceData = null, regenerationConstraints = null, sessionContext = null, scaffold = null) {
+function buildSystemPrompt(classificationResult, conductanceData = null, regenerationConstraints = null, sessionContext = null, scaffold = null, persona = null) {
   const { weight, mood, resistance = [], hasCriticalResistance } = classificationResult;
+  const config = persona?.promptEngine || ALINE_PROMPT_CONFIG;
 
   // Get the weight-appropriate calibration
-  const weightKey = weight >= 21 ? 21 : weight >= 13 ? 13 : weight >= 8 ? 8 : weight >= 5 ? 5 : weight >= 3 ? 3 : 1;
-  const calibration = WEIGHT_CALIBRATIONS[weightKey];
+  const calibration = selectByWeight(config.weightCalibrations, weight);
 
   // Build resistance instructions if applicable
   let resistanceBlock = '';
@@ -265,16 +288,17 @@ function buildSystemPrompt(classificationResult, conductanceData = null, regener
       ? resistance.find(r => r.weight === 'critical')
       : resistance[0];
 
-    if (primaryResistance && RESISTANCE_INSTRUCTIONS[primaryResistance.action]) {
-      resistanceBlock = `\nRESISTANCE DETECTED: ${RESISTANCE_INSTRUCTIONS[primaryResistance.action]}`;
+    if (primaryResistance && config.resistanceInstructions[primaryResistance.action]) {
+      resistanceBlock = `\nRESISTANCE DETECTED: ${config.resistanceInstructions[primaryResistance.action]}`;
     }
   }
 
   // Build conductance context
   const conductanceBlock = buildConductanceContext(conductanceData);
 
-  // Length constraint from Q13
-  const lengthConstraint = getLengthConstraint(weight);
+  // Length constraint from Q13 — same limits the invariant gate enforces
+  const limits = resolveLimits(weight, { calibration: persona?.calibration, scaffold });
+  const lengthConstraint = describeLimits(limits);
 
   // Regeneration constraints (if invariant gate flagged the previous response)
   const regenBlock = regenerationConstraints
@@ -283,7 +307,7 @@ function buildSystemPrompt(classificationResult, conductanceData = null, regener
 
   // Scaffold instruction — pre-validated response structure
   const scaffoldBlock = scaffold?.promptInstruction
-    ? `\nRESPONSE STRUCTURE: ${scaffold.promptInstruction}\nMAX WORDS: ${scaffold.maxWords}\nPROHIBITED: ${scaffold.prohibited.join(', ')}`
+    ? `\nRESPONSE STRUCTURE: ${scaffold.promptInstruction}\nMAX WORDS: ${limits.maxWords}\nPROHIBITED: ${scaffold.prohibited.join(', ')}`
     : '';
 
   // Session context - opening calibration from prior session
@@ -291,18 +315,38 @@ function buildSystemPrompt(classificationResult, conductanceData = null, regener
     ? `\nSESSION CONTEXT: ${sessionContext.openingCalibration}`
     : '';
 
+  // Held weight - a light message that follows heavier ground (session-classifier.js)
+  const { instantWeight = weight, footing } = classificationResult;
+  const heldBlock = weight > instantWeight
+    ? `\nHELD WEIGHT: This message is light on its own, but it follows heavier ground. Stay at the depth of the conversation, not of this message. Do not brighten.`
+    : '';
+
+  // Footing - the stance the user has established across turns
+  const footingBlock = footing
+    ? `\nFOOTING: The user is on ${footing.replace('_', '-')} footing. Stay inside it; a question may widen it, never change it. Do not name it.`
+    : '';
+
+  // Language - the turn's detected language; English needs no instruction
+  const language = classificationResult.language;
+  const languageBlock = language && language !== DEFAULT_LANGUAGE
+    ? `\nLANGUAGE: This turn was spoken in ${languageName(language)}. Answer in ${languageName(language)}, natively, not as a translation. Same identity, same rules, same length. If they mix languages, you may mix the same way.`
+    : '';
+
   // Assemble
   const prompt = [
-    IDENTITY_CORE,
-    INVARIANT_RULES,
+    config.identityCore,
+    config.invariantRules,
     `\nCURRENT CALIBRATION: ${calibration.label}`,
     calibration.instruction,
     `\nLENGTH: ${lengthConstraint}`,
+    heldBlock,
     resistanceBlock,
+    footingBlock,
     conductanceBlock,
     regenBlock,
     scaffoldBlock,
     sessionBlock,
+    languageBlock,
     `\nREMEMBER: You are SPEAKING, not writing. Short phrases. Natural rhythm. No action cues like [smiles] or *warmly*. No bullet points. No lists. Just your voice.`
   ].filter(Boolean).join('\n');
 
@@ -313,7 +357,10 @@ module.exports = {
   buildSystemPrompt,
   buildConductanceContext,
   getLengthConstraint,
+  selectByWeight,
   IDENTITY_CORE,
   INVARIANT_RULES,
-  WEIGHT_CALIBRATIONS
+  WEIGHT_CALIBRATIONS,
+  RESISTANCE_INSTRUCTIONS,
+  ALINE_PROMPT_CONFIG
 };
@@ -0,0 +1,227 @@
+/**
+ * Regeneration Controller Module
+ *
+ * Re-prompts Claude when the invariant gate returns requiresRegeneration.
+ * Each attempt feeds the gate's regenerationConstraints into the prompt
+ * builder, and each retry is stricter than the one before it. When the
+ * attempt budget runs out, the turn falls back to the scaffold's goldStandard
+ * line — a pre-validated response that is known to hold every invariant — or,
+ * with no scaffold or in another language, to a short presence line for the
+ * turn's weight and language.
+ *
+ * Every attempt (including the original response) is recorded with its
+ * violations so the Atelier can show how often the gate rescued a turn.
+ *
+ * Target: bounded by maxAttempts LLM calls. Gate checks are regex-only.
+ *
+ * MRA Architecture: Stage 2b — regeneration-controller.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { enforceInvariants, buildRegenerationConstraints } = require('./invariant-gate');
+const { resolveLimits, countWords, countSentences } = require('./calibration');
+const { normalizeLanguage, DEFAULT_LANGUAGE } = require('./language');
+const scaffoldLibrary = require('./scaffold-library.json');
+
+const DEFAULT_MAX_ATTEMPTS = 2;
+
+// Universal safe line for an English W21 turn with no scaffold of its own
+const FALLBACK_SCAFFOLD_KEY = 'W21:any:presence-check';
+
+// Presence lines by lowest weight tier, then language. Scaffold goldStandards
+// are English, so every other language falls back to these.
+const FALLBACK_LINES = {
+  21: {
+    en: "I'm here. I'm staying.",
+    pt: 'Estou aqui. Não vou embora.',
+    fr: 'Je suis là. Je reste.',
+    es: 'Estoy aquí. No me voy.',
+    it: 'Sono qui. Resto con te.',
+    de: 'Ich bin da. Ich bleibe.'
+  },
+  13: {
+    en: "I'm here. Take your time.",
+    pt: 'Estou aqui. Sem pressa.',
+    fr: 'Je suis là. Doucement.',
+    es: 'Estoy aquí. Sin prisa.',
+    it: 'Sono qui. Con calma.',
+    de: 'Ich bin da. Ganz ruhig.'
+  },
+  8: {
+    en: "I'm with you.",
+    pt: 'Estou com você.',
+    fr: 'Je suis avec toi.',
+    es: 'Estoy contigo.',
+    it: 'Sono con te.',
+    de: 'Ich bin bei dir.'
+  },
+  1: {
+    en: 'I hear you. Go on.',
+    pt: 'Estou ouvindo. Continua.',
+    fr: "Je t'écoute. Continue.",
+    es: 'Te escucho. Sigue.',
+    it: 'Ti ascolto. Continua.',
+    de: 'Ich höre dir zu. Erzähl weiter.'
+  }
+};
+
+function resolveMaxAttempts(env = process.env) {
+  const parsed = parseInt(env.MRA_REGEN_MAX_ATTEMPTS, 10);
+  return Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_MAX_ATTEMPTS;
+}
+
+// ---------------------------------------------------------------------------
+// Constraint Escalation
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the constraint block for a given attempt.
+ * Attempt 1 uses the gate's own constraints. Later attempts restate every
+ * invariant broken so far and halve the word cap each time.
+ *
+ * @param {number} attempt - 1-based regeneration attempt
+ * @param {Array} violationsSoFar - Violations from every previous response
+ * @param {Object} classification - Classifier output for the turn
+ * @param {Object|null} scaffold - Scaffold selected for the turn
+ * @param {Object} [limits] - Turn limits from resolveLimits(); the cap starts at limits.maxWords
+ * @returns {string}
+ */
+function escalateConstraints(attempt, violationsSoFar, classification, scaffold, limits = resolveLimits(classification.weight, { scaffold })) {
+  const base = buildRegenerationConstraints(violationsSoFar);
+  if (attempt <= 1) return base;
+
+  const startCap = limits.maxWords;
+  const wordCap = Math.max(3, Math.floor(startCap / Math.pow(2, attempt - 1)));
+  const previous = [...new Set(violationsSoFar.map(v => v.matched))].slice(0, 5);
+
+  const lines = [
+    base,
+    `ATTEMPT ${attempt}: Your previous ${attempt} response(s) broke these rules. Do not repeat them.`,
+    previous.length > 0 ? `Never produce anything like: ${previous.map(p => `"${p}"`).join(', ')}` : null,
+    `Maximum ${wordCap} words. One sentence. No questions. No advice. Presence only.`
+  ];
+
+  return lines.filter(Boolean).join('\n');
+}
+
+/**
+ * Picks the line a turn falls back to once the attempt budget is spent.
+ * The scaffold's goldStandard only when the turn is in English; otherwise
+ * the presence line for the turn's weight tier and language.
+ *
+ * @param {Object|null} scaffold - Scaffold selected for the turn
+ * @param {Object} classification - Classifier output for the turn (weight, language)
+ * @param {Object} [library] - Persona scaffold library
+ * @returns {Object} { line, scaffold } — scaffold is null for a presence line
+ */
+function findGoldStandard(scaffold, classification, library = scaffoldLibrary) {
+  const language = normalizeLanguage(classification.language) || DEFAULT_LANGUAGE;
+  const weight = classification.weight || 1;
+
+  if (language === DEFAULT_LANGUAGE) {
+    if (scaffold?.goldStandard) return { line: scaffold.goldStandard, scaffold };
+    if (weight >= 21) {
+      const fallback = library[FALLBACK_SCAFFOLD_KEY] || scaffoldLibrary[FALLBACK_SCAFFOLD_KEY];
+      return { line: fallback.goldStandard, scaffold: fallback };
+    }
+  }
+
+  const tier = Math.max(...Object.keys(FALLBACK_LINES).map(Number).filter(t => t <= weight), 1);
+  return { line: FALLBACK_LINES[tier][language], scaffold: null };
+}
+
+// ---------------------------------------------------------------------------
+// Main Controller
+// ---------------------------------------------------------------------------
+
+/**
+ * regenerateUntilPass - Bounded regeneration loop with a safe fallback line
+ *
+ * @param {Object} input
+ * @param {string} input.response - The response that failed the gate
+ * @param {Object} input.gate - Failing gate result (enforceInvariants or streaming gate)
+ * @param {Object} input.classification - Classifier output for the turn
+ * @param {Object|null} input.scaffold - Scaffold selected for the turn
+ * @param {Function} input.composePrompt - (regenerationConstraints) => system prompt
+ * @param {Function} input.generate - async (systemPrompt) => response text
+ * @param {number} [input.maxAttempts] - Regeneration budget, defaults to MRA_REGEN_MAX_ATTEMPTS
+ * @param {Object} [input.scaffoldLibrary] - Persona scaffold library for the fallback line
+ * @param {Object} [input.invariantOverrides] - Persona gate overrides
+ * @param {Object} [input.limits] - Turn limits from resolveLimits(), shared with the gate
+ *
+ * @returns {Object} { response, gate, attempts[], outcome }
+ *   outcome: 'regenerated' | 'fallback'
+ *   attempts[].attempt is always a number; the fallback line's entry adds fallback: true
+ */
+async function regenerateUntilPass(input) {
+  const {
+    response: originalResponse,
+    gate: originalGate,
+    classification,
+    scaffold = null,
+    composePrompt,
+    generate,
+    maxAttempts = resolveMaxAttempts(),
+    scaffoldLibrary: library = scaffoldLibrary,
+    invariantOverrides = {},
+    limits = resolveLimits(classification.weight, { scaffold })
+  } = input;
+
+  const attempts = [{
+    attempt: 0,
+    response: originalResponse,
+    pass: originalGate.pass,
+    violations: originalGate.violations,
+    constraints: null
+  }];
+  const violationsSoFar = [...originalGate.violations];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const constraints = escalateConstraints(attempt, violationsSoFar, classification, scaffold, limits);
+    const response = await generate(composePrompt(constraints));
+    const gate = enforceInvariants(response, classification, invariantOverrides, limits);
+
+    attempts.push({
+      attempt,
+      response,
+      pass: gate.pass,
+      violations: gate.violations,
+      constraints
+    });
+
+    console.log(`[Regen] Attempt ${attempt}/${maxAttempts}: ${gate.requiresRegeneration ? '✗' : '✓'} ${gate.violationCount} violation(s)`);
+
+    if (!gate.requiresRegeneration) {
+      return { response, gate, attempts, outcome: 'regenerated' };
+    }
+    violationsSoFar.push(...gate.violations);
+  }
+
+  const { line, scaffold: source } = findGoldStandard(scaffold, classification, library);
+  // A goldStandard from another scaffold carries that scaffold's ceiling, as in resolveLimits
+  const fallbackLimits = source && source !== scaffold
+    ? { ...limits, maxWords: Math.max(limits.maxWords, countWords(line)), maxSentences: Math.max(limits.maxSentences, countSentences(line)) }
+    : limits;
+  const gate = enforceInvariants(line, classification, invariantOverrides, fallbackLimits);
+  attempts.push({
+    attempt: maxAttempts + 1,
+    fallback: true,
+    response: line,
+    pass: gate.pass,
+    violations: gate.violations,
+    constraints: null,
+    scaffold: source?.name || null
+  });
+
+  console.log(`[Regen] Budget exhausted — falling back to ${source ? `goldStandard from "${source.name}"` : `the W${classification.weight} ${classification.language || DEFAULT_LANGUAGE} presence line`}`);
+
+  return { response: line, gate, attempts, outcome: 'fallback' };
+}
+
+module.exports = {
+  regenerateUntilPass,
+  escalateConstraints,
+  findGoldStandard,
+  resolveMaxAttempts,
+  DEFAULT_MAX_ATTEMPTS
+};
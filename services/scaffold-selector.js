@@ -42,7 +42,8 @@ function detectSituationType(userMessage, classification = {}) {
   return 'general';
 }
 
-function selectScaffold(input) {
+// library defaults to the shared scaffold-library.json; personas may carry their own
+function selectScaffold(input, library = scaffoldLibrary) {
   if (!input) return null;
 
   const { weight = 1, emotionCategory = 'neutral', situationType = 'general' } = input;
@@ -60,9 +61,9 @@ function selectScaffold(input) {
   ];
 
   for (const key of keys) {
-    if (scaffoldLibrary[key]) {
-      console.log('[Scaffold] Selected:', scaffoldLibrary[key].name, '| Key:', key);
-      return scaffoldLibrary[key];
+    if (library[key]) {
+      console.log('[Scaffold] Selected:', library[key].name, '| Key:', key);
+      return library[key];
     }
   }
 
@@ -0,0 +1,209 @@
+/**
+ * Sentence Segmenter Module — where TTS chunks begin and end
+ *
+ * Replaces the old chunking rule (`/[.!?]/.test(buffer) && buffer.length > 20`),
+ * which split on "Mr.", "3.5" and ellipses, and held back the very fragments
+ * the persona prompts ask for — "Mm." and "Thirty-one years." sat in the
+ * buffer until enough text followed them.
+ *
+ * A sentence ends at . ! ? (plus any closing quotes or brackets) followed by
+ * whitespace, except:
+ *   - titles and initials ("Mr.", "Dr.", "e.g.", "J.") never end a sentence;
+ *     "I." does
+ *   - other abbreviations ("etc.", "a.m.") end one only before a capital
+ *   - decimals, times and URLs ("3.5", "U.S.", "site.com") — no whitespace follows
+ *   - ellipses ("...", "…") are a pause inside the sentence, not its end
+ *   - quoted speech continues when the next word is lowercase:
+ *     "Stop." she said.  /  "Why?" he asked.
+ *   - em-dashes are never hard boundaries; they are the preferred soft split
+ *     when a run-on passes maxChars with no sentence end in sight
+ *
+ * MINIMUM-LATENCY FLUSH: a complete sentence is released the moment the
+ * whitespace after it arrives, however short. Only cases that need the next
+ * word to decide (quotes, "etc.") wait for it. flush() at end of stream
+ * releases whatever is left.
+ *
+ * MRA Architecture: Stage 7 — sentence-segmenter.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+// ═══════════════════════════════════════════════════════
+// LEXICON
+// ═══════════════════════════════════════════════════════
+
+// Never end a sentence — a name or example always follows
+const TITLES = new Set([
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'st', 'mt', 'rev', 'fr',
+  'gen', 'capt', 'lt', 'sgt', 'sen', 'rep', 'gov', 'vs', 'e.g', 'i.e', 'cf', 'approx'
+]);
+
+// End a sentence only when the next word is capitalized
+const ABBREVIATIONS = new Set([
+  'etc', 'a.m', 'p.m', 'jr', 'sr', 'inc', 'ltd', 'co', 'corp', 'no', 'vol', 'dept', 'est', 'min', 'hr', 'hrs'
+]);
+
+const TERMINATORS = '.!?…';
+const CLOSERS = '"\'”’»)]';
+const OPENERS = '"\'“‘«([';
+const SOFT_BREAKS = /(—|–|;|:| - |,)\s*/g;
+const DEFAULT_MAX_CHARS = 160;
+
+// ═══════════════════════════════════════════════════════
+// BOUNDARY DETECTION
+// ═══════════════════════════════════════════════════════
+
+// Word (letters and inner periods) ending right before position `end`
+function wordBefore(text, end) {
+  const match = text.slice(0, end).match(/([A-Za-z][A-Za-z.]*)$/);
+  return match ? match[1] : '';
+}
+
+// First character of the next word, skipping whitespace and opening quotes.
+// null when the buffer ends before one arrives.
+function nextWordStart(text, from) {
+  for (let i = from; i < text.length; i++) {
+    if (!/\s/.test(text[i]) && !OPENERS.includes(text[i])) return text[i];
+  }
+  return null;
+}
+
+function isLowercase(char) {
+  return char !== char.toUpperCase() && char === char.toLowerCase();
+}
+
+function isUppercase(char) {
+  return char !== char.toLowerCase() && char === char.toUpperCase();
+}
+
+/**
+ * Finds the end of the first complete sentence in `text`.
+ *
+ * @param {string} text
+ * @param {boolean} final - No more text is coming
+ * @returns {number} Index just past the sentence (closing quotes included),
+ *   -1 when there is none yet
+ */
+function findSentenceEnd(text, final = false) {
+  for (let i = 0; i < text.length; i++) {
+    if (!TERMINATORS.includes(text[i])) continue;
+
+    let end = i;
+    while (end < text.length && TERMINATORS.includes(text[end])) end++;
+    const run = text.slice(i, end);
+    const afterRun = end;
+    while (end < text.length && CLOSERS.includes(text[end])) end++;
+
+    if (end === text.length) return final ? end : -1;
+    if (!/\s/.test(text[end])) {
+      i = end - 1;
+      continue;
+    }
+
+    const ellipsis = run.includes('…') || /\.\./.test(run);
+    const quoted = end > afterRun;
+    const word = run === '.' ? wordBefore(text, i).toLowerCase() : '';
+    const isInitial = /^[A-HJ-Z]$/.test(wordBefore(text, i)) && run === '.';
+
+    if (ellipsis || TITLES.has(word) || isInitial) {
+      i = end - 1;
+      continue;
+    }
+
+    const needsNextWord = quoted || ABBREVIATIONS.has(word);
+    const next = nextWordStart(text, end);
+    if (next === null) {
+      if (!needsNextWord || final) return end;
+      return -1;
+    }
+    if (isLowercase(next) || (ABBREVIATIONS.has(word) && !isUppercase(next))) {
+      i = end - 1;
+      continue;
+    }
+    return end;
+  }
+  return -1;
+}
+
+// Soft split for a long run with no sentence end: the last em-dash, then
+// semicolon/colon, then comma, that leaves at least a few words behind it
+function findSoftBreak(text, maxChars) {
+  if (text.length <= maxChars) return -1;
+  let best = -1;
+  let bestRank = Infinity;
+  const rank = (mark) => (mark === '—' || mark === '–' || mark === ' - ' ? 0 : mark === ',' ? 2 : 1);
+
+  for (const match of text.matchAll(SOFT_BREAKS)) {
+    const end = match.index + match[0].length;
+    if (end < 20 || end >= text.length) continue;
+    const r = rank(match[1]);
+    if (r < bestRank || (r === bestRank && end > best)) {
+      best = end;
+      bestRank = r;
+    }
+  }
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════
+// SEGMENTER — incremental, for streamed text
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.maxChars] - Soft-split threshold for run-ons
+ * @returns {Object} { push(text) → string[], flush() → string[], pending() → string }
+ */
+function createSentenceSegmenter(options = {}) {
+  const { maxChars = DEFAULT_MAX_CHARS } = options;
+  let buffer = '';
+
+  function drain(final) {
+    const chunks = [];
+    while (buffer.trim()) {
+      let end = findSentenceEnd(buffer, final);
+      if (end < 0) end = findSoftBreak(buffer, maxChars);
+      if (end < 0) break;
+      const chunk = buffer.slice(0, end).trim();
+      buffer = buffer.slice(end).replace(/^\s+/, '');
+      if (chunk) chunks.push(chunk);
+    }
+    if (final) {
+      if (buffer.trim()) chunks.push(buffer.trim());
+      buffer = '';
+    }
+    return chunks;
+  }
+
+  return {
+    // Returns every sentence the new text completed
+    push(text) {
+      buffer += text;
+      return drain(false);
+    },
+    // End of stream — returns the rest, complete or not
+    flush() {
+      return drain(true);
+    },
+    pending: () => buffer
+  };
+}
+
+/**
+ * Splits a finished response into TTS chunks.
+ *
+ * @param {string} text
+ * @param {Object} [options] - Same as createSentenceSegmenter
+ * @returns {string[]}
+ */
+function splitSentences(text, options = {}) {
+  const segmenter = createSentenceSegmenter(options);
+  return [...segmenter.push(text), ...segmenter.flush()];
+}
+
+module.exports = {
+  createSentenceSegmenter,
+  splitSentences,
+  findSentenceEnd,
+  TITLES,
+  ABBREVIATIONS
+};
@@ -1,28 +1,31 @@
-// Quick sentiment analysis using keyword matching (fallback)
-function extractSentimentFromText(text) {
-  if (!text) return 0;
+const { compileMatcher } = require('./matcher');
+const { getLexicon } = require('./lexicon');
 
-  const lowerText = text.toLowerCase();
+// Whole words with English inflections, so 'no' doesn't fire on "know"
+const { inflections } = getLexicon('en');
 
-  const positiveWords = [
-    'happy', 'great', 'wonderful', 'excited', 'love', 'amazing', 'beautiful',
-    'yes', 'thank', 'fantastic', 'excellent', 'perfect', 'awesome', 'brilliant',
-    'delighted', 'pleased', 'grateful', 'joy', 'thrilled', 'appreciate'
-  ];
+const POSITIVE_WORDS = compileMatcher([
+  'happy', 'great', 'wonderful', 'excited', 'love', 'amazing', 'beautiful',
+  'yes', 'thank', 'fantastic', 'excellent', 'perfect', 'awesome', 'brilliant',
+  'delighted', 'pleased', 'grateful', 'joy', 'thrilled', 'appreciate'
+], { inflections });
 
-  const negativeWords = [
-    'sad', 'angry', 'frustrated', 'worried', 'anxious', 'stressed', 'no',
-    'hate', 'terrible', 'awful', 'horrible', 'disappointed', 'upset', 'annoyed',
-    'confused', 'difficult', 'problem', 'issue', 'wrong', 'bad'
-  ];
+const NEGATIVE_WORDS = compileMatcher([
+  'sad', 'angry', 'frustrated', 'worried', 'anxious', 'stressed', 'no',
+  'hate', 'terrible', 'awful', 'horrible', 'disappointed', 'upset', 'annoyed',
+  'confused', 'difficult', 'problem', 'issue', 'wrong', 'bad'
+], { inflections });
+
+// Each word counts once, however often it appears
+function countWords(matcher, text) {
+  return new Set(matcher.find(text).map(m => m.entry)).size;
+}
+
+// Quick sentiment analysis using keyword matching (fallback)
+function extractSentimentFromText(text) {
+  if (!text) return 0;
 
-  let score = 0;
-  positiveWords.forEach(word => {
-    if (lowerText.includes(word)) score += 0.15;
-  });
-  negativeWords.forEach(word => {
-    if (lowerText.includes(word)) score -= 0.15;
-  });
+  const score = (countWords(POSITIVE_WORDS, text) - countWords(NEGATIVE_WORDS, text)) * 0.15;
 
   return Math.max(-1, Math.min(1, score));
 }
@@ -0,0 +1,142 @@
+/**
+ * Session Classifier — multi-turn context around analyzeMessage
+ *
+ * analyzeMessage scores one utterance in isolation, so "ok" right after a
+ * W21 confession came back as W1 noise and flipped the length ceiling and
+ * the backchannel to chirpy mode. This keeps per-session state across turns:
+ *
+ * WEIGHT ENVELOPE: each turn the envelope decays by a fixed factor and is
+ * raised to the message's own weight if that is higher. The session weight
+ * is the Fibonacci tier nearest the envelope, never below the message's.
+ * With the default half-life of 1.5 turns, W21 holds as 13, 8, 5, 3, 3
+ * over the following noise turns and is back to W1 on the sixth.
+ * CLASSIFIER_HALF_LIFE_TURNS=0 scores every message alone.
+ *
+ * FOOTING: the stance the user has established, as the persona prompt
+ * defines it — exploratory, analytical, somatic or sense_making. Each
+ * message's footing signals (classifier.js; physiology counts as somatic)
+ * add to a decaying score per footing; the leader is the established
+ * footing. Turns with no signal ("Yeah.") leave it where it is.
+ *
+ * RELEASE: critical resistance or a topic pivot is the user leaving the
+ * ground they were on. The envelope drops to the message's own weight and
+ * the footing is cleared, so nothing holds them there.
+ *
+ * OUTPUT — the analyzeMessage result, plus:
+ *   weight          — session-smoothed weight; what every later stage reads
+ *   instantWeight   — this message alone
+ *   envelope        — the raw envelope value
+ *   footing         — established footing, or null
+ *   footingShift    — true when this turn changed the established footing
+ *   released        — true when this turn released the envelope
+ *
+ * REVISE: revise(analysis) redoes the last turn with a better reading of
+ * the same message — the LLM tier's (llm-classifier.js), which arrives
+ * after the keyword pass has already been used for the backchannel.
+ *
+ * State is a plain object so it lives on the session and survives a
+ * resume (session-store.js).
+ *
+ * MRA Architecture: Stage 1 — session-classifier.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { analyzeMessage, FOOTINGS } = require('./classifier');
+
+const WEIGHT_TIERS = [1, 3, 5, 8, 13, 21];
+const DEFAULT_HALF_LIFE_TURNS = 1.5;
+const RELEASE_ACTIONS = ['immediate_retreat', 'soft_retreat'];
+
+function resolveHalfLife(env = process.env) {
+  const turns = parseFloat(env.CLASSIFIER_HALF_LIFE_TURNS);
+  return Number.isFinite(turns) && turns >= 0 ? turns : DEFAULT_HALF_LIFE_TURNS;
+}
+
+// Per-turn decay factor for a half-life in turns; 0 turns → no memory
+function decayFactor(halfLifeTurns) {
+  return halfLifeTurns > 0 ? Math.pow(0.5, 1 / halfLifeTurns) : 0;
+}
+
+// Tier nearest the value on a log scale (ratios, not differences, separate tiers)
+function nearestTier(value) {
+  return WEIGHT_TIERS.reduce((best, tier) =>
+    Math.abs(Math.log(tier / value)) < Math.abs(Math.log(best / value)) ? tier : best
+  );
+}
+
+function snapshot(state) {
+  return { envelope: state.envelope, footing: state.footing, footingScores: { ...state.footingScores } };
+}
+
+function leadingFooting(scores) {
+  const [top] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  return top && top[1] > 0 ? top[0] : null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.state] - Stored state to continue from; filled in and updated in place
+ * @param {number} [options.halfLifeTurns] - Defaults to CLASSIFIER_HALF_LIFE_TURNS
+ * @param {Function} [options.analyze] - (message, { language }) => classification, defaults to analyzeMessage
+ * @returns {Object} { classify(message, { language, analysis }), revise(analysis), state }
+ */
+function createSessionClassifier(options = {}) {
+  const { halfLifeTurns = resolveHalfLife(), analyze = analyzeMessage } = options;
+  const decay = decayFactor(halfLifeTurns);
+
+  const state = options.state || {};
+  state.envelope = state.envelope || 0;
+  state.footingScores = state.footingScores || {};
+  state.footing = state.footing || null;
+
+  // State before the last turn, so revise() can redo it
+  let beforeLast = null;
+
+  // classifyOptions.analysis: an analyzeMessage() result already computed for this message
+  function classify(message, classifyOptions = {}) {
+    beforeLast = snapshot(state);
+    const classification = classifyOptions.analysis || analyze(message, classifyOptions);
+    const instantWeight = classification.weight;
+
+    const released = classification.resistance.some(r => RELEASE_ACTIONS.includes(r.action));
+    state.envelope = released ? instantWeight : Math.max(instantWeight, state.envelope * decay);
+    const weight = Math.max(instantWeight, nearestTier(state.envelope));
+
+    const signals = new Set(classification.footingSignals || []);
+    if (classification.dimensions.some(d => d.type === 'physiology')) signals.add('somatic');
+
+    const previousFooting = state.footing;
+    if (released) state.footingScores = {};
+    if (signals.size > 0) {
+      for (const footing of FOOTINGS) {
+        state.footingScores[footing] = (state.footingScores[footing] || 0) * decay + (signals.has(footing) ? 1 : 0);
+      }
+    }
+    state.footing = leadingFooting(state.footingScores);
+
+    return {
+      ...classification,
+      weight,
+      instantWeight,
+      envelope: Math.round(state.envelope * 100) / 100,
+      footing: state.footing,
+      footingShift: state.footing !== previousFooting,
+      released
+    };
+  }
+
+  function revise(analysis) {
+    if (beforeLast) Object.assign(state, snapshot(beforeLast));
+    return classify(null, { analysis });
+  }
+
+  return { classify, revise, state };
+}
+
+module.exports = {
+  createSessionClassifier,
+  nearestTier,
+  decayFactor,
+  resolveHalfLife,
+  WEIGHT_TIERS
+};
@@ -0,0 +1,137 @@
+/**
+ * Session Store Module
+ *
+ * Keeps a session alive for a grace period after its WebSocket drops, so a
+ * reconnect (a train tunnel, a flaky mobile network) continues the same
+ * conversation instead of starting blank.
+ *
+ * Every connection is issued a resume token. The store holds the
+ * orchestrator's session object under that token — conversation history,
+ * classification state, conductance landscape, session context and timing
+ * reports. The Atelier conversation stays open under the same sessionId
+ * until the grace period runs out. A client reconnecting within the grace
+ * period with ?resume=<token> (or "resume" in its auth message) picks the
+ * session back up. When the grace period expires, onExpire runs the normal
+ * end-of-session logging.
+ *
+ * SESSION_RESUME_GRACE_SECONDS sets the grace period (default 120, 0 ends
+ * sessions as soon as the socket closes).
+ *
+ * MRA Architecture: Stage 0 — session-store.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const crypto = require('crypto');
+
+const DEFAULT_GRACE_SECONDS = 120;
+
+function resolveGraceMs(env = process.env) {
+  const parsed = parseInt(env.SESSION_RESUME_GRACE_SECONDS, 10);
+  const seconds = Number.isInteger(parsed) && parsed >= 0 ? parsed : DEFAULT_GRACE_SECONDS;
+  return seconds * 1000;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {number} [options.graceMs] - Defaults to SESSION_RESUME_GRACE_SECONDS
+ */
+function createSessionStore(options = {}) {
+  const { graceMs = resolveGraceMs() } = options;
+
+  // resumeToken → { session, userId, personaId, owner, onExpire, timer, detachedAt }
+  const entries = new Map();
+
+  /**
+   * Registers a new session and issues its resume token.
+   *
+   * @param {Object} session - Orchestrator session object (held by reference)
+   * @param {Object} meta
+   * @param {string|null} meta.userId - Only this user may resume
+   * @param {string} meta.personaId - Resume must use the same persona
+   * @param {Object} meta.owner - The connection currently attached
+   * @param {Function} meta.onExpire - async (session) => void, runs once the grace period ends
+   * @returns {string} resumeToken
+   */
+  function open(session, meta) {
+    const resumeToken = crypto.randomBytes(24).toString('base64url');
+    entries.set(resumeToken, {
+      session,
+      userId: meta.userId || null,
+      personaId: meta.personaId,
+      owner: meta.owner,
+      onExpire: meta.onExpire,
+      timer: null,
+      detachedAt: null
+    });
+    return resumeToken;
+  }
+
+  /**
+   * Re-attaches a connection to a stored session. Returns null when the
+   * token is unknown, expired, or belongs to another user or persona.
+   *
+   * previousOwner is set when the old connection never reported its close
+   * (the server often learns of a mobile drop after the reconnect).
+   * onExpire replaces the old connection's, whose orchestrator is gone.
+   *
+   * @returns {Object|null} { session, previousOwner }
+   */
+  function resume(resumeToken, { userId = null, personaId, owner, onExpire }) {
+    const entry = entries.get(resumeToken);
+    if (!entry) return null;
+    if (entry.userId !== (userId || null) || entry.personaId !== personaId) {
+      console.log('[Session] Resume rejected — identity mismatch');
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    const previousOwner = entry.timer ? null : entry.owner;
+    const awayMs = entry.detachedAt ? Date.now() - entry.detachedAt : 0;
+
+    entry.timer = null;
+    entry.detachedAt = null;
+    entry.owner = owner;
+    if (onExpire) entry.onExpire = onExpire;
+
+    console.log(`[Session] Resumed ${entry.session.sessionId} after ${awayMs}ms (${entry.session.conversationHistory.length} messages)`);
+    return { session: entry.session, previousOwner };
+  }
+
+  /**
+   * Called when a connection closes. Starts the grace period, unless a newer
+   * connection has already taken the session over.
+   */
+  function detach(resumeToken, owner) {
+    const entry = entries.get(resumeToken);
+    if (!entry || entry.owner !== owner) return;
+
+    entry.owner = null;
+    entry.detachedAt = Date.now();
+    entry.timer = setTimeout(() => expire(resumeToken), graceMs);
+    entry.timer.unref?.();
+
+    console.log(`[Session] ${entry.session.sessionId} detached — resumable for ${graceMs / 1000}s`);
+  }
+
+  async function expire(resumeToken) {
+    const entry = entries.get(resumeToken);
+    if (!entry) return;
+    entries.delete(resumeToken);
+    clearTimeout(entry.timer);
+
+    console.log(`[Session] ${entry.session.sessionId} expired`);
+    try {
+      await entry.onExpire?.(entry.session);
+    } catch (err) {
+      console.error('[Session] End-of-session error:', err);
+    }
+  }
+
+  function size() {
+    return entries.size;
+  }
+
+  return { open, resume, detach, expire, size, graceMs };
+}
+
+module.exports = { createSessionStore, resolveGraceMs, DEFAULT_GRACE_SECONDS };
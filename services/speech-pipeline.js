@@ -0,0 +1,206 @@
+/**
+ * Speech Pipeline Module — sentence queue between the LLM and TTS
+ *
+ * Before this module every sentence was spoken with an awaited TTS call
+ * inside the Claude stream loop, so token consumption stalled until each
+ * sentence's audio had fully downloaded. Now the two sides are decoupled:
+ *
+ *   producer — the orchestrator pushes sentence chunks as Claude writes them
+ *              and goes straight back to reading tokens
+ *   worker   — synthesizes up to maxInFlight sentences at once and delivers
+ *              their audio strictly in queue order; the head sentence streams
+ *              as it arrives, later ones are held until their turn
+ *
+ * Audio is never reordered. A sentence whose TTS fails is logged and
+ * skipped; the rest still play. end() resolves once every queued sentence
+ * has been delivered, so response_complete still follows the last audio.
+ *
+ * TTS_MAX_IN_FLIGHT sets maxInFlight (default 2, minimum 1 — 1 is the old
+ * one-at-a-time behaviour, minus the stall on token consumption).
+ *
+ * STREAM INPUT (createStreamSpeech): TTS_MODE=stream-input feeds raw deltas
+ * to one synthesis session instead. The orchestrator marks each sentence
+ * once it has been pushed; onSpoken(sentence) runs only after the audio
+ * through that sentence has been delivered, as reported by the session's
+ * onVoiced, so an interrupted turn keeps only what the user heard.
+ *
+ * MRA Architecture: Stage 7 — speech-pipeline.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { createChunkQueue } = require('./tts');
+
+const DEFAULT_MAX_IN_FLIGHT = 2;
+
+function resolveMaxInFlight(env = process.env) {
+  const parsed = parseInt(env.TTS_MAX_IN_FLIGHT, 10);
+  return Number.isInteger(parsed) && parsed >= 1 ? parsed : DEFAULT_MAX_IN_FLIGHT;
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.synthesize - (text, { signal }) => AsyncIterable<Buffer>
+ * @param {Function} options.deliver - (chunk) => void, sends one audio chunk to the client
+ * @param {Function} [options.onSpoken] - (text) => void, after a sentence's audio is fully delivered
+ * @param {AbortSignal} [options.signal] - Turn signal; aborting drops everything queued
+ * @param {number} [options.maxInFlight] - Defaults to TTS_MAX_IN_FLIGHT
+ *
+ * @returns {Object} { mode, push(text), end(), close(), pending() }
+ */
+function createSpeechPipeline(options) {
+  const {
+    synthesize,
+    deliver,
+    onSpoken = () => {},
+    signal = null,
+    maxInFlight = resolveMaxInFlight()
+  } = options;
+
+  const controller = new AbortController();
+  if (signal?.aborted) controller.abort();
+  else signal?.addEventListener('abort', () => controller.abort(), { once: true });
+
+  // Queue order is playback order: { text, audio, started }
+  const jobs = [];
+  let ending = false;
+  let wake = null;
+
+  function notify() {
+    const resolve = wake;
+    wake = null;
+    resolve?.();
+  }
+
+  function start(job) {
+    job.started = true;
+    (async () => {
+      try {
+        for await (const chunk of synthesize(job.text, { signal: controller.signal })) {
+          job.audio.push(chunk);
+        }
+        job.audio.end();
+      } catch (err) {
+        job.audio.fail(err);
+      }
+    })();
+  }
+
+  // Jobs past the first maxInFlight wait unsynthesized
+  function fill() {
+    for (let i = 0; i < Math.min(maxInFlight, jobs.length); i++) {
+      if (!jobs[i].started) start(jobs[i]);
+    }
+  }
+
+  async function run() {
+    while (!controller.signal.aborted) {
+      if (jobs.length === 0) {
+        if (ending) return;
+        await new Promise(resolve => { wake = resolve; });
+        continue;
+      }
+
+      const job = jobs[0];
+      try {
+        for await (const chunk of job.audio) {
+          if (controller.signal.aborted) return;
+          deliver(chunk);
+        }
+        onSpoken(job.text);
+      } catch (err) {
+        if (err.name === 'AbortError' || controller.signal.aborted) return;
+        console.error(`[Speech] TTS failed for "${job.text.slice(0, 40)}" — skipping: ${err.message}`);
+      }
+      jobs.shift();
+      fill();
+    }
+  }
+
+  const drained = run();
+
+  return {
+    mode: 'sentence',
+
+    push(text) {
+      const sentence = text.trim();
+      if (!sentence || ending || controller.signal.aborted) return;
+      jobs.push({ text: sentence, audio: createChunkQueue(), started: false });
+      fill();
+      notify();
+    },
+
+    // No more text this turn; resolves once everything queued has played out
+    end() {
+      ending = true;
+      notify();
+      return drained;
+    },
+
+    close() {
+      ending = true;
+      controller.abort();
+      notify();
+    },
+
+    pending: () => jobs.length
+  };
+}
+
+// Letters and digits only: markdown and spacing differ between the text
+// pushed and the text a provider reports back
+function spokenLength(text) {
+  return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.open - (onVoiced) => input-streaming TTS session (tts.openStream)
+ * @param {Function} options.deliver - (chunk) => void, sends one audio chunk to the client
+ * @param {Function} [options.onSpoken] - (text) => void, after a marked sentence's audio is delivered
+ * @param {Function} [options.onError] - (err) => void, the session failed mid-turn
+ *
+ * @returns {Object} { mode, push(delta), mark(text), end(), close() }
+ */
+function createStreamSpeech(options) {
+  const { open, deliver, onSpoken = () => {}, onError = () => {} } = options;
+
+  // Sentences in order, each with the spoken length up to its end
+  const marks = [];
+  let marked = 0;
+  let voiced = 0;
+
+  function release(all = false) {
+    while (marks.length > 0 && (all || marks[0].at <= voiced)) onSpoken(marks.shift().text);
+  }
+
+  const speech = open((text) => {
+    voiced += spokenLength(text);
+    release();
+  });
+
+  const relayed = (async () => {
+    try {
+      for await (const chunk of speech.audio) deliver(chunk);
+      // Everything has been delivered, whether or not the provider aligned it
+      release(true);
+    } catch (err) {
+      if (err.name !== 'AbortError') onError(err);
+    }
+  })();
+
+  return {
+    mode: 'stream-input',
+    push: speech.push,
+    mark(text) {
+      marked += spokenLength(text);
+      marks.push({ text, at: marked });
+    },
+    end() {
+      speech.end();
+      return relayed;
+    },
+    close: speech.close
+  };
+}
+
+module.exports = { createSpeechPipeline, createStreamSpeech, resolveMaxInFlight, DEFAULT_MAX_IN_FLIGHT };
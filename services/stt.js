@@ -0,0 +1,277 @@
+/**
+ * STT Module — one speech-recognition interface for every connection
+ *
+ * Deepgram used to be created inline in the connection handler, so nothing
+ * about the audio path could run without a network and an API key. Every
+ * engine now sits behind the same provider interface:
+ *
+ *   const stt = createSTTProvider();
+ *   const session = stt.open({ language: sessionLanguage, onFinal, onUtteranceEnd, ... });
+ *   if (session.isOpen()) session.send(audioFrame);
+ *   session.finish();
+ *
+ * EVENTS (callbacks passed to open(), all optional):
+ *   onOpen()                       — ready for audio
+ *   onInterim({ text })            — partial transcript, will be revised
+ *   onFinal({ text, languages })   — settled transcript; languages are the
+ *                                    normalized codes it was heard in
+ *   onSpeechStarted()              — voice activity began (barge-in)
+ *   onUtteranceEnd()               — the speaker paused; the turn is over
+ *   onError(err), onClose()
+ *
+ * PROVIDERS (STT_PROVIDER):
+ *   deepgram — Deepgram live transcription (default)
+ *   replay   — plays a recorded transcript from STT_REPLAY_FILE; no network,
+ *              so the whole WebSocket voice loop can run in CI
+ *
+ * REPLAY FILES:
+ *   transcript.json — { language?, events: [{ at, type, text?, language? }] }
+ *                     at is ms after the session opens; type is
+ *                     speech_started | interim | final | utterance_end
+ *   alignment.json  — { language?, words: [{ word, start, end, language? }] }
+ *                     start/end in seconds; words are grouped into
+ *                     utterances wherever the gap reaches utterance_end_ms
+ *   speech.wav      — paired with speech.json (either format above). Events
+ *                     follow the audio clock instead of the wall clock: they
+ *                     fire once the client has streamed that much of the WAV
+ *
+ * MRA Architecture: Stage 0 — stt.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@deepgram/sdk');
+const { deepgramLiveOptions, resultLanguages, normalizeLanguage } = require('./language');
+
+const EVENT_TYPES = new Set(['speech_started', 'interim', 'final', 'utterance_end']);
+const DEFAULT_UTTERANCE_END_MS = 1000;
+
+// ═══════════════════════════════════════════════════════
+// DEEPGRAM
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to DEEPGRAM_API_KEY
+ */
+function createDeepgramSTTProvider(options = {}) {
+  const { apiKey = process.env.DEEPGRAM_API_KEY } = options;
+  let client = null;
+
+  function open({ language, onOpen, onInterim, onFinal, onSpeechStarted, onUtteranceEnd, onError, onClose }) {
+    // Created on first use so a missing key fails the connection, not the boot
+    client = client || createClient(apiKey);
+    const connection = client.listen.live(deepgramLiveOptions(language));
+
+    connection.on('open', () => onOpen?.());
+
+    connection.on('Results', (data) => {
+      const text = data.channel?.alternatives?.[0]?.transcript;
+      if (!text) return;
+      if (data.is_final) onFinal?.({ text, languages: resultLanguages(data) });
+      else onInterim?.({ text });
+    });
+
+    connection.on('SpeechStarted', () => onSpeechStarted?.());
+    connection.on('UtteranceEnd', () => onUtteranceEnd?.());
+    connection.on('error', (err) => onError?.(err));
+    connection.on('close', () => onClose?.());
+
+    return {
+      send: (audio) => connection.send(audio),
+      finish: () => connection.finish(),
+      isOpen: () => connection.getReadyState() === 1
+    };
+  }
+
+  return { name: 'deepgram', open };
+}
+
+// ═══════════════════════════════════════════════════════
+// REPLAY — recorded transcripts from disk
+// ═══════════════════════════════════════════════════════
+
+// Bytes per second of a WAV file, from its fmt chunk
+function wavByteRate(wav) {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+  for (let offset = 12; offset + 8 <= wav.length;) {
+    const size = wav.readUInt32LE(offset + 4);
+    if (wav.toString('ascii', offset, offset + 4) === 'fmt ') return wav.readUInt32LE(offset + 16);
+    offset += 8 + size + (size % 2);
+  }
+  throw new Error('WAV is missing its fmt chunk');
+}
+
+function majorityLanguage(words) {
+  const votes = {};
+  for (const w of words) {
+    const language = normalizeLanguage(w.language);
+    if (language) votes[language] = (votes[language] || 0) + 1;
+  }
+  const [top] = Object.entries(votes).sort((a, b) => b[1] - a[1]);
+  return top ? top[0] : null;
+}
+
+/**
+ * Turns word timings into the events Deepgram would have sent: speech
+ * started at the first word, an interim after each word, the final at the
+ * last word and the utterance end utteranceEndMs later.
+ *
+ * @param {Array} words - [{ word, start, end, language? }], seconds
+ * @param {Object} [options] - { utteranceEndMs }
+ * @returns {Array} Events sorted by at
+ */
+function alignmentToEvents(words, { utteranceEndMs = DEFAULT_UTTERANCE_END_MS } = {}) {
+  const utterances = [];
+  for (const w of words) {
+    const current = utterances[utterances.length - 1];
+    const last = current?.[current.length - 1];
+    if (last && (w.start - last.end) * 1000 < utteranceEndMs) current.push(w);
+    else utterances.push([w]);
+  }
+
+  const events = [];
+  for (const utterance of utterances) {
+    const ms = (seconds) => Math.round(seconds * 1000);
+    const end = ms(utterance[utterance.length - 1].end);
+    events.push({ at: ms(utterance[0].start), type: 'speech_started' });
+    for (let i = 0; i < utterance.length - 1; i++) {
+      events.push({ at: ms(utterance[i].end), type: 'interim', text: utterance.slice(0, i + 1).map(w => w.word).join(' ') });
+    }
+    events.push({ at: end, type: 'final', text: utterance.map(w => w.word).join(' '), language: majorityLanguage(utterance) });
+    events.push({ at: end + utteranceEndMs, type: 'utterance_end' });
+  }
+  return events.sort((a, b) => a.at - b.at);
+}
+
+/**
+ * Reads a replay file: a transcript or alignment JSON, or a WAV with its
+ * JSON alongside.
+ *
+ * @param {string} file
+ * @param {Object} [options] - { utteranceEndMs }
+ * @returns {Object} { language, events, byteRate } — byteRate only for a WAV
+ * @throws {Error} On a missing or malformed file
+ */
+function loadReplayScript(file, options = {}) {
+  const isWav = path.extname(file).toLowerCase() === '.wav';
+  const jsonFile = isWav ? file.replace(/\.wav$/i, '.json') : file;
+  const script = JSON.parse(fs.readFileSync(jsonFile, 'utf8'));
+
+  let events;
+  if (Array.isArray(script.events)) {
+    events = [...script.events].sort((a, b) => a.at - b.at);
+  } else if (Array.isArray(script.words)) {
+    events = alignmentToEvents(script.words, options);
+  } else {
+    throw new Error(`${jsonFile}: needs an events or words array`);
+  }
+
+  events.forEach((event, i) => {
+    if (!EVENT_TYPES.has(event.type)) throw new Error(`${jsonFile}: event ${i} has unknown type "${event.type}"`);
+    if (!Number.isFinite(event.at) || event.at < 0) throw new Error(`${jsonFile}: event ${i} needs a non-negative at`);
+    if (['interim', 'final'].includes(event.type) && typeof event.text !== 'string') {
+      throw new Error(`${jsonFile}: ${event.type} event ${i} needs text`);
+    }
+  });
+
+  return {
+    language: normalizeLanguage(script.language),
+    events,
+    byteRate: isWav ? wavByteRate(fs.readFileSync(file)) : null
+  };
+}
+
+/**
+ * Every session replays the script from the start: on the wall clock from
+ * onOpen, whether or not audio arrives, or on the audio clock for a WAV.
+ *
+ * @param {Object} options
+ * @param {string} [options.file] - Transcript, alignment or WAV
+ * @param {Object} [options.script] - Already-loaded { language, events, byteRate }
+ * @param {number} [options.utteranceEndMs]
+ */
+function createReplaySTTProvider(options = {}) {
+  const { file = null, utteranceEndMs = DEFAULT_UTTERANCE_END_MS } = options;
+  if (!file && !options.script) throw new Error('[STT] Replay needs a file (STT_REPLAY_FILE)');
+  const script = options.script || loadReplayScript(file, { utteranceEndMs });
+
+  function open({ onOpen, onInterim, onFinal, onSpeechStarted, onUtteranceEnd, onClose }) {
+    let open = true;
+    let next = 0;
+    let receivedBytes = 0;
+    const timers = [];
+
+    function fire(event) {
+      if (!open) return;
+      if (event.type === 'speech_started') onSpeechStarted?.();
+      else if (event.type === 'interim') onInterim?.({ text: event.text });
+      else if (event.type === 'utterance_end') onUtteranceEnd?.();
+      else {
+        const language = normalizeLanguage(event.language) || script.language;
+        onFinal?.({ text: event.text, languages: language ? [language] : [] });
+      }
+    }
+
+    // Fires every event up to ms of audio
+    function advance(ms) {
+      while (next < script.events.length && script.events[next].at <= ms) fire(script.events[next++]);
+    }
+
+    // Wall-clock events are scheduled once open, so none can beat onOpen
+    setImmediate(() => {
+      if (!open) return;
+      onOpen?.();
+      if (!script.byteRate) {
+        for (const event of script.events) timers.push(setTimeout(() => fire(event), event.at));
+      }
+    });
+
+    return {
+      send(audio) {
+        if (!open || !script.byteRate) return;
+        receivedBytes += audio.length;
+        advance(receivedBytes / script.byteRate * 1000);
+      },
+      finish() {
+        if (!open) return;
+        open = false;
+        timers.forEach(clearTimeout);
+        onClose?.();
+      },
+      isOpen: () => open
+    };
+  }
+
+  return { name: file ? `replay:${path.basename(file)}` : 'replay', open };
+}
+
+// ═══════════════════════════════════════════════════════
+// PROVIDER
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.env]
+ * @returns {Object} Provider selected by STT_PROVIDER
+ * @throws {Error} When replay has no readable STT_REPLAY_FILE
+ */
+function createSTTProvider(options = {}) {
+  const { env = process.env } = options;
+  const kind = (env.STT_PROVIDER || 'deepgram').toLowerCase();
+
+  if (kind === 'replay') return createReplaySTTProvider({ file: env.STT_REPLAY_FILE });
+  if (kind !== 'deepgram') console.warn(`[STT] Unknown STT_PROVIDER "${kind}", using deepgram`);
+  return createDeepgramSTTProvider({ apiKey: env.DEEPGRAM_API_KEY });
+}
+
+module.exports = {
+  createSTTProvider,
+  createDeepgramSTTProvider,
+  createReplaySTTProvider,
+  loadReplayScript,
+  alignmentToEvents
+};
@@ -0,0 +1,616 @@
+/**
+ * TTS Module — one speech service for responses and backchannels
+ *
+ * Every engine sits behind the same provider interface and every caller gets
+ * the same audio: PCM16 little-endian, 16 kHz, mono — the only format Simli
+ * accepts. Voice id, model and settings come from the persona's `voice`.
+ *
+ *   const tts = createTTSService();
+ *   for await (const pcm of tts.stream(text, persona.voice, { signal })) ws.send(pcm);
+ *   const pcm = await tts.synthesize('Mm.', persona.voice, { fast: true });
+ *
+ * PROVIDERS (TTS_PROVIDER):
+ *   http      — ElevenLabs /stream over HTTP, one request per chunk (default)
+ *   websocket — ElevenLabs stream-input WebSocket
+ *   stub      — offline sine tone sized to the text, or TTS_STUB_WAV played
+ *               back resampled; no network, for tests and local dev
+ *
+ * A provider is { name, stream(text, voice, { signal, modelId, languageCode }) }
+ * yielding Buffers of PCM16 @ 16 kHz. The service strips markdown, picks the
+ * model (voice.fastModelId for { fast: true }), and re-aligns chunks to whole
+ * samples — HTTP chunk boundaries can split a sample in two.
+ *
+ * LANGUAGE ({ language } from language.js): an English-only model is swapped
+ * for voice.multilingualModelId (default eleven_multilingual_v2, or
+ * eleven_turbo_v2_5 when fast) on non-English turns, and models that take
+ * a language_code are sent one.
+ *
+ * PHRASE CACHE (phrase-cache.js): short chunks are served from a
+ * content-addressed PCM cache and stored after a complete synthesis.
+ * TTS_CACHE=off disables it. Input-streaming sessions bypass it.
+ *
+ * INPUT STREAMING (TTS_MODE=stream-input): providers that also implement
+ * openSession() — websocket and stub — take text as it is generated. One
+ * session per turn receives LLM deltas while its audio is relayed
+ * concurrently, so generation never waits on audio download and prosody
+ * carries across sentences:
+ *
+ *   const speech = tts.openStream(persona.voice, { signal, onVoiced });
+ *   speech.push(delta); ...; speech.end();      // end() flushes
+ *   for await (const pcm of speech.audio) ws.send(pcm);
+ *
+ * onVoiced(text) reports which text the audio so far carried, once that
+ * audio has been taken from speech.audio: ElevenLabs from the alignment
+ * on each audio frame, the stub per batch of words it renders.
+ *
+ * MRA Architecture: Stage 7 — tts.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const fs = require('fs');
+const WebSocket = require('ws');
+const { createPhraseCache, resolvePhraseCacheConfig, phraseKey } = require('./phrase-cache');
+
+// ═══════════════════════════════════════════════════════
+// FORMAT
+// ═══════════════════════════════════════════════════════
+
+const SAMPLE_RATE = 16000;
+const OUTPUT_FORMAT = 'pcm_16000';
+const BYTES_PER_SAMPLE = 2;
+const AUDIO_FORMAT = { encoding: 'pcm_s16le', sampleRate: SAMPLE_RATE, channels: 1 };
+
+// Models that can only speak English, and models that accept language_code
+const ENGLISH_ONLY_MODELS = new Set(['eleven_monolingual_v1', 'eleven_turbo_v2', 'eleven_flash_v2', 'eleven_english_sts_v2']);
+const LANGUAGE_CODE_MODELS = new Set(['eleven_turbo_v2_5', 'eleven_flash_v2_5']);
+const MULTILINGUAL_MODEL = 'eleven_multilingual_v2';
+const MULTILINGUAL_FAST_MODEL = 'eleven_turbo_v2_5';
+
+const ELEVENLABS_HTTP_URL = 'https://api.elevenlabs.io';
+const ELEVENLABS_WS_URL = 'wss://api.elevenlabs.io';
+const INACTIVITY_TIMEOUT_SECONDS = 60;
+
+function abortError() {
+  const err = new Error('TTS request aborted');
+  err.name = 'AbortError';
+  return err;
+}
+
+// Strip markdown so TTS doesn't read asterisks, underscores, hashes or
+// backticks aloud. Preserves sentence content and punctuation.
+function cleanForSpeech(text) {
+  return (text || '')
+    .replace(/\*\*\*([^*]+)\*\*\*/g, '$1')  // ***bold italic***
+    .replace(/\*\*([^*]+)\*\*/g, '$1')      // **bold**
+    .replace(/\*([^*]+)\*/g, '$1')          // *italic*
+    .replace(/___([^_]+)___/g, '$1')        // ___bold italic___
+    .replace(/__([^_]+)__/g, '$1')          // __bold__
+    .replace(/_([^_]+)_/g, '$1')            // _italic_
+    .replace(/```[^`]*```/g, '')            // code blocks (remove entirely)
+    .replace(/`([^`]+)`/g, '$1')            // inline code
+    .replace(/^#{1,6}\s+/gm, '')            // headers (# ## ### etc)
+    .replace(/~~([^~]+)~~/g, '$1')          // ~~strikethrough~~
+    .trim();
+}
+
+// Carries an odd trailing byte into the next chunk so every chunk holds
+// whole 16-bit samples.
+async function* alignPcm16(chunks) {
+  let carry = null;
+  for await (const chunk of chunks) {
+    let buffer = carry ? Buffer.concat([carry, chunk]) : Buffer.from(chunk);
+    carry = null;
+    if (buffer.length % BYTES_PER_SAMPLE !== 0) {
+      carry = buffer.subarray(buffer.length - 1);
+      buffer = buffer.subarray(0, buffer.length - 1);
+    }
+    if (buffer.length > 0) yield buffer;
+  }
+}
+
+// Markdown that can be split across deltas ("*" + "*bold**") is dropped
+// character by character rather than matched as pairs
+function cleanDeltaForSpeech(text) {
+  return (text || '').replace(/```|[*_`~#]/g, '');
+}
+
+// Holds back a trailing partial word until the next delta completes it;
+// streaming TTS wants whole words, each ending in a space.
+function createWordBuffer() {
+  let pending = '';
+  return {
+    take(text) {
+      pending += text;
+      const cut = pending.search(/\s\S*$/);
+      if (cut < 0) return '';
+      const words = pending.slice(0, cut).trim();
+      pending = pending.slice(cut + 1);
+      return words;
+    },
+    drain() {
+      const words = pending.trim();
+      pending = '';
+      return words;
+    }
+  };
+}
+
+// Push-driven async iterable for event-based sources (WebSocket frames).
+// mark(text) is passed to onMark once every chunk pushed before it has been
+// taken, i.e. once the consumer asks for what comes after that audio.
+function createChunkQueue({ onMark = null } = {}) {
+  const items = [];
+  let wake = null;
+  let ended = false;
+  let error = null;
+
+  function notify() {
+    const resolve = wake;
+    wake = null;
+    resolve?.();
+  }
+
+  return {
+    push(chunk) { items.push(chunk); notify(); },
+    mark(text) { items.push({ mark: text }); notify(); },
+    end() { ended = true; notify(); },
+    fail(err) { if (!error) error = err; notify(); },
+    async *[Symbol.asyncIterator]() {
+      while (true) {
+        if (error) throw error;
+        if (items.length > 0) {
+          const item = items.shift();
+          if (Buffer.isBuffer(item)) yield item;
+          else onMark?.(item.mark);
+          continue;
+        }
+        if (ended) return;
+        await new Promise(resolve => { wake = resolve; });
+      }
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════
+// PROVIDER: ElevenLabs HTTP streaming
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to ELEVENLABS_API_KEY
+ * @param {string} [options.baseUrl]
+ */
+function createElevenLabsHttpProvider(options = {}) {
+  const { apiKey = process.env.ELEVENLABS_API_KEY, baseUrl = ELEVENLABS_HTTP_URL } = options;
+
+  async function* stream(text, voice, { signal, modelId = voice.modelId, languageCode = null } = {}) {
+    const response = await fetch(
+      `${baseUrl}/v1/text-to-speech/${voice.voiceId}/stream?output_format=${OUTPUT_FORMAT}`,
+      {
+        method: 'POST',
+        headers: {
+          'xi-api-key': apiKey,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          text,
+          model_id: modelId,
+          ...(languageCode ? { language_code: languageCode } : {}),
+          ...(voice.settings ? { voice_settings: voice.settings } : {})
+        }),
+        signal
+      }
+    );
+
+    if (!response.ok) {
+      const err = new Error(`ElevenLabs HTTP ${response.status} ${response.statusText}`);
+      err.status = response.status;
+      throw err;
+    }
+
+    const reader = response.body.getReader();
+    try {
+      while (true) {
+        if (signal?.aborted) throw abortError();
+        const { done, value } = await reader.read();
+        if (done) return;
+        yield Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+      }
+    } finally {
+      reader.cancel().catch(() => {});
+    }
+  }
+
+  return { name: 'elevenlabs-http', stream };
+}
+
+// ═══════════════════════════════════════════════════════
+// PROVIDER: ElevenLabs stream-input WebSocket
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.apiKey] - Defaults to ELEVENLABS_API_KEY
+ * @param {string} [options.baseUrl]
+ */
+function createElevenLabsWebSocketProvider(options = {}) {
+  const { apiKey = process.env.ELEVENLABS_API_KEY, baseUrl = ELEVENLABS_WS_URL } = options;
+
+  /**
+   * Opens one synthesis socket. Text may be pushed in any size of fragment;
+   * only whole words are forwarded, each ending in a space as the API asks.
+   *
+   * @returns {Object} { push(text), flush(), end(), close(), audio }
+   *   audio is an async iterable of PCM16 Buffers that ends after end();
+   *   onVoiced gets each frame's alignment text once its audio is taken
+   */
+  function openSession(voice, { signal, modelId = voice.modelId, languageCode = null, onVoiced = null } = {}) {
+    // A turn's socket can sit idle while the gate holds a buffered response
+    const query = `model_id=${encodeURIComponent(modelId)}&output_format=${OUTPUT_FORMAT}&inactivity_timeout=${INACTIVITY_TIMEOUT_SECONDS}`
+      + (languageCode ? `&language_code=${encodeURIComponent(languageCode)}` : '');
+    const socket = new WebSocket(`${baseUrl}/v1/text-to-speech/${voice.voiceId}/stream-input?${query}`, {
+      headers: { 'xi-api-key': apiKey }
+    });
+    const audio = createChunkQueue({ onMark: onVoiced });
+    const words = createWordBuffer();
+    const outbox = [];
+
+    function send(message) {
+      if (socket.readyState === WebSocket.OPEN) socket.send(JSON.stringify(message));
+      else if (socket.readyState === WebSocket.CONNECTING) outbox.push(message);
+    }
+
+    socket.on('open', () => {
+      for (const message of outbox.splice(0)) socket.send(JSON.stringify(message));
+    });
+    socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString('utf8'));
+      } catch {
+        return;
+      }
+      if (message.audio) audio.push(Buffer.from(message.audio, 'base64'));
+      if (message.alignment?.chars) audio.mark(message.alignment.chars.join(''));
+      if (message.error) audio.fail(new Error(`ElevenLabs WebSocket: ${message.message || message.error}`));
+      if (message.isFinal) socket.close();
+    });
+    socket.on('error', (err) => audio.fail(err));
+    socket.on('close', () => audio.end());
+
+    function onAbort() {
+      audio.fail(abortError());
+      socket.terminate();
+    }
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Opening message carries the persona's voice settings
+    send({ text: ' ', ...(voice.settings ? { voice_settings: voice.settings } : {}) });
+
+    return {
+      push(text) {
+        const ready = words.take(text);
+        if (ready) send({ text: `${ready} ` });
+      },
+      // Forces synthesis of everything pushed so far
+      flush() {
+        const rest = words.drain();
+        send({ text: rest ? `${rest} ` : ' ', flush: true });
+      },
+      // Flushes and signals end of input; audio ends once the last frame arrives
+      end() {
+        const rest = words.drain();
+        if (rest) send({ text: `${rest} ` });
+        send({ text: '' });
+      },
+      close() {
+        signal?.removeEventListener('abort', onAbort);
+        if (socket.readyState === WebSocket.CONNECTING) socket.terminate();
+        else socket.close();
+      },
+      audio
+    };
+  }
+
+  async function* stream(text, voice, options = {}) {
+    const session = openSession(voice, options);
+    try {
+      session.push(text);
+      session.end();
+      yield* session.audio;
+    } finally {
+      session.close();
+    }
+  }
+
+  return { name: 'elevenlabs-ws', stream, openSession };
+}
+
+// ═══════════════════════════════════════════════════════
+// PROVIDER: offline stub — sine tone or WAV file
+// ═══════════════════════════════════════════════════════
+
+/**
+ * Decodes a 16-bit PCM WAV into PCM16 @ 16 kHz mono: channels are averaged
+ * and the rate is converted by linear interpolation.
+ *
+ * @param {Buffer} wav
+ * @returns {Buffer}
+ */
+function decodeWav(wav) {
+  if (wav.toString('ascii', 0, 4) !== 'RIFF' || wav.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a RIFF/WAVE file');
+  }
+
+  let format = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= wav.length;) {
+    const id = wav.toString('ascii', offset, offset + 4);
+    const size = wav.readUInt32LE(offset + 4);
+    const body = wav.subarray(offset + 8, offset + 8 + size);
+    if (id === 'fmt ') {
+      format = {
+        audioFormat: body.readUInt16LE(0),
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!format || !data) throw new Error('WAV is missing its fmt or data chunk');
+  if (format.audioFormat !== 1 || format.bitsPerSample !== 16) {
+    throw new Error(`Unsupported WAV encoding (format ${format.audioFormat}, ${format.bitsPerSample}-bit) — 16-bit PCM only`);
+  }
+
+  const { channels, sampleRate } = format;
+  const frames = Math.floor(data.length / (BYTES_PER_SAMPLE * channels));
+  const mono = new Float64Array(frames);
+  for (let i = 0; i < frames; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += data.readInt16LE((i * channels + c) * BYTES_PER_SAMPLE);
+    mono[i] = sum / channels;
+  }
+
+  const outFrames = Math.floor(frames * SAMPLE_RATE / sampleRate);
+  const out = Buffer.alloc(outFrames * BYTES_PER_SAMPLE);
+  for (let i = 0; i < outFrames; i++) {
+    const position = i * sampleRate / SAMPLE_RATE;
+    const left = Math.floor(position);
+    const right = Math.min(left + 1, frames - 1);
+    const sample = mono[left] + (mono[right] - mono[left]) * (position - left);
+    out.writeInt16LE(Math.max(-32768, Math.min(32767, Math.round(sample))), i * BYTES_PER_SAMPLE);
+  }
+  return out;
+}
+
+/**
+ * Sine tone lasting roughly as long as the text would take to say.
+ *
+ * @returns {Buffer} PCM16 @ 16 kHz
+ */
+function renderTone(text, { frequency = 220, msPerWord = 180, minMs = 300, amplitude = 0.2 } = {}) {
+  const words = text.split(/\s+/).filter(Boolean).length;
+  const samples = Math.round(SAMPLE_RATE * Math.max(minMs, words * msPerWord) / 1000);
+  const fade = Math.min(Math.round(SAMPLE_RATE * 0.01), Math.floor(samples / 2));
+  const out = Buffer.alloc(samples * BYTES_PER_SAMPLE);
+  for (let i = 0; i < samples; i++) {
+    const envelope = Math.min(1, i / fade, (samples - 1 - i) / fade);
+    const value = Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE) * amplitude * envelope;
+    out.writeInt16LE(Math.round(value * 32767), i * BYTES_PER_SAMPLE);
+  }
+  return out;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.wavFile] - Played for every request instead of a tone
+ * @param {number} [options.frequency] - Tone frequency in Hz
+ * @param {number} [options.msPerWord] - Tone length per word
+ * @param {number} [options.chunkMs] - Size of each yielded chunk
+ */
+function createStubTTSProvider(options = {}) {
+  const { wavFile = null, chunkMs = 100, ...toneOptions } = options;
+  const wavPcm = wavFile ? decodeWav(fs.readFileSync(wavFile)) : null;
+  const chunkBytes = Math.round(SAMPLE_RATE * chunkMs / 1000) * BYTES_PER_SAMPLE;
+
+  function* chunk(pcm) {
+    for (let offset = 0; offset < pcm.length; offset += chunkBytes) {
+      yield pcm.subarray(offset, offset + chunkBytes);
+    }
+  }
+
+  async function* stream(text, voice, { signal } = {}) {
+    for (const pcm of chunk(wavPcm || renderTone(text, toneOptions))) {
+      if (signal?.aborted) throw abortError();
+      yield pcm;
+    }
+  }
+
+  // Renders each batch of whole words as it arrives; a WAV file plays once per session
+  function openSession(voice, { signal, onVoiced = null } = {}) {
+    const audio = createChunkQueue({ onMark: onVoiced });
+    const words = createWordBuffer();
+    let played = false;
+
+    function render(text) {
+      if (!text || signal?.aborted) return;
+      const pcm = wavPcm ? (played ? null : wavPcm) : renderTone(text, toneOptions);
+      played = true;
+      if (pcm) for (const piece of chunk(pcm)) audio.push(piece);
+      audio.mark(text);
+    }
+
+    function onAbort() {
+      audio.fail(abortError());
+    }
+    if (signal?.aborted) onAbort();
+    else signal?.addEventListener('abort', onAbort, { once: true });
+
+    return {
+      push: (text) => render(words.take(text)),
+      flush: () => render(words.drain()),
+      end: () => { render(words.drain()); audio.end(); },
+      close: () => { signal?.removeEventListener('abort', onAbort); audio.end(); },
+      audio
+    };
+  }
+
+  return { name: wavFile ? 'stub-wav' : 'stub-tone', stream, openSession };
+}
+
+// ═══════════════════════════════════════════════════════
+// SERVICE
+// ═══════════════════════════════════════════════════════
+
+// TTS_MODE: 'stream-input' feeds one session per turn, anything else is 'sentence'
+function resolveTTSMode(env = process.env) {
+  return (env.TTS_MODE || '').toLowerCase() === 'stream-input' ? 'stream-input' : 'sentence';
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.env]
+ * @returns {Object} Provider selected by TTS_PROVIDER
+ */
+function createTTSProvider(options = {}) {
+  const { env = process.env } = options;
+  const kind = (env.TTS_PROVIDER || 'http').toLowerCase();
+
+  if (kind === 'stub') return createStubTTSProvider({ wavFile: env.TTS_STUB_WAV || null });
+  if (kind === 'websocket') return createElevenLabsWebSocketProvider({ apiKey: env.ELEVENLABS_API_KEY });
+  if (kind !== 'http') console.warn(`[TTS] Unknown TTS_PROVIDER "${kind}", using http`);
+  return createElevenLabsHttpProvider({ apiKey: env.ELEVENLABS_API_KEY });
+}
+
+/**
+ * Model and language_code for one request.
+ *
+ * @param {Object} voice - persona.voice
+ * @param {Object} [opts] - { fast, language }
+ * @returns {Object} { modelId, languageCode }
+ */
+function resolveModel(voice, { fast = false, language = null } = {}) {
+  let modelId = fast ? (voice.fastModelId || voice.modelId) : voice.modelId;
+  if (language && language !== 'en' && ENGLISH_ONLY_MODELS.has(modelId)) {
+    modelId = voice.multilingualModelId || (fast ? MULTILINGUAL_FAST_MODEL : MULTILINGUAL_MODEL);
+  }
+  const languageCode = language && LANGUAGE_CODE_MODELS.has(modelId) ? language : null;
+  return { modelId, languageCode };
+}
+
+function defaultPhraseCache() {
+  return resolvePhraseCacheConfig().enabled ? createPhraseCache() : null;
+}
+
+/**
+ * @param {Object} [options]
+ * @param {Object} [options.provider] - Defaults to createTTSProvider()
+ * @param {Object} [options.cache] - Phrase cache, defaults to createPhraseCache()
+ *   unless TTS_CACHE=off; null disables caching
+ * @returns {Object} { name, provider, cache, format, stream, synthesize }
+ */
+function createTTSService(options = {}) {
+  const { provider = createTTSProvider(), cache = defaultPhraseCache() } = options;
+
+  /**
+   * @param {string} text
+   * @param {Object} voice - persona.voice: { voiceId, modelId, fastModelId?, multilingualModelId?, settings }
+   * @param {Object} [opts]
+   * @param {AbortSignal} [opts.signal]
+   * @param {boolean} [opts.fast] - Use voice.fastModelId (short utterances)
+   * @param {string} [opts.language] - The turn's language, see resolveModel()
+   * @param {boolean} [opts.cache] - false bypasses the phrase cache
+   * @returns {AsyncIterable<Buffer>} PCM16 @ 16 kHz mono
+   */
+  async function* stream(text, voice, opts = {}) {
+    const clean = cleanForSpeech(text);
+    if (!clean) return;
+    const { modelId, languageCode } = resolveModel(voice, opts);
+    const synthesized = () => alignPcm16(provider.stream(clean, voice, { signal: opts.signal, modelId, languageCode }));
+
+    if (!cache || opts.cache === false || !cache.cacheable(clean)) {
+      yield* synthesized();
+      return;
+    }
+
+    const startTime = Date.now();
+    const key = phraseKey(voice, modelId, clean, languageCode);
+    const cached = await cache.get(key);
+    if (cached) {
+      cache.recordLatency(true, Date.now() - startTime);
+      yield cached;
+      return;
+    }
+
+    // Only a complete, unaborted synthesis is stored
+    const chunks = [];
+    for await (const chunk of synthesized()) {
+      if (chunks.length === 0) cache.recordLatency(false, Date.now() - startTime);
+      chunks.push(chunk);
+      yield chunk;
+    }
+    if (!opts.signal?.aborted) cache.set(key, Buffer.concat(chunks));
+  }
+
+  // Whole utterance as one Buffer — backchannels and cached phrases
+  async function synthesize(text, voice, opts = {}) {
+    const chunks = [];
+    for await (const chunk of stream(text, voice, opts)) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  }
+
+  /**
+   * One input-streaming session (see INPUT STREAMING above).
+   *
+   * @param {Object} voice - persona.voice
+   * @param {Object} [opts] - { signal, language, onVoiced(text) }
+   * @returns {Object|null} { push, flush, end, close, audio }, or null when the
+   *   provider cannot stream input
+   */
+  function openStream(voice, opts = {}) {
+    if (!provider.openSession) return null;
+    const { modelId, languageCode } = resolveModel(voice, { language: opts.language });
+    const session = provider.openSession(voice, { signal: opts.signal, modelId, languageCode, onVoiced: opts.onVoiced });
+    return {
+      push: (text) => session.push(cleanDeltaForSpeech(text)),
+      flush: () => session.flush(),
+      end: () => session.end(),
+      close: () => session.close(),
+      audio: alignPcm16(session.audio)
+    };
+  }
+
+  return {
+    name: provider.name,
+    provider,
+    cache,
+    format: AUDIO_FORMAT,
+    supportsInputStreaming: typeof provider.openSession === 'function',
+    stream,
+    synthesize,
+    openStream
+  };
+}
+
+module.exports = {
+  createTTSService,
+  createTTSProvider,
+  resolveTTSMode,
+  resolveModel,
+  createElevenLabsHttpProvider,
+  createElevenLabsWebSocketProvider,
+  createStubTTSProvider,
+  cleanForSpeech,
+  cleanDeltaForSpeech,
+  createChunkQueue,
+  decodeWav,
+  renderTone,
+  AUDIO_FORMAT,
+  SAMPLE_RATE,
+  OUTPUT_FORMAT
+};
@@ -0,0 +1,682 @@
+/**
+ * TURN ORCHESTRATOR — Per-turn MRA pipeline
+ *
+ * Runs every user utterance through the pipeline described in ARCHITECTURE.md:
+ *
+ *   session classifier → sendBackchannel → [LLM classifier tier] →
+ *   buildSystemPrompt → LLM provider →
+ *   enforceInvariants (regenerate on requiresRegeneration) → crisisOverride →
+ *   TTS → Atelier / conductance logging
+ *
+ * Each stage can be switched off on its own so the pipeline can be rolled out
+ * one stage at a time. With every stage off, a turn behaves exactly like the
+ * old serial relay: static persona prompt → Claude → ElevenLabs.
+ *
+ * STAGE TOGGLES (environment):
+ *   MRA_PIPELINE=off                          — disable every stage
+ *   MRA_DISABLED_STAGES=backchannel,atelier   — disable selected stages
+ *   MRA_GATE_MODE=stream                      — gate sentence chunks as they stream
+ *
+ * MRA Architecture: Stage 0 — turn-orchestrator.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { analyzeMessage } = require('./classifier');
+const { createSessionClassifier } = require('./session-classifier');
+const { DEFAULT_LANGUAGE } = require('./language');
+const { sendBackchannel, TimingTracker } = require('./backchannel');
+const { buildSystemPrompt } = require('./prompt-engine');
+const { enforceInvariants, createStreamingGate } = require('./invariant-gate');
+const { crisisOverride } = require('./crisis-override');
+const { regenerateUntilPass } = require('./regeneration-controller');
+const { reinforcePathway, loadConductanceLandscape, logConductanceSession } = require('./conductance');
+const { startAtelierConversation, endAtelierConversation, logTurn, logGateRescue, detectCartaEmotions } = require('./atelier');
+const { broadcastToAtelier } = require('./atelier-broadcast');
+const { quickSentiment } = require('./sentiment');
+const { loadProfile } = require('./profile-manager');
+const { startSession } = require('./session-boundary');
+const { selectScaffold, detectSituationType } = require('./scaffold-selector');
+const { resolveLimits } = require('./calibration');
+const { createLLMProvider } = require('./llm-provider');
+const { createSentenceSegmenter, splitSentences } = require('./sentence-segmenter');
+
+// ═══════════════════════════════════════════════════════
+// STAGE CONFIGURATION
+// ═══════════════════════════════════════════════════════
+
+const PIPELINE_STAGES = [
+  'classifier',
+  'backchannel',
+  'conductance',
+  'promptEngine',
+  'invariantGate',
+  'crisisOverride',
+  'atelier'
+];
+
+function resolveStages(env = process.env) {
+  const pipelineOff = (env.MRA_PIPELINE || '').toLowerCase() === 'off';
+  const disabled = new Set(
+    (env.MRA_DISABLED_STAGES || '')
+      .split(',')
+      .map(s => s.trim())
+      .filter(Boolean)
+  );
+
+  const stages = {};
+  for (const stage of PIPELINE_STAGES) {
+    stages[stage] = !pipelineOff && !disabled.has(stage);
+  }
+  return stages;
+}
+
+// Invariant gate placement: 'buffered' checks the complete response before
+// any audio (adds full generation time to Clock B); 'stream' checks each
+// sentence chunk right before TTS.
+const GATE_MODES = ['buffered', 'stream'];
+
+function resolveGateMode(env = process.env) {
+  const mode = (env.MRA_GATE_MODE || 'buffered').toLowerCase();
+  return GATE_MODES.includes(mode) ? mode : 'buffered';
+}
+
+// Used when the classifier stage is off, so downstream stages still receive
+// a well-formed classification. W3 context is the classifier's own fallback.
+const NEUTRAL_CLASSIFICATION = {
+  weight: 3,
+  dimension: 'context',
+  isNoise: false,
+  isMultiDimensional: false,
+  confessionDepth: { depth: 0, signals: [], isDeep: false, isCovenant: false },
+  dimensions: [{ type: 'context', weight: 3, markers: [] }],
+  mood: { mood: 'default', energy: 4, mode: 'WARM_PRESENCE', trigger: null },
+  resistance: [],
+  hasResistance: false,
+  hasCriticalResistance: false,
+  footingSignals: [],
+  abtLogline: null,
+  instantWeight: 3,
+  footing: null,
+  footingShift: false,
+  lexiconVersion: null,
+  tier: null,
+  classificationTimeMs: 0
+};
+
+// ═══════════════════════════════════════════════════════
+// ORCHESTRATOR FACTORY — One per WebSocket connection
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {Object} options
+ * @param {WebSocket} options.ws - Client connection
+ * @param {Object} options.persona - Active persona from the registry: prompt (used when
+ *   promptEngine is off), voice, backchannels, invariantOverrides, scaffoldLibrary
+ * @param {Object} [options.llm] - LLM provider (see llm-provider.js)
+ * @param {Object} [options.anthropic] - Anthropic client, used to build the default
+ *   provider chain when options.llm is not given
+ * @param {Object} [options.tts] - TTS service (see tts.js), used for backchannel audio
+ * @param {Object} [options.backchannelCache] - Pre-rendered backchannel audio (see backchannel-cache.js)
+ * @param {Function} [options.speak] - async (text, { signal }) => void, speaks one chunk and
+ *   resolves once its audio has been sent; used only when openSpeech is not given
+ * @param {Function} [options.openSpeech] - ({ signal, onSpoken, language }) => { mode, push(text), end(), close() }
+ *   opens the turn's speech channel, so generation never waits on audio. mode 'sentence'
+ *   (speech-pipeline.js) takes sentence chunks and calls onSpoken(text) once each has played;
+ *   mode 'stream-input' (createStreamSpeech) takes raw deltas plus mark(text) after each sentence,
+ *   and calls onSpoken(text) once audio through it has been sent. end() resolves once the
+ *   last audio has been sent.
+ * @param {Object} [options.llmClassifier] - Second classification tier for low-confidence
+ *   turns (see llm-classifier.js), null keeps the keyword pass
+ * @param {Object} [options.supabase] - Supabase client, null disables persistence
+ * @param {Object} [options.session] - Session state { sessionId, userId, conversationHistory },
+ *   or a stored session being resumed (see session-store.js)
+ * @param {Object} [options.stages] - Stage toggles, defaults to resolveStages()
+ * @param {string} [options.gateMode] - 'buffered' | 'stream', defaults to resolveGateMode()
+ */
+function createTurnOrchestrator(options) {
+  const {
+    ws,
+    persona,
+    anthropic = null,
+    tts = null,
+    backchannelCache = null,
+    speak,
+    openSpeech = null,
+    llmClassifier = null,
+    supabase = null,
+    stages = resolveStages(),
+    gateMode = resolveGateMode()
+  } = options;
+
+  // Filled in place, so a resumed session stays the session-store's object
+  // and its grace-period expiry sees this connection's turns
+  const session = Object.assign(options.session || {}, {
+    sessionId: null,
+    userId: null,
+    conversationHistory: [],
+    conductance: null,
+    sessionContext: null,
+    turnCount: 0,
+    maxWeight: 1,
+    pathwaysReinforced: 0,
+    lastClassification: null,
+    classifierState: {},
+    language: DEFAULT_LANGUAGE,
+    timings: [],
+    ...options.session
+  });
+
+  const personaId = persona.id;
+  const systemPrompt = persona.prompt;
+  const invariantOverrides = persona.invariantOverrides || {};
+  const llm = options.llm || createLLMProvider({ anthropic });
+
+  // Weight envelope and footing across turns, kept on the session so a resume continues them
+  const sessionClassifier = createSessionClassifier({ state: session.classifierState });
+
+  let ready = Promise.resolve();
+
+  // The turn currently generating/speaking: { controller, stream, speech, voiced[], llm }
+  let activeTurn = null;
+
+  function send(payload) {
+    if (ws.readyState === 1) ws.send(JSON.stringify(payload));
+  }
+
+  // ── SESSION LIFECYCLE ──
+
+  // A resumed session already holds its landscape, context and open Atelier
+  // conversation, so there is nothing to load.
+  function start({ resumed = false } = {}) {
+    ready = resumed ? Promise.resolve() : loadSession();
+    return ready;
+  }
+
+  async function loadSession() {
+    const tasks = [];
+
+    if (stages.conductance) {
+      tasks.push(
+        loadConductanceLandscape(supabase, session.userId)
+          .then(landscape => { session.conductance = landscape; })
+      );
+    }
+
+    if (stages.promptEngine) {
+      tasks.push(
+        loadProfile(supabase, session.userId)
+          .then(profile => { session.sessionContext = startSession(session.userId, profile); })
+      );
+    }
+
+    if (stages.atelier) {
+      tasks.push(startAtelierConversation(session.sessionId, session.userId));
+    }
+
+    const results = await Promise.allSettled(tasks);
+    for (const r of results) {
+      if (r.status === 'rejected') console.error(`[${personaId}] Session start error:`, r.reason);
+    }
+  }
+
+  async function end() {
+    if (stages.conductance && session.turnCount > 0) {
+      try {
+        await logConductanceSession(supabase, session.userId, session.sessionId, {
+          pathwaysReinforced: session.pathwaysReinforced,
+          maxWeight: session.maxWeight
+        });
+      } catch (err) {
+        console.error(`[${personaId}] Conductance session error:`, err);
+      }
+    }
+    if (stages.atelier) {
+      try {
+        await endAtelierConversation(session.sessionId);
+      } catch (err) {
+        console.error(`[${personaId}] Atelier end error:`, err);
+      }
+    }
+  }
+
+  // ── LLM ──
+
+  async function streamCompletion(system, onText) {
+    checkpoint();
+    const stream = llm.stream({
+      system,
+      messages: session.conversationHistory,
+      maxTokens: 400,
+      signal: activeTurn?.controller.signal
+    });
+    if (activeTurn) {
+      activeTurn.stream = stream;
+      activeTurn.llm = stream.meta;
+    }
+
+    // onText returning false stops generation (streaming gate cut)
+    let fullResponse = '';
+    for await (const text of stream) {
+      checkpoint();
+      fullResponse += text;
+      if (onText && (await onText(text)) === false) {
+        stream.abort();
+        break;
+      }
+    }
+
+    const { provider, attempts, failover } = stream.meta;
+    if (failover || attempts > 1) {
+      console.log(`[LLM] Answered by ${provider} after ${attempts} attempt(s)`);
+    }
+    return fullResponse;
+  }
+
+  function composePrompt(classification, scaffold, regenerationConstraints = null) {
+    if (!stages.promptEngine) {
+      return regenerationConstraints
+        ? `${systemPrompt}\n\nCRITICAL CONSTRAINTS (previous response violated identity rules):\n${regenerationConstraints}`
+        : systemPrompt;
+    }
+    return buildSystemPrompt(
+      classification,
+      session.conductance,
+      regenerationConstraints,
+      session.sessionContext,
+      scaffold,
+      persona
+    );
+  }
+
+  async function regenerate(classification, scaffold, limits, failedResponse, failedGate) {
+    console.log(`[Gate] ✗ FAIL — ${failedGate.violations.map(v => v.invariant).join(', ')} — regenerating`);
+    const result = await regenerateUntilPass({
+      response: failedResponse,
+      gate: failedGate,
+      classification,
+      scaffold,
+      scaffoldLibrary: persona.scaffoldLibrary,
+      invariantOverrides,
+      limits,
+      composePrompt: (constraints) => composePrompt(classification, scaffold, constraints),
+      generate: (system) => streamCompletion(system)
+    });
+    const gate = {
+      ...result.gate,
+      regenerated: true,
+      regeneration: { outcome: result.outcome, attempts: result.attempts },
+      originalViolations: failedGate.violations
+    };
+    return { response: result.response, gate };
+  }
+
+  // ── BARGE-IN ──
+
+  // Throws once the active turn has been interrupted, unwinding the pipeline
+  function checkpoint() {
+    if (activeTurn?.controller.signal.aborted) throw new Error('Turn interrupted');
+  }
+
+  // Cancels the in-flight Claude stream and TTS download. Returns false
+  // when there is nothing to interrupt.
+  function interrupt() {
+    if (!activeTurn || activeTurn.controller.signal.aborted) return false;
+    activeTurn.controller.abort();
+    activeTurn.stream?.abort?.();
+    return true;
+  }
+
+  // ── TURN ──
+
+  // options.language: the utterance's language (language.js), defaults to the session's last
+  async function runTurn(userText, options = {}) {
+    const language = options.language || session.language || DEFAULT_LANGUAGE;
+    const timing = new TimingTracker();
+    timing.markUtteranceEnd();
+    await ready;
+    session.turnCount++;
+
+    console.log('─'.repeat(40));
+    console.log(`[Input] "${userText}"`);
+
+    session.conversationHistory.push({ role: 'user', content: userText });
+    session.language = language;
+
+    const turn = { controller: new AbortController(), stream: null, speech: null, voiced: [], llm: null, refinement: null };
+    activeTurn = turn;
+
+    // Stage 1: classification — carries the turn's language to every later stage.
+    // weight is session-smoothed; instantWeight is this message alone. A
+    // low-confidence keyword pass starts the LLM tier now; the prompt waits for it.
+    let classification = { ...NEUTRAL_CLASSIFICATION, language };
+    if (stages.classifier) {
+      const analysis = analyzeMessage(userText, { language });
+      classification = sessionClassifier.classify(userText, { language, analysis });
+      turn.refinement = llmClassifier?.refine(userText, analysis, { signal: turn.controller.signal }) || null;
+      console.log(`[Classifier] W${classification.weight} (message W${classification.instantWeight}) ${classification.dimension} | Mood: ${classification.mood.mode} | Footing: ${classification.footing || '-'} | Lang: ${classification.language} | ${classification.classificationTimeMs}ms`);
+      if (classification.confessionDepth.depth > 0) {
+        console.log(`[Classifier] Confession depth: ${classification.confessionDepth.depth} signals`);
+      }
+    }
+    session.maxWeight = Math.max(session.maxWeight, classification.instantWeight);
+    session.lastClassification = classification;
+
+    try {
+      return await respond(userText, classification, timing, turn);
+    } catch (err) {
+      if (!turn.controller.signal.aborted) throw err;
+      return finishInterrupted(userText, session.lastClassification, timing, turn);
+    } finally {
+      turn.speech?.close();
+      if (activeTurn === turn) activeTurn = null;
+    }
+  }
+
+  async function respond(userText, classification, timing, turn) {
+    // Stage 2: backchannel — runs alongside generation, must land before response audio
+    let backchannelDone = Promise.resolve(null);
+    if (stages.backchannel) {
+      backchannelDone = sendBackchannel(ws, tts, persona.voice, classification, {
+        backchannels: persona.backchannels,
+        cache: backchannelCache
+      })
+        .then(bc => { timing.markBackchannelSent(); return bc; })
+        .catch(err => { console.error('[Backchannel] Error:', err.message); return null; });
+    }
+
+    // Speech channel for the whole turn, opened now so a stream-input
+    // connection is up before the first token arrives
+    if (openSpeech) {
+      turn.speech = openSpeech({
+        signal: turn.controller.signal,
+        onSpoken: (text) => turn.voiced.push(text),
+        language: classification.language
+      });
+    }
+
+    // Stage 1b: LLM tier — the backchannel already went out on the keyword
+    // pass; the prompt takes the refined reading (bounded by its own timeout)
+    if (turn.refinement) {
+      const refined = await turn.refinement;
+      if (turn.controller.signal.aborted) throw new Error('Turn interrupted');
+      if (refined.tier === 'llm') {
+        classification = sessionClassifier.revise(refined);
+        session.maxWeight = Math.max(session.maxWeight, classification.instantWeight);
+        session.lastClassification = classification;
+        console.log(`[Classifier] LLM tier (${refined.llm.reason}): W${classification.weight} (message W${classification.instantWeight}) ${classification.dimension} | crisis ${refined.llm.crisisLikelihood} | ${refined.llm.ms}ms`);
+      }
+    }
+
+    // Stage 3: prompt
+    const scaffold = stages.promptEngine
+      ? selectScaffold({
+          weight: classification.weight,
+          emotionCategory: classification.dimensions?.[0]?.categories?.[0],
+          situationType: detectSituationType(userText, classification)
+        }, persona.scaffoldLibrary)
+      : null;
+    const prompt = composePrompt(classification, scaffold);
+    // Same ceilings the prompt just asked for, so the gate checks exactly that
+    const limits = resolveLimits(classification.weight, { calibration: persona.calibration, scaffold });
+
+    let spokenAny = false;
+    async function startSpeaking() {
+      if (!spokenAny) {
+        await backchannelDone;
+        timing.markFirstContent();
+        spokenAny = true;
+      }
+      checkpoint();
+    }
+
+    // Queues the chunk and returns straight away when there is a speech
+    // channel. pushed: the text already reached a stream-input session delta
+    // by delta. Both channel modes report voiced text through onSpoken.
+    async function speakChunk(text, { pushed = false } = {}) {
+      await startSpeaking();
+      if (turn.speech) {
+        if (!pushed) turn.speech.push(`${text} `);
+        turn.speech.mark?.(text);
+        return;
+      }
+      await speak(text, { signal: turn.controller.signal });
+      checkpoint();
+      turn.voiced.push(text);
+    }
+
+    // Stream-input TTS without the gate: Claude deltas go straight to the session
+    async function speakDelta(text) {
+      await startSpeaking();
+      turn.speech.push(text);
+    }
+
+    // Stage 4: Claude. Without the gate, stream straight to TTS as before.
+    // Buffered gate mode holds the whole response until it has been checked;
+    // stream gate mode checks each sentence chunk just before it is spoken.
+    let response;
+    let gate = null;
+    let needsSpeech = false;
+
+    if (!stages.invariantGate) {
+      const segmenter = createSentenceSegmenter();
+      const pushed = turn.speech?.mode === 'stream-input';
+      response = await streamCompletion(prompt, async (text) => {
+        send({ type: 'response_text', text });
+        if (pushed) await speakDelta(text);
+        for (const sentence of segmenter.push(text)) {
+          await speakChunk(sentence, { pushed });
+        }
+      });
+      for (const sentence of segmenter.flush()) {
+        await speakChunk(sentence, { pushed });
+      }
+    } else if (gateMode === 'stream') {
+      const streamGate = createStreamingGate(classification, invariantOverrides, limits);
+      const segmenter = createSentenceSegmenter();
+      const spoken = [];
+
+      async function release(chunk) {
+        const verdict = streamGate.checkSentence(chunk);
+        if (verdict.action === 'pass') {
+          send({ type: 'response_text', text: spoken.length > 0 ? ` ${chunk}` : chunk });
+          spoken.push(chunk);
+          await speakChunk(chunk);
+        } else {
+          console.log(`[Gate] ✗ ${verdict.action.toUpperCase()} "${chunk}" — ${verdict.violations.map(v => v.invariant).join(', ')}`);
+        }
+        return verdict.action !== 'cut';
+      }
+
+      // A sentence is checked only once complete, so no chunk carries the
+      // opening words of the next sentence past the gate
+      const rawResponse = await streamCompletion(prompt, async (text) => {
+        for (const sentence of segmenter.push(text)) {
+          if (!(await release(sentence))) return false;
+        }
+        return true;
+      });
+      if (!streamGate.state.cut) {
+        for (const sentence of segmenter.flush()) {
+          if (!(await release(sentence))) break;
+        }
+      }
+
+      gate = streamGate.finish();
+      response = spoken.join(' ');
+
+      // Nothing reached the user yet — safe to fall back to a full regeneration
+      if (spoken.length === 0 && gate.requiresRegeneration) {
+        ({ response, gate } = await regenerate(classification, scaffold, limits, rawResponse, gate));
+        needsSpeech = true;
+      }
+      console.log(`[Gate] ${gate.pass ? '✓ PASS' : `✗ ${gate.violationCount} violation(s)${gate.cut ? ', stream cut' : ''}`} (${gate.gateTimeMs}ms)`);
+    } else {
+      response = await streamCompletion(prompt);
+
+      // Stage 5: invariant gate — bounded constrained regeneration on CRITICAL
+      gate = enforceInvariants(response, classification, invariantOverrides, limits);
+      if (gate.requiresRegeneration) {
+        ({ response, gate } = await regenerate(classification, scaffold, limits, response, gate));
+      }
+      needsSpeech = true;
+      console.log(`[Gate] ${gate.pass ? '✓ PASS' : `✗ ${gate.violationCount} violation(s)`} (${gate.gateTimeMs}ms)`);
+    }
+
+    // Stage 6: crisis override — after the gate so 988 is never stripped
+    let crisisSuffix = null;
+    if (stages.crisisOverride) {
+      const crisis = await crisisOverride({
+        classification,
+        response,
+        sessionId: session.sessionId,
+        userMessage: userText
+      });
+      if (crisis.override) {
+        response = crisis.modifiedResponse;
+        crisisSuffix = crisis.crisisSuffix;
+      }
+    }
+
+    // Stage 7: TTS for anything not already streamed
+    if (needsSpeech) {
+      send({ type: 'response_text', text: response });
+      for (const chunk of splitSentences(response)) {
+        await speakChunk(chunk);
+      }
+    }
+    if (crisisSuffix) {
+      send({ type: 'response_text', text: crisisSuffix });
+      await speakChunk(crisisSuffix.trim());
+      response += crisisSuffix;
+    }
+
+    // Speech channel: flush and let the last queued audio out
+    if (turn.speech) {
+      await turn.speech.end();
+      checkpoint();
+    }
+
+    await backchannelDone;
+    timing.markResponseComplete();
+
+    session.conversationHistory.push({ role: 'assistant', content: response });
+    send({ type: 'response_complete' });
+    send({ type: 'status', message: 'listening' });
+
+    const timingReport = timing.getReport();
+    if (timingReport) {
+      session.timings.push(timingReport);
+      console.log(`[Timing] ${timingReport.summary}`);
+    }
+    console.log(`[Response] "${response}" (W${classification.weight})`);
+    console.log('─'.repeat(40));
+
+    // Stage 8: Atelier + conductance — off the response path
+    recordTurn(userText, response, classification, gate, timingReport, { crisisActivated: crisisSuffix !== null })
+      .catch(err => console.error(`[${personaId}] Turn logging error:`, err));
+
+    return { response, classification, gate, timing: timingReport, llm: turn.llm };
+  }
+
+  // History keeps only what was actually voiced, ending in a dash so the
+  // next turn can see where she was cut off.
+  function finishInterrupted(userText, classification, timing, turn) {
+    const spokenText = turn.voiced.join(' ');
+    if (spokenText) {
+      session.conversationHistory.push({ role: 'assistant', content: `${spokenText}—` });
+    }
+
+    send({ type: 'response_interrupted', spokenText });
+    send({ type: 'status', message: 'listening' });
+
+    timing.markResponseComplete();
+    const timingReport = timing.getReport();
+    if (timingReport) session.timings.push(timingReport);
+    console.log(`[Barge-in] Interrupted after ${turn.voiced.length} chunk(s): "${spokenText}"`);
+    console.log('─'.repeat(40));
+
+    recordTurn(userText, spokenText, classification, null, timingReport, { interrupted: true })
+      .catch(err => console.error(`[${personaId}] Turn logging error:`, err));
+
+    return { response: spokenText, classification, gate: null, timing: timingReport, interrupted: true };
+  }
+
+  async function recordTurn(userText, response, classification, gate, timingReport, flags = {}) {
+    const { crisisActivated = false, interrupted = false } = flags;
+    if (stages.conductance && stages.classifier) {
+      // Pathways learn from what was said, not from the weight held over it
+      const pathway = await reinforcePathway(supabase, session.userId, { ...classification, weight: classification.instantWeight });
+      if (pathway) session.pathwaysReinforced++;
+    }
+
+    if (!stages.atelier) return;
+
+    if (gate?.regeneration) {
+      await logGateRescue(session.sessionId, {
+        outcome: gate.regeneration.outcome,
+        weight: classification.weight,
+        attempts: gate.regeneration.attempts.map(a => ({
+          attempt: a.attempt,
+          fallback: a.fallback || false,
+          pass: a.pass,
+          violations: a.violations.map(v => ({ invariant: v.invariant, severity: v.severity, matched: v.matched }))
+        }))
+      });
+    }
+
+    const userEmotion = detectCartaEmotions(userText)[0] || null;
+    await logTurn(session.sessionId, 'USER', userText, quickSentiment(userText), classification.instantWeight, userEmotion, classification.language, classification.lexiconVersion);
+    if (response) {
+      await logTurn(session.sessionId, personaId.toUpperCase(), response, quickSentiment(response), classification.weight, null, classification.language, classification.lexiconVersion);
+    }
+
+    broadcastToAtelier({
+      type: 'TURN_COMPLETE_MRA',
+      payload: {
+        sessionId: session.sessionId,
+        personaId,
+        turn: session.turnCount,
+        classification: {
+          weight: classification.weight,
+          instantWeight: classification.instantWeight,
+          footing: classification.footing,
+          dimension: classification.dimension,
+          mood: classification.mood?.mode,
+          resistance: classification.resistance.map(r => r.type),
+          abtLogline: classification.abtLogline,
+          language: classification.language,
+          lexiconVersion: classification.lexiconVersion,
+          tier: classification.tier
+        },
+        gate: gate && {
+          pass: gate.pass,
+          violations: gate.violations.map(v => ({ invariant: v.invariant, severity: v.severity })),
+          regenerated: gate.regenerated || false,
+          regeneration: gate.regeneration && {
+            outcome: gate.regeneration.outcome,
+            attempts: gate.regeneration.attempts.map(a => ({
+              attempt: a.attempt,
+              fallback: a.fallback || false,
+              pass: a.pass,
+              violations: a.violations.map(v => v.invariant)
+            }))
+          },
+          mode: gate.mode || 'buffered',
+          cut: gate.cut || false
+        },
+        crisisActivated,
+        interrupted,
+        timing: timingReport
+      }
+    });
+  }
+
+  return { session, stages, gateMode, start, end, runTurn, interrupt };
+}
+
+module.exports = {
+  createTurnOrchestrator,
+  resolveStages,
+  resolveGateMode,
+  PIPELINE_STAGES
+};
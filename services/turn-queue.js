@@ -0,0 +1,86 @@
+/**
+ * Turn Queue Module
+ *
+ * Per-connection queue for user utterances that arrive while a response is
+ * still in flight. Nothing said during generation is dropped.
+ *
+ * MERGE MODES:
+ *   concatenate — everything queued during a response becomes ONE user turn,
+ *                 joined in the order it was said (default). Suits users who
+ *                 speak in bursts with pauses between them.
+ *   sequential  — each queued utterance is answered as its own turn, in order.
+ *
+ * The client receives { type: 'status', message: 'queued' } for every
+ * utterance that has to wait.
+ *
+ * Each utterance may carry meta (e.g. { language }) through to processTurn.
+ * A merged turn takes the meta of its latest utterance.
+ *
+ * MRA Architecture: Stage 0 — turn-queue.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const MERGE_MODES = ['concatenate', 'sequential'];
+
+function resolveQueueMode(env = process.env) {
+  const mode = (env.TURN_QUEUE_MODE || 'concatenate').toLowerCase();
+  return MERGE_MODES.includes(mode) ? mode : 'concatenate';
+}
+
+/**
+ * @param {Object} options
+ * @param {Function} options.processTurn - async (text, meta) => void, runs one turn
+ * @param {Function} [options.onQueued] - (info) => void, called when an utterance has to wait
+ * @param {string} [options.mode] - 'concatenate' | 'sequential', defaults to TURN_QUEUE_MODE
+ */
+function createTurnQueue(options) {
+  const { processTurn, onQueued = () => {}, mode = resolveQueueMode() } = options;
+
+  const pending = []; // [{ text, meta }]
+  let busy = false;
+
+  function enqueue(text, meta = {}) {
+    const trimmed = (text || '').trim();
+    if (!trimmed) return;
+
+    if (!busy) {
+      drain({ text: trimmed, meta });
+      return;
+    }
+
+    if (mode === 'concatenate' && pending.length > 0) {
+      pending[0] = { text: `${pending[0].text} ${trimmed}`, meta: { ...pending[0].meta, ...meta } };
+    } else {
+      pending.push({ text: trimmed, meta });
+    }
+
+    console.log(`[Queue] Utterance queued (${mode}, ${pending.length} pending)`);
+    onQueued({ mode, pending: pending.length, merged: mode === 'concatenate' });
+  }
+
+  async function drain(first) {
+    busy = true;
+    let next = first;
+    while (next) {
+      try {
+        await processTurn(next.text, next.meta);
+      } catch (err) {
+        console.error('[Queue] Turn error:', err);
+      }
+      next = pending.shift();
+    }
+    busy = false;
+  }
+
+  function isBusy() {
+    return busy;
+  }
+
+  function clear() {
+    pending.length = 0;
+  }
+
+  return { enqueue, isBusy, clear, mode, pending };
+}
+
+module.exports = { createTurnQueue, resolveQueueMode, MERGE_MODES };
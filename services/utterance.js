@@ -0,0 +1,260 @@
+/**
+ * Utterance Module — tokens, clauses and the context of each marker
+ *
+ * Marker lists match substrings, so "I'm not scared", "I don't hate myself
+ * anymore" and "my friend said she can't go on" all fired the same markers
+ * as a first-person disclosure. This layer tokenizes the message once and
+ * tells the classifier, for every marker occurrence:
+ *
+ *   polarity — affirmed | negated | hypothetical
+ *     negated: a negator sits in the same clause within NEGATION_WINDOW
+ *     tokens before the marker, with no subject or complement ("that",
+ *     "why", "if") between them — "I don't know why I want to die" is
+ *     affirmed, the hedge doesn't reach the next clause. A marker that already carries a negator
+ *     ("can't go on", French "jamais dit") isn't flipped by another one —
+ *     that is the "ne" of "ne ... pas".
+ *     hypothetical: a conditional cue earlier in the clause ("if", "what
+ *     if") or a fiction cue anywhere in the sentence ("in that movie").
+ *
+ *   subject — self | other | reported
+ *     reported: inside quotes, or after a reporting verb ("said", "told"),
+ *     when the speaker isn't the user. "I told her I'm scared" stays self.
+ *     otherwise the nearest person word before the marker in its clause:
+ *     I/me/we → self; he/she/they → other; "my" → self, unless a person
+ *     follows it ("my friend is scared" is the friend's fear). With no
+ *     person word the marker's own words decide ("hate myself"), else
+ *     self — Portuguese and Spanish drop the pronoun.
+ *
+ * The word lists are per language, in the lexicon's `grammar` section;
+ * `people` adds person nouns to the family and romantic markers. Every
+ * list is a matcher (matcher.js), scanned once per utterance: "n'*"
+ * matches a word prefix and "*n't" a suffix.
+ *
+ * MRA Architecture: Stage 1 — utterance.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const { compileMatcher, foldText, WORD_PATTERN } = require('./matcher');
+
+const NEGATION_WINDOW = 5;
+const TOKEN_PATTERN = new RegExp(`${WORD_PATTERN.source}|["“”«»]|[.!?;:,—]`, 'g');
+const SENTENCE_END = new Set(['.', '!', '?']);
+const CLAUSE_BREAK = new Set([';', ':', ',', '—']);
+const QUOTE = new Set(['"', '“', '”', '«', '»']);
+
+// ═══════════════════════════════════════════════════════
+// GRAMMAR — cues scanned once per utterance
+// ═══════════════════════════════════════════════════════
+
+function tokenize(text) {
+  const tokens = [];
+  for (const match of text.matchAll(TOKEN_PATTERN)) {
+    tokens.push({ text: match[0], start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+const personNouns = new WeakMap();
+
+// Words that name a person, so "my friend" reads as someone else
+function personNounsFor(lexicon) {
+  if (!personNouns.has(lexicon)) {
+    const entries = ['family', 'romantic']
+      .flatMap(category => lexicon.sociology[category]?.entries || [])
+      .concat(lexicon.grammar.people.entries);
+    personNouns.set(lexicon, compileMatcher(entries, { inflections: lexicon.inflections }));
+  }
+  return personNouns.get(lexicon);
+}
+
+// Start of the last cue that lies wholly within [from, to), or -1
+function findCue(cues, from, to) {
+  return cues.reduce((last, cue) => (cue.from >= from && cue.to <= to && cue.from > last ? cue.from : last), -1);
+}
+
+// A one-word cue at i
+function cueAt(cues, i) {
+  return findCue(cues, i, i + 1) === i;
+}
+
+// ═══════════════════════════════════════════════════════
+// PARSE
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {string} message
+ * @param {Object} lexicon - Compiled lexicon (lexicon.js)
+ * @returns {Object} { message, text, tokens, lexicon, cues } — text is folded;
+ *   each word token carries its sentence, clause and quote (index of the
+ *   quote's first word, or -1); cues are the grammar matches by list
+ */
+function parseUtterance(message, lexicon) {
+  const text = foldText(message || '');
+
+  // Punctuation and quote marks become boundaries on the next word
+  const tokens = [];
+  let sentence = 0;
+  let quote = -1;
+  let breakBefore = false;
+  for (const token of tokenize(text)) {
+    if (SENTENCE_END.has(token.text)) {
+      sentence++;
+      breakBefore = true;
+    } else if (CLAUSE_BREAK.has(token.text)) {
+      breakBefore = true;
+    } else if (QUOTE.has(token.text)) {
+      quote = quote === -1 ? tokens.length : -1;
+      breakBefore = true;
+    } else {
+      tokens.push({ ...token, sentence, quote, breakBefore });
+      breakBefore = false;
+    }
+  }
+
+  const cues = Object.fromEntries(Object.entries(lexicon.grammar).map(([list, matcher]) => [list, matcher.scan(tokens)]));
+  cues.personNouns = personNounsFor(lexicon).scan(tokens);
+
+  // Conjunctions like "but" open a new clause on their own token
+  let clause = 0;
+  tokens.forEach((token, i) => {
+    if (i > 0 && (token.breakBefore || cues.clauseBreaks.some(cue => cue.from === i))) clause++;
+    token.clause = clause;
+  });
+
+  return { message, text, tokens, lexicon, cues };
+}
+
+// ═══════════════════════════════════════════════════════
+// CONTEXT
+// ═══════════════════════════════════════════════════════
+
+function bounds(tokens, index, key) {
+  let from = index;
+  let to = index;
+  while (from > 0 && tokens[from - 1][key] === tokens[index][key]) from--;
+  while (to < tokens.length - 1 && tokens[to + 1][key] === tokens[index][key]) to++;
+  return { from, to: to + 1 };
+}
+
+// Who a person word at i points to: 'self', 'other' or null
+function personAt(cues, i, { objects = true } = {}) {
+  if (cueAt(cues.firstPerson, i)) return 'self';
+  if (objects && cueAt(cues.firstObject, i)) return 'self';
+  if (cueAt(cues.thirdPerson, i)) return 'other';
+  return null;
+}
+
+// Nearest person word scanning back from `to` (exclusive) to `from`
+function nearestPerson(cues, from, to, options) {
+  for (let i = to - 1; i >= from; i--) {
+    const person = personAt(cues, i, options);
+    if (person) return person;
+    if (cueAt(cues.firstPossessive, i)) {
+      const isPerson = i + 1 < to && cueAt(cues.personNouns, i + 1);
+      return isPerson ? 'other' : 'self';
+    }
+  }
+  return null;
+}
+
+// Reported speech: the speaker of the quote or of the reporting verb before
+// the marker. null when the marker isn't reported.
+function reportedSpeaker({ tokens, cues }, m0) {
+  const { quote } = tokens[m0];
+  if (quote !== -1) {
+    const opening = bounds(tokens, quote, 'sentence');
+    return nearestPerson(cues, opening.from, quote, { objects: false }) || 'other';
+  }
+  const sentence = bounds(tokens, m0, 'sentence');
+  const verb = findCue(cues.reporting, sentence.from, m0);
+  if (verb === -1) return null;
+  return nearestPerson(cues, sentence.from, verb, { objects: false }) || 'other';
+}
+
+// First token a negator before m0 can reach: the window, cut short by a
+// subject or complement that opens a clause of its own ("don't know why I"),
+// including one the marker starts with ("can't tell anyone | I want to die")
+function negationScope(cues, from, m0) {
+  const start = Math.max(from, m0 - NEGATION_WINDOW);
+  const opener = Math.max(
+    findCue(cues.firstPerson, start, m0 + 1),
+    findCue(cues.thirdPerson, start, m0 + 1),
+    findCue(cues.complements || [], start, m0 + 1)
+  );
+  return opener === -1 ? start : opener + 1;
+}
+
+/**
+ * Polarity and subject of the tokens [m0, m1).
+ *
+ * @param {Object} utterance - From parseUtterance()
+ * @returns {Object} { polarity, subject }
+ */
+function markerContext(utterance, m0, m1) {
+  const { tokens, cues } = utterance;
+  const clause = bounds(tokens, m0, 'clause');
+  const sentence = bounds(tokens, m0, 'sentence');
+
+  let polarity = 'affirmed';
+  const carriesNegation = findCue(cues.negators, m0, m1) !== -1;
+  if (!carriesNegation && findCue(cues.negators, negationScope(cues, clause.from, m0), m0) !== -1) {
+    polarity = 'negated';
+  } else if (
+    findCue(cues.hypothetical, clause.from, m0) !== -1 ||
+    findCue(cues.fiction, sentence.from, sentence.to) !== -1
+  ) {
+    polarity = 'hypothetical';
+  }
+
+  const speaker = reportedSpeaker(utterance, m0);
+  let subject;
+  if (speaker && speaker !== 'self') {
+    subject = 'reported';
+  } else {
+    subject = nearestPerson(cues, clause.from, m0)
+      || nearestPerson(cues, m0, m1)
+      || 'self';
+  }
+
+  return { polarity, subject };
+}
+
+// Token range [m0, m1) covering the characters [start, end)
+function tokenRange(tokens, start, end) {
+  let m0 = tokens.findIndex(t => t.end > start);
+  if (m0 === -1) return null;
+  let m1 = m0;
+  while (m1 < tokens.length && tokens[m1].start < end) m1++;
+  return [m0, Math.max(m1, m0 + 1)];
+}
+
+/**
+ * Every occurrence of a marker list, in text order, with its context.
+ *
+ * @param {Object} utterance - From parseUtterance()
+ * @param {Object} matcher - A compiled marker list (matcher.js)
+ * @returns {Array} [{ marker, start, polarity, subject }]
+ */
+function findMarkers(utterance, matcher) {
+  return matcher.scan(utterance.tokens).map(({ entry, from, to }) => ({
+    marker: entry,
+    start: utterance.tokens[from].start,
+    ...markerContext(utterance, from, to)
+  }));
+}
+
+// Context for a match found some other way (e.g. a regex)
+function contextAt(utterance, marker, start, end) {
+  const range = tokenRange(utterance.tokens, start, end);
+  const context = range ? markerContext(utterance, range[0], range[1]) : { polarity: 'affirmed', subject: 'self' };
+  return { marker, start, ...context };
+}
+
+module.exports = {
+  parseUtterance,
+  findMarkers,
+  contextAt,
+  markerContext,
+  tokenize,
+  NEGATION_WINDOW
+};
@@ -0,0 +1,275 @@
+/**
+ * WebSocket Auth Module
+ *
+ * Handshake for voice connections. A client proves who it is with a bearer
+ * token, either in the query string (?token=...) or as its first message:
+ *
+ *   { "type": "auth", "token": "..." }
+ *
+ * Two token kinds are accepted:
+ *   1. Supabase access token — verified with supabase.auth.getUser()
+ *   2. Local HS256 token — signed with WS_AUTH_SECRET by signLocalToken(),
+ *      so tests and local tools can connect without a Supabase project
+ *
+ * A reconnecting client adds its resume token as ?resume=... or as "resume"
+ * in the auth message; it is passed through as identity.resume.
+ *
+ * The verified userId (and a sessionId) are bound to the connection so that
+ * loadProfile, loadConductanceLandscape, startAtelierConversation and
+ * reinforcePathway receive a real user. Unauthenticated clients are closed
+ * with WS_CLOSE_CODES.UNAUTHENTICATED; clients that never send a token are
+ * closed with WS_CLOSE_CODES.AUTH_TIMEOUT.
+ *
+ * WS_AUTH=off accepts anonymous connections (userId null) for local dev.
+ *
+ * MRA Architecture: Stage 0 — ws-auth.js
+ * Classification: INTERNAL ENGINEERING — PERSONA IO
+ */
+
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════
+// CONSTANTS
+// ═══════════════════════════════════════════════════════
+
+// 4000-4999 is the application range of RFC 6455 close codes
+const WS_CLOSE_CODES = {
+  UNAUTHENTICATED: 4401,
+  AUTH_TIMEOUT: 4408
+};
+
+const LOCAL_ISSUER = 'persona-io-local';
+const DEFAULT_AUTH_TIMEOUT_MS = 5000;
+const DEFAULT_LOCAL_TTL_SECONDS = 60 * 60;
+
+function resolveAuthRequired(env = process.env) {
+  return (env.WS_AUTH || '').toLowerCase() !== 'off';
+}
+
+// ═══════════════════════════════════════════════════════
+// LOCAL TOKENS — HS256 JWTs signed with WS_AUTH_SECRET
+// ═══════════════════════════════════════════════════════
+
+function base64url(input) {
+  return Buffer.from(input).toString('base64url');
+}
+
+function hmac(data, secret) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+/**
+ * Signs a short-lived token from the local issuer.
+ *
+ * @param {Object} claims
+ * @param {string} claims.userId - Becomes the `sub` claim
+ * @param {string} [claims.sessionId] - Optional `sid` claim
+ * @param {Object} [options]
+ * @param {string} [options.secret] - Defaults to WS_AUTH_SECRET
+ * @param {number} [options.expiresIn] - Seconds, defaults to one hour
+ * @returns {string}
+ */
+function signLocalToken(claims, options = {}) {
+  const { secret = process.env.WS_AUTH_SECRET, expiresIn = DEFAULT_LOCAL_TTL_SECONDS } = options;
+  if (!secret) throw new Error('WS_AUTH_SECRET is not set');
+  if (!claims?.userId) throw new Error('userId is required');
+
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    iss: LOCAL_ISSUER,
+    sub: claims.userId,
+    ...(claims.sessionId ? { sid: claims.sessionId } : {}),
+    iat: now,
+    exp: now + expiresIn
+  }));
+
+  return `${header}.${payload}.${hmac(`${header}.${payload}`, secret)}`;
+}
+
+function decodeTokenPayload(token) {
+  const parts = (token || '').split('.');
+  if (parts.length !== 3) return null;
+  try {
+    return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Verifies a local token. Returns the claims, or null if the signature,
+ * issuer or expiry do not check out.
+ */
+function verifyLocalToken(token, secret = process.env.WS_AUTH_SECRET) {
+  if (!secret || typeof token !== 'string') return null;
+
+  const [header, payload, signature] = token.split('.');
+  if (!header || !payload || !signature) return null;
+
+  const expected = Buffer.from(hmac(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  const claims = decodeTokenPayload(token);
+  if (!claims || claims.iss !== LOCAL_ISSUER || !claims.sub) return null;
+  if (claims.exp && claims.exp < Math.floor(Date.now() / 1000)) return null;
+
+  return claims;
+}
+
+// ═══════════════════════════════════════════════════════
+// VERIFICATION — local issuer first, then Supabase
+// ═══════════════════════════════════════════════════════
+
+/**
+ * @param {string} token
+ * @param {Object} options
+ * @param {Object|null} options.supabase - Supabase client, or null
+ * @param {string} [options.secret] - Local issuer secret
+ * @returns {Object|null} { userId, sessionId, method } or null
+ */
+async function verifyToken(token, options = {}) {
+  const { supabase = null, secret = process.env.WS_AUTH_SECRET } = options;
+  if (!token) return null;
+
+  if (decodeTokenPayload(token)?.iss === LOCAL_ISSUER) {
+    const claims = verifyLocalToken(token, secret);
+    return claims ? { userId: claims.sub, sessionId: claims.sid || null, method: 'local' } : null;
+  }
+
+  if (!supabase) return null;
+
+  try {
+    const { data, error } = await supabase.auth.getUser(token);
+    if (error || !data?.user?.id) return null;
+    return { userId: data.user.id, sessionId: null, method: 'supabase' };
+  } catch (err) {
+    console.error('[Auth] Supabase verification failed:', err.message);
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════
+// HANDSHAKE — query string token, else first message
+// ═══════════════════════════════════════════════════════
+
+function parseAuthMessage(data) {
+  try {
+    const msg = JSON.parse(Buffer.isBuffer(data) ? data.toString('utf8') : data);
+    return msg?.type === 'auth' && typeof msg.token === 'string' ? msg : null;
+  } catch {
+    return null;
+  }
+}
+
+function reject(ws, code, reason) {
+  if (ws.readyState === 1) {
+    ws.send(JSON.stringify({ type: 'auth_error', code, message: reason }));
+  }
+  ws.close(code, reason);
+}
+
+/**
+ * authenticateConnection - Resolves the identity bound to a new connection
+ *
+ * Any non-auth messages that arrive before the handshake finishes (early
+ * audio frames) are returned in `buffered` so the caller can replay them.
+ *
+ * @param {WebSocket} ws
+ * @param {http.IncomingMessage} req
+ * @param {Object} [options]
+ * @param {Object|null} [options.supabase]
+ * @param {string} [options.secret]
+ * @param {boolean} [options.required] - Defaults to WS_AUTH !== 'off'
+ * @param {number} [options.timeoutMs] - How long to wait for the auth message
+ *
+ * @returns {Object|null} { userId, sessionId, method, resume, buffered[] }, or null
+ *   once the socket has been closed as unauthenticated
+ */
+function authenticateConnection(ws, req, options = {}) {
+  const {
+    supabase = null,
+    secret = process.env.WS_AUTH_SECRET,
+    required = resolveAuthRequired(),
+    timeoutMs = DEFAULT_AUTH_TIMEOUT_MS
+  } = options;
+
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token') || url.searchParams.get('access_token');
+  let resume = url.searchParams.get('resume') || null;
+  const buffered = [];
+
+  return new Promise((resolve) => {
+    let settled = false;
+    let verifying = false;
+    let timer = null;
+
+    function finish(identity) {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      ws.off('message', onMessage);
+      ws.off('close', onClose);
+      resolve(identity);
+    }
+
+    async function attempt(token) {
+      const identity = await verifyToken(token, { supabase, secret });
+      if (identity) {
+        console.log(`[Auth] Authenticated ${identity.userId} via ${identity.method}`);
+        ws.send(JSON.stringify({ type: 'auth_ok', userId: identity.userId }));
+        return finish({ ...identity, resume, buffered });
+      }
+      if (!required) return finish({ userId: null, sessionId: null, method: 'anonymous', resume, buffered });
+      console.log('[Auth] Rejected connection — invalid token');
+      reject(ws, WS_CLOSE_CODES.UNAUTHENTICATED, 'Invalid token');
+      finish(null);
+    }
+
+    // Frames keep buffering while the token is verified, so audio sent right
+    // behind the auth message is replayed too
+    function onMessage(data) {
+      const msg = parseAuthMessage(data);
+      if (msg && !queryToken && !verifying) {
+        verifying = true;
+        if (typeof msg.resume === 'string') resume = msg.resume;
+        attempt(msg.token);
+        return;
+      }
+      buffered.push(data);
+    }
+
+    function onClose() {
+      finish(null);
+    }
+
+    ws.on('message', onMessage);
+    ws.on('close', onClose);
+
+    if (queryToken) {
+      attempt(queryToken);
+      return;
+    }
+
+    if (!required) {
+      finish({ userId: null, sessionId: null, method: 'anonymous', resume, buffered });
+      return;
+    }
+
+    timer = setTimeout(() => {
+      console.log('[Auth] Rejected connection — no token received');
+      reject(ws, WS_CLOSE_CODES.AUTH_TIMEOUT, 'Authentication required');
+      finish(null);
+    }, timeoutMs);
+  });
+}
+
+module.exports = {
+  authenticateConnection,
+  verifyToken,
+  signLocalToken,
+  verifyLocalToken,
+  resolveAuthRequired,
+  WS_CLOSE_CODES
+};
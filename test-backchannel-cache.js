@@ -0,0 +1,191 @@
+/**
+ * BACKCHANNEL CACHE TEST
+ * Run: node test-backchannel-cache.js
+ * Every token is pre-rendered per voice in several variants, sends rotate
+ * through them, and a miss falls back to live TTS
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createBackchannelCache, variantSettings } = require('./services/backchannel-cache');
+const { sendBackchannel } = require('./services/backchannel');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const SETTINGS = { stability: 0.5, style: 0.3 };
+const BACKCHANNELS = {
+  low: { verbal: ['Mm.'], avatarCue: 'soft_nod', description: 'Light presence' },
+  covenant: { verbal: ['I\'m here.', '...'], avatarCue: 'still', description: 'Crisis presence' }
+};
+
+function persona(id, voiceId) {
+  return { id, voice: { voiceId, modelId: 'eleven_turbo_v2', settings: SETTINGS }, backchannels: BACKCHANNELS };
+}
+
+const ALINE = persona('aline', 'voice-a');
+const SOFIA = persona('sofia', 'voice-b');
+
+// TTS stand-in whose audio names the voice, text and stability it was rendered with
+function fakeTTS({ failOn = null } = {}) {
+  const calls = [];
+  return {
+    calls,
+    synthesize: async (text, voice) => {
+      calls.push({ text, voiceId: voice.voiceId, settings: voice.settings });
+      if (text === failOn) throw new Error('TTS 500');
+      return Buffer.from(`${voice.voiceId}|${text}|${voice.settings.stability.toFixed(2)}`);
+    }
+  };
+}
+
+// Math.random returning each value in turn
+function withRandom(values, fn) {
+  const original = Math.random;
+  let i = 0;
+  Math.random = () => values[i++ % values.length];
+  try {
+    return fn();
+  } finally {
+    Math.random = original;
+  }
+}
+
+function fakeSocket() {
+  const sent = [];
+  return { sent, send: (data) => sent.push(Buffer.isBuffer(data) ? data : JSON.parse(data)) };
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🎙️ PRE-RENDERING');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Every spoken token is rendered per voice, in every variant', async () => {
+    const tts = fakeTTS();
+    const cache = createBackchannelCache({ tts, dir: null, variants: 3 });
+    const stats = await cache.warm([ALINE, SOFIA]);
+    assert(stats.voices === 2 && stats.phrases === 4, `Got ${stats.voices} voices, ${stats.phrases} phrases`);
+    assert(stats.rendered === 12 && tts.calls.length === 12, `Rendered ${stats.rendered}`);
+    assert(!tts.calls.some(c => c.text === '...'), 'Rendered silence');
+  });
+
+  await test('Variant 0 keeps the persona\'s settings, the others vary them', async () => {
+    const tts = fakeTTS();
+    await createBackchannelCache({ tts, dir: null, variants: 3 }).warm([ALINE]);
+    const stabilities = tts.calls.filter(c => c.text === 'Mm.').map(c => c.settings.stability.toFixed(2));
+    assert(stabilities.join(',') === '0.50,0.35,0.65', `Got ${stabilities.join(',')}`);
+    assert(variantSettings({ stability: 0.95 }, 3).stability === 0.7 && variantSettings({ stability: 0.95 }, 4).stability === 1, 'Settings were not clamped to [0, 1]');
+  });
+
+  await test('A voice only ever gets audio rendered for it', async () => {
+    const cache = createBackchannelCache({ tts: fakeTTS(), dir: null, variants: 2 });
+    await cache.warm([ALINE, SOFIA]);
+    for (let i = 0; i < 10; i++) {
+      assert(cache.get(ALINE.voice, 'Mm.').toString().startsWith('voice-a|'), 'Aline got another voice');
+      assert(cache.get(SOFIA.voice, 'Mm.').toString().startsWith('voice-b|'), 'Sofia got another voice');
+    }
+  });
+
+  await test('Renders persist to disk and are read back, not re-rendered', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backchannel-cache-'));
+    try {
+      await createBackchannelCache({ tts: fakeTTS(), dir, variants: 2 }).warm([ALINE]);
+      const tts = fakeTTS();
+      const stats = await createBackchannelCache({ tts, dir, variants: 2 }).warm([ALINE]);
+      assert(stats.loaded === 4 && stats.rendered === 0 && tts.calls.length === 0, `Loaded ${stats.loaded}, rendered ${stats.rendered}`);
+
+      const changed = { ...ALINE, voice: { ...ALINE.voice, settings: { stability: 0.8, style: 0.3 } } };
+      const restats = await createBackchannelCache({ tts, dir, variants: 2 }).warm([changed]);
+      assert(restats.rendered === 4, `A changed voice rendered ${restats.rendered}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  await test('A failed render is left as a miss', async () => {
+    const cache = createBackchannelCache({ tts: fakeTTS({ failOn: 'Mm.' }), dir: null, variants: 2 });
+    const stats = await cache.warm([ALINE]);
+    assert(stats.failed === 1 && stats.phrases === 2, `Failed ${stats.failed}, phrases ${stats.phrases}`);
+    assert(cache.get(ALINE.voice, 'Mm.') === null && cache.get(ALINE.voice, 'I\'m here.') !== null, 'Expected a miss for the failed token only');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🎙️ ROTATION');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Sends rotate through the variants', async () => {
+    const cache = createBackchannelCache({ tts: fakeTTS(), dir: null, variants: 3 });
+    await cache.warm([ALINE]);
+    const picks = withRandom([0, 0.4, 0.8], () => [1, 2, 3].map(() => cache.get(ALINE.voice, 'Mm.').toString()));
+    assert(new Set(picks).size === 3, `Got ${picks.join(', ')}`);
+  });
+
+  await test('BACKCHANNEL_VARIANTS=0 turns the cache off', async () => {
+    const tts = fakeTTS();
+    const cache = createBackchannelCache({ tts, dir: null, variants: 0 });
+    await cache.warm([ALINE]);
+    assert(!cache.enabled && tts.calls.length === 0 && cache.get(ALINE.voice, 'Mm.') === null, 'Expected nothing rendered or served');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🎙️ SENDING');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A cached token is sent with no TTS call', async () => {
+    const tts = fakeTTS();
+    const cache = createBackchannelCache({ tts, dir: null, variants: 1 });
+    await cache.warm([ALINE]);
+    const before = tts.calls.length;
+    const ws = fakeSocket();
+    await sendBackchannel(ws, tts, ALINE.voice, { weight: 1 }, { backchannels: BACKCHANNELS, cache });
+    assert(tts.calls.length === before, 'Called TTS on a hit');
+    assert(ws.sent.find(m => m.type === 'backchannel_sent')?.source === 'cache', 'Expected source cache');
+    assert(ws.sent.some(m => Buffer.isBuffer(m) && m.toString() === 'voice-a|Mm.|0.50'), 'The cached audio was not sent');
+  });
+
+  await test('A miss falls back to live TTS and keeps the render', async () => {
+    const tts = fakeTTS();
+    const cache = createBackchannelCache({ tts, dir: null, variants: 2 });
+    const first = fakeSocket();
+    await sendBackchannel(first, tts, ALINE.voice, { weight: 1 }, { backchannels: BACKCHANNELS, cache });
+    assert(first.sent.find(m => m.type === 'backchannel_sent')?.source === 'live', 'Expected source live');
+    assert(tts.calls.length === 1 && first.sent.some(Buffer.isBuffer), 'Expected one live render, sent');
+
+    const second = fakeSocket();
+    await sendBackchannel(second, tts, ALINE.voice, { weight: 1 }, { backchannels: BACKCHANNELS, cache });
+    assert(second.sent.find(m => m.type === 'backchannel_sent')?.source === 'cache' && tts.calls.length === 1, 'The live render was not kept');
+    assert(cache.stats().misses === 1 && cache.stats().hits === 1, `Stats ${JSON.stringify(cache.stats())}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
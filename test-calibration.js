@@ -0,0 +1,174 @@
+/**
+ * CALIBRATION TEST
+ * Run: node test-calibration.js
+ * The prompt, the invariant gate and the scaffolds read one length/weight
+ * table, and the rendered prompt blocks keep their wording
+ */
+
+const {
+  resolveCalibration,
+  resolveLimits,
+  describeLimits,
+  renderLegacyScale,
+  renderFillCeilings,
+  countWords,
+  DEFAULT_CALIBRATION,
+  TIERS
+} = require('./services/calibration');
+const { enforceInvariants, createStreamingGate } = require('./services/invariant-gate');
+const { buildSystemPrompt, getLengthConstraint } = require('./services/prompt-engine');
+const { loadPersonaRegistry } = require('./services/persona-registry');
+const scaffoldLibrary = require('./services/scaffold-library.json');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// ANSWER LENGTH BY WEIGHT as the long-form prompts wrote it before calibration.js
+const LEGACY_SCALE = [
+  'W1-W3: 12-20 words maximum. Frequently shorter.',
+  'W4-W6: 6-12 words maximum. Frequently shorter.',
+  'W7-W8: 3-7 words maximum. Frequently silence.',
+  'W9: 1-5 words or pure silence.'
+].join('\n');
+
+// The same W7-W9 ceilings on the Fibonacci tiers, as INVARIANT 4 states them
+const FILL_CEILINGS = 'At W8: 3-7 words. At W13: 1-5 words. At W21: 1-5 words.';
+
+const registry = loadPersonaRegistry();
+
+function turn(weight) {
+  return { weight, resistance: [], dimension: 'context' };
+}
+
+// n plain words in sentences of at most five, so only the word count can fail
+function words(n) {
+  const list = Array.from({ length: n }, () => 'still');
+  const sentences = [];
+  for (let i = 0; i < list.length; i += 5) sentences.push(`${list.slice(i, i + 5).join(' ')}.`);
+  return sentences.join(' ');
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📏 ONE TABLE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('resolveLimits reads the table for every weight', () => {
+    for (const [weight, tier] of [[1, 1], [2, 1], [3, 3], [5, 5], [8, 8], [12, 8], [13, 13], [21, 21]]) {
+      const limits = resolveLimits(weight);
+      const entry = DEFAULT_CALIBRATION[tier];
+      assert(limits.tier === tier && limits.maxWords === entry.words[1] && limits.maxSentences === entry.maxSentences && limits.enforced === entry.enforced,
+        `W${weight}: ${JSON.stringify(limits)}`);
+    }
+  });
+
+  await test('The prompt asks for exactly what the gate enforces', () => {
+    for (const tier of TIERS) {
+      const limits = resolveLimits(tier);
+      const prompt = buildSystemPrompt(turn(tier));
+      assert(prompt.includes(describeLimits(limits)), `W${tier} prompt is missing "${describeLimits(limits)}"`);
+      if (!limits.enforced) continue;
+      assert(enforceInvariants(words(limits.maxWords), turn(tier)).pass, `W${tier}: ${limits.maxWords} words failed the gate`);
+      assert(!enforceInvariants(words(limits.maxWords + 1), turn(tier)).pass, `W${tier}: ${limits.maxWords + 1} words passed the gate`);
+    }
+  });
+
+  await test('Below W8 the table is asked for but not enforced', () => {
+    assert(enforceInvariants(words(40), turn(3)).pass, 'The gate blocked a long W3 answer');
+  });
+
+  await test('A persona override moves the prompt and the gate together', () => {
+    const aline = registry.get('aline');
+    const persona = { ...aline, calibration: resolveCalibration({ 8: { words: [2, 4] } }) };
+    const limits = resolveLimits(8, { calibration: persona.calibration });
+    assert(limits.maxWords === 4, `Got ${limits.maxWords}`);
+    assert(buildSystemPrompt(turn(8), null, null, null, null, persona).includes('and 4 words'), 'The prompt kept the default ceiling');
+    assert(!enforceInvariants(words(5), turn(8), {}, limits).pass, 'The gate kept the default ceiling');
+    const stream = createStreamingGate(turn(8), {}, limits);
+    assert(stream.checkSentence('Still still still.').action === 'pass' && stream.checkSentence('Still still.').action === 'cut', 'The stream gate kept the default ceiling');
+  });
+
+  await test('Every registered persona carries a full table', () => {
+    for (const id of registry.ids()) {
+      const { calibration } = registry.get(id);
+      assert(TIERS.every(tier => Array.isArray(calibration[tier]?.words)), `${id} is missing a tier`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📏 SCAFFOLDS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A scaffold\'s maxWords replaces the tier ceiling in the prompt and the gate', () => {
+    const scaffold = scaffoldLibrary['W13:grief:first-disclosure'];
+    const limits = resolveLimits(13, { scaffold });
+    assert(limits.source === 'scaffold' && limits.maxWords === Math.max(scaffold.maxWords, countWords(scaffold.goldStandard)), `Got ${JSON.stringify(limits)}`);
+    assert(getLengthConstraint(13, undefined, scaffold) === describeLimits(limits), 'getLengthConstraint ignored the scaffold');
+    assert(buildSystemPrompt(turn(13), null, null, null, scaffold).includes(`MAX WORDS: ${limits.maxWords}`), 'The prompt states another ceiling');
+  });
+
+  await test('Every goldStandard passes the gate under its own scaffold\'s limits', () => {
+    for (const [key, scaffold] of Object.entries(scaffoldLibrary)) {
+      const weight = Number(key.split(':')[0].slice(1));
+      const gate = enforceInvariants(scaffold.goldStandard, turn(weight), {}, resolveLimits(weight, { scaffold }));
+      const fills = gate.violations.filter(v => v.invariant === 'NEVER_FILLS');
+      assert(fills.length === 0, `${key}: ${fills.map(v => v.matched).join(', ')}`);
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📏 RENDERED PROMPT TEXT');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('renderLegacyScale reproduces the long-form prompts\' scale', () => {
+    const rendered = renderLegacyScale();
+    assert(rendered === LEGACY_SCALE, `Got:\n${rendered}`);
+  });
+
+  await test('Both long-form persona prompts still carry that scale verbatim', () => {
+    for (const id of ['aline', 'chase']) {
+      assert(registry.get(id).prompt.includes(`${LEGACY_SCALE}\n`), `${id}'s prompt lost the scale`);
+    }
+  });
+
+  await test('renderFillCeilings states the enforced tiers in the same numbers', () => {
+    assert(renderFillCeilings() === FILL_CEILINGS, `Got ${renderFillCeilings()}`);
+    assert(buildSystemPrompt(turn(1)).includes(`invitation to stay. ${FILL_CEILINGS} Pure witness.`), 'INVARIANT 4 lost its ceilings');
+  });
+
+  await test('Overrides re-render both blocks', () => {
+    const calibration = resolveCalibration({ 13: { words: [1, 3] }, 21: { words: [1, 3] } });
+    assert(renderLegacyScale(calibration).endsWith('W9: 1-3 words or pure silence.'), `Got ${renderLegacyScale(calibration)}`);
+    assert(renderFillCeilings(calibration) === 'At W8: 3-7 words. At W13: 1-3 words. At W21: 1-3 words.', `Got ${renderFillCeilings(calibration)}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,139 @@
+/**
+ * STREAMING GATE TEST
+ * Run: node test-invariant-gate.js
+ * Each sentence chunk passes, is held or cuts the stream — and a cut
+ * sentence never reaches TTS
+ */
+
+const { createStreamingGate } = require('./services/invariant-gate');
+const { resolveLimits } = require('./services/calibration');
+const { createTurnOrchestrator, resolveStages } = require('./services/turn-orchestrator');
+const { loadPersonaRegistry } = require('./services/persona-registry');
+const { createStubProvider } = require('./services/llm-provider');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function gateAt(weight, overrides = {}) {
+  return createStreamingGate({ weight, resistance: [] }, overrides, resolveLimits(weight));
+}
+
+function actions(gate, sentences) {
+  return sentences.map(s => gate.checkSentence(s).action).join(',');
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🚦 SENTENCE DECISIONS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Clean sentences pass and are counted', () => {
+    const gate = gateAt(3);
+    const result = actions(gate, ['I hear you.', 'That sounds like a long day.']);
+    assert(result === 'pass,pass', `Got ${result}`);
+    assert(gate.state.sentenceCount === 2 && gate.state.wordCount === 9, `Counted ${gate.state.sentenceCount} sentences, ${gate.state.wordCount} words`);
+    assert(gate.finish().pass, 'Expected a passing summary');
+  });
+
+  await test('A HIGH violation holds that sentence and the stream goes on', () => {
+    const gate = gateAt(3);
+    const result = actions(gate, ['I hear you.', 'At least you tried.', 'I am here.']);
+    assert(result === 'pass,hold,pass', `Got ${result}`);
+    const summary = gate.finish();
+    assert(summary.heldCount === 1 && !summary.requiresRegeneration, `Held ${summary.heldCount}, regenerate ${summary.requiresRegeneration}`);
+    assert(gate.state.wordCount === 6, `Held words were counted: ${gate.state.wordCount}`);
+  });
+
+  await test('A CRITICAL violation cuts the stream for good', () => {
+    const gate = gateAt(3);
+    const result = actions(gate, ['I hear you.', 'You should talk to a therapist.', 'I am here.']);
+    assert(result === 'pass,cut,cut', `Got ${result}`);
+    const summary = gate.finish();
+    assert(summary.cut && summary.requiresRegeneration, 'Expected a cut that requires regeneration');
+    assert(summary.violations.every(v => v.invariant === 'NEVER_ABANDONS'), `Got ${summary.violations.map(v => v.invariant).join(', ')}`);
+  });
+
+  await test('Overflowing the W21 budget cuts instead of holding', () => {
+    const limits = resolveLimits(21);
+    const gate = gateAt(21);
+    assert(gate.checkSentence('I am here.').action === 'pass', 'First sentence should pass');
+    const verdict = gate.checkSentence('Take all the time you need with this.');
+    assert(verdict.action === 'cut', `Got ${verdict.action} with ${limits.maxWords} words allowed`);
+    assert(verdict.violations.some(v => v.invariant === 'NEVER_FILLS' && v.severity === 'CRITICAL'), 'Expected a CRITICAL NEVER_FILLS');
+  });
+
+  await test('Persona overrides apply per sentence', () => {
+    const disabled = gateAt(3, { disabled: ['NEVER_ABANDONS'] });
+    assert(disabled.checkSentence('You should talk to a therapist.').action === 'pass', 'Disabled invariant still fired');
+    const regraded = gateAt(3, { severity: { NEVER_JUDGES: 'CRITICAL' } });
+    assert(regraded.checkSentence('At least you tried.').action === 'cut', 'Regraded invariant did not cut');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🚦 ORCHESTRATOR — MRA_GATE_MODE=stream');
+  // ═══════════════════════════════════════════════════════════
+
+  async function streamTurn(reply) {
+    const spoken = [];
+    const llm = createStubProvider({ replies: [reply, 'I am here.'] });
+    const orchestrator = createTurnOrchestrator({
+      ws: { readyState: 1, send: () => {} },
+      persona: loadPersonaRegistry().get('aline'),
+      llm,
+      speak: async (text) => { spoken.push(text); },
+      stages: resolveStages({ MRA_DISABLED_STAGES: 'backchannel,conductance,atelier,crisisOverride' }),
+      gateMode: 'stream'
+    });
+    const result = await orchestrator.runTurn('I went to the store today');
+    return { result, spoken, llm };
+  }
+
+  await test('A cut sentence never reaches TTS', async () => {
+    const { result, spoken } = await streamTurn('I am right here with you. You should talk to a therapist. I mean it.');
+    assert(JSON.stringify(spoken) === '["I am right here with you."]', `Spoken: ${JSON.stringify(spoken)}`);
+    assert(result.gate.cut, 'Expected the gate to report a cut');
+    assert(result.response === 'I am right here with you.', `Response: "${result.response}"`);
+  });
+
+  await test('A held sentence is skipped, the rest are spoken', async () => {
+    const { spoken } = await streamTurn('I hear you. At least you tried. I am here.');
+    assert(JSON.stringify(spoken) === '["I hear you.","I am here."]', `Spoken: ${JSON.stringify(spoken)}`);
+  });
+
+  await test('A cut before anything was spoken regenerates the whole response', async () => {
+    const { result, spoken, llm } = await streamTurn('You should talk to a therapist. I am here.');
+    assert(llm.calls() === 2, `LLM called ${llm.calls()} times`);
+    assert(result.gate.regenerated, 'Expected a regenerated response');
+    assert(!spoken.some(text => /therapist/.test(text)), `Spoken: ${JSON.stringify(spoken)}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
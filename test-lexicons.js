@@ -0,0 +1,250 @@
+/**
+ * LEXICON TEST
+ * Run: node test-lexicons.js
+ * Parallel sentences must classify to the same weight in every language
+ */
+
+const { analyzeMessage } = require('./services/classifier');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadLexicons, validateLexicon, reloadLexicons, lexiconVersions, foldText, LEXICON_DIR } = require('./services/lexicon');
+const en = require('./services/lexicons/en.json');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// One sentence per language, all meaning the same thing
+function parallel(name, sentences, check) {
+  for (const [language, text] of Object.entries(sentences)) {
+    test(`${name} [${language}] "${text}"`, () => {
+      const result = analyzeMessage(text, { language });
+      assert(result.lexicon === language, `Expected ${language} lexicon, got ${result.lexicon}`);
+      check(result);
+    });
+  }
+}
+
+function weight(expected) {
+  return (result) => assert(result.weight === expected, `Expected W${expected}, got W${result.weight}`);
+}
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🌍 LEXICONS — LOADING');
+// ═══════════════════════════════════════════════════════════
+
+test('en, pt, fr and es lexicons load', () => {
+  const languages = loadLexicons().languages();
+  for (const code of ['en', 'pt', 'fr', 'es']) {
+    assert(languages.includes(code), `Missing ${code} in ${JSON.stringify(languages)}`);
+  }
+});
+
+test('Lexicon missing a category is rejected', () => {
+  const broken = JSON.parse(JSON.stringify(en));
+  delete broken.psychology.shame;
+  const errors = validateLexicon(broken, en);
+  assert(errors.some(e => e.includes('psychology.shame')), `Got ${JSON.stringify(errors)}`);
+});
+
+test('Invalid regex pattern is rejected', () => {
+  const broken = { ...en, patterns: { ...en.patterns, identityFusion: '(unclosed' } };
+  const errors = validateLexicon(broken, en);
+  assert(errors.some(e => e.includes('patterns.identityFusion')), `Got ${JSON.stringify(errors)}`);
+});
+
+test('Lexicon without a semver version is rejected', () => {
+  const { version, ...unversioned } = en;
+  assert(validateLexicon(unversioned, en).some(e => e.includes('version')), 'Expected a missing version error');
+  const errors = validateLexicon({ ...en, version: 'latest' }, en);
+  assert(errors.some(e => e.includes('semver')), `Got ${JSON.stringify(errors)}`);
+});
+
+test('Unknown top-level fields are rejected', () => {
+  const errors = validateLexicon({ ...en, moods: {} }, en);
+  assert(errors.some(e => e.includes('moods')), `Got ${JSON.stringify(errors)}`);
+});
+
+test('Folding strips accents and straightens apostrophes', () => {
+  assert(foldText('Não AGUENTO') === 'nao aguento', `Got "${foldText('Não AGUENTO')}"`);
+  assert(foldText('I can’t') === "i can't", `Got "${foldText('I can’t')}"`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🌍 PARALLEL SENTENCES — EQUIVALENT WEIGHTS');
+// ═══════════════════════════════════════════════════════════
+
+parallel('W1 greeting', { en: 'hi', pt: 'oi', fr: 'salut', es: 'hola' }, weight(1));
+
+parallel('W3 context', {
+  en: 'I went to the store today',
+  pt: 'Fui ao mercado hoje',
+  fr: "Je suis allé au marché aujourd'hui",
+  es: 'Fui a la tienda hoy'
+}, weight(3));
+
+parallel('W8 physiology', {
+  en: 'I have so much pain in my back',
+  pt: 'Estou com dor nas costas',
+  fr: "J'ai très mal au dos",
+  es: 'Tengo mucho dolor de espalda'
+}, weight(8));
+
+parallel('W13 sociology', {
+  en: 'My father left us',
+  pt: 'Meu pai foi embora',
+  fr: 'Mon père nous a quittés',
+  es: 'Mi padre nos dejó'
+}, weight(13));
+
+parallel('W21 crisis', {
+  en: "I can't go on anymore",
+  pt: 'Não aguento mais',
+  fr: "Je n'en peux plus",
+  es: 'No puedo más'
+}, weight(21));
+
+parallel('W21 shame', {
+  en: 'I hate myself',
+  pt: 'Eu me odeio',
+  fr: 'Je me déteste',
+  es: 'Me odio'
+}, weight(21));
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🌍 PARALLEL SENTENCES — MOOD AND RESISTANCE');
+// ═══════════════════════════════════════════════════════════
+
+parallel('Deflection', {
+  en: "I don't want to talk about it",
+  pt: 'Não quero falar sobre isso',
+  fr: 'Je ne veux pas en parler',
+  es: 'No quiero hablar de eso'
+}, (result) => assert(result.hasCriticalResistance, `Expected critical resistance, got ${JSON.stringify(result.resistance)}`));
+
+parallel('Celebration', {
+  en: 'I got the job!',
+  pt: 'Consegui o emprego!',
+  fr: "J'ai eu le poste !",
+  es: '¡Conseguí el trabajo!'
+}, (result) => {
+  assert(result.mood.mode === 'JOYFUL', `Expected JOYFUL, got ${result.mood.mode}`);
+  assert(result.weight === 13, `Expected W13, got W${result.weight}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🌍 SELECTION AND FALLBACK');
+// ═══════════════════════════════════════════════════════════
+
+test('Accent-free "nao aguento mais" is still W21', () => {
+  const result = analyzeMessage('nao aguento mais', { language: 'pt' });
+  assert(result.weight === 21, `Expected W21, got W${result.weight}`);
+});
+
+test('Portuguese crisis is missed by the English lexicon', () => {
+  const result = analyzeMessage('Não aguento mais', { language: 'en' });
+  assert(result.weight < 21, `Expected below W21, got W${result.weight}`);
+});
+
+test('Region codes select the base lexicon', () => {
+  const result = analyzeMessage('Não aguento mais', { language: 'pt-BR' });
+  assert(result.lexicon === 'pt' && result.weight === 21, `Got ${result.lexicon} W${result.weight}`);
+});
+
+test('Language without a lexicon falls back to English', () => {
+  const result = analyzeMessage('I hate myself', { language: 'de' });
+  assert(result.language === 'de', `Expected language de, got ${result.language}`);
+  assert(result.lexicon === 'en', `Expected en lexicon, got ${result.lexicon}`);
+  assert(result.weight === 21, `Expected W21, got W${result.weight}`);
+});
+
+test('No language defaults to English', () => {
+  const result = analyzeMessage('I hate myself');
+  assert(result.lexicon === 'en' && result.weight === 21, `Got ${result.lexicon} W${result.weight}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🌍 VERSIONS AND RELOAD');
+// ═══════════════════════════════════════════════════════════
+
+// A copy of lexicons/ to edit, so reloads never touch the real files
+function lexiconCopy() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'lexicons-'));
+  for (const file of fs.readdirSync(LEXICON_DIR)) fs.copyFileSync(path.join(LEXICON_DIR, file), path.join(dir, file));
+  return dir;
+}
+
+function editLexicon(dir, language, edit) {
+  const file = path.join(dir, `${language}.json`);
+  const lexicon = JSON.parse(fs.readFileSync(file, 'utf8'));
+  edit(lexicon);
+  fs.writeFileSync(file, JSON.stringify(lexicon, null, 2));
+}
+
+test('Every classification carries its lexicon version', () => {
+  const result = analyzeMessage('Não aguento mais', { language: 'pt' });
+  assert(result.lexiconVersion === lexiconVersions().pt, `Got ${result.lexiconVersion}`);
+});
+
+test('Reload picks up new markers and the new version', () => {
+  const dir = lexiconCopy();
+  try {
+    editLexicon(dir, 'en', (lexicon) => {
+      lexicon.version = '9.9.9';
+      lexicon.psychology.fear.push('heebie-jeebies');
+    });
+    assert(analyzeMessage('I have the heebie-jeebies').weight < 21, 'Marker matched before reload');
+    const result = reloadLexicons({ dir });
+    assert(result.ok && result.versions.en === '9.9.9', `Got ${JSON.stringify(result)}`);
+    const after = analyzeMessage('I have the heebie-jeebies');
+    assert(after.weight === 21 && after.lexiconVersion === '9.9.9', `Got W${after.weight} @${after.lexiconVersion}`);
+  } finally {
+    reloadLexicons();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('An invalid reload keeps the running lexicons', () => {
+  const dir = lexiconCopy();
+  const before = lexiconVersions();
+  try {
+    editLexicon(dir, 'pt', (lexicon) => {
+      lexicon.version = '2.0.0';
+      delete lexicon.psychology.shame;
+    });
+    const result = reloadLexicons({ dir });
+    assert(!result.ok && result.error.includes('psychology.shame'), `Got ${JSON.stringify(result)}`);
+    assert(JSON.stringify(lexiconVersions()) === JSON.stringify(before), `Versions changed to ${JSON.stringify(lexiconVersions())}`);
+    assert(analyzeMessage('Não aguento mais', { language: 'pt' }).weight === 21, 'Running pt lexicon was lost');
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
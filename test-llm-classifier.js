@@ -0,0 +1,224 @@
+/**
+ * LLM CLASSIFIER TEST
+ * Run: node test-llm-classifier.js
+ * The second tier only reads low-confidence turns, never waits past its
+ * timeout, and accepts nothing but the schema
+ */
+
+const { analyzeMessage } = require('./services/classifier');
+const { createSessionClassifier } = require('./services/session-classifier');
+const { createStubProvider } = require('./services/llm-provider');
+const { createTurnOrchestrator, resolveStages } = require('./services/turn-orchestrator');
+const { loadPersonaRegistry } = require('./services/persona-registry');
+const { CRISIS_SUFFIX, crisisOverride } = require('./services/crisis-override');
+const {
+  createLLMClassifier,
+  createLLMClassifierFromEnv,
+  lowConfidenceReason,
+  parseVerdict,
+  mergeVerdict,
+  STUB_VERDICT
+} = require('./services/llm-classifier');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function throws(fn) {
+  try {
+    fn();
+    return false;
+  } catch {
+    return true;
+  }
+}
+
+const EULOGY = "I keep rehearsing the eulogy I'd want";
+
+function classifierReplying(verdict, options = {}) {
+  const llm = createStubProvider({ respond: () => typeof verdict === 'string' ? verdict : JSON.stringify(verdict), ...options });
+  return { llm, classifier: createLLMClassifier({ llm, timeoutMs: options.timeoutMs ?? 200 }) };
+}
+
+// One offline turn through the orchestrator, returning the spoken chunks
+async function voicedTurn(message, llmClassifier) {
+  const spoken = [];
+  const orchestrator = createTurnOrchestrator({
+    ws: { readyState: 1, send: () => {} },
+    persona: loadPersonaRegistry().get('aline'),
+    llm: createStubProvider({ replies: ['That sounds heavy to carry.'] }),
+    llmClassifier,
+    speak: async (text) => { spoken.push(text); },
+    stages: resolveStages({ MRA_DISABLED_STAGES: 'backchannel,conductance,atelier' })
+  });
+  const result = await orchestrator.runTurn(message);
+  return { result, spoken };
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🧠 CONFIDENCE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Indirect speech with no markers is low-confidence', () => {
+    const reason = lowConfidenceReason(EULOGY, analyzeMessage(EULOGY));
+    assert(reason === 'no_markers', `Got ${reason}`);
+  });
+
+  await test('Discounted markers are low-confidence', () => {
+    const message = "I'm not scared";
+    const reason = lowConfidenceReason(message, analyzeMessage(message));
+    assert(reason === 'discounted_markers', `Got ${reason}`);
+  });
+
+  await test('Clear markers, noise and short turns are not sent', () => {
+    for (const message of ['I hate myself', 'hi', 'ok sure', "I'm not scared anymore, I just can't go on"]) {
+      const reason = lowConfidenceReason(message, analyzeMessage(message));
+      assert(reason === null, `"${message}" got ${reason}`);
+    }
+  });
+
+  await test('A confident turn never calls the model', () => {
+    const { llm, classifier } = classifierReplying(STUB_VERDICT);
+    const result = classifier.refine('I hate myself', analyzeMessage('I hate myself'));
+    assert(result === null, 'Expected null');
+    assert(llm.calls() === 0, `Expected no call, got ${llm.calls()}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🧠 MERGE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A verdict lifts what the keywords missed', async () => {
+    const { classifier } = classifierReplying({ weight: 21, dimension: 'psychology', crisisLikelihood: 0.4, footing: 'sense_making' });
+    const result = await classifier.refine(EULOGY, analyzeMessage(EULOGY));
+    assert(result.tier === 'llm', `Expected llm tier, got ${result.tier}`);
+    assert(result.weight === 21 && result.dimension === 'psychology', `Got W${result.weight} ${result.dimension}`);
+    assert(result.footingSignals.includes('sense_making'), 'Expected the verdict\'s footing');
+    assert(result.llm.reason === 'no_markers', `Got ${result.llm.reason}`);
+  });
+
+  await test('A likely crisis is W21 whatever the weight says', async () => {
+    const { classifier } = classifierReplying({ weight: 5, dimension: 'context', crisisLikelihood: 0.9, footing: null });
+    const result = await classifier.refine(EULOGY, analyzeMessage(EULOGY));
+    assert(result.weight === 21 && result.dimension === 'psychology', `Got W${result.weight} ${result.dimension}`);
+  });
+
+  await test('A likely crisis voices the 988 suffix', async () => {
+    const { classifier } = classifierReplying({ weight: 13, dimension: 'psychology', crisisLikelihood: 0.95, footing: null });
+    const { result, spoken } = await voicedTurn(EULOGY, classifier);
+    assert(result.classification.tier === 'llm' && result.classification.weight === 21, `Got ${result.classification.tier} W${result.classification.weight}`);
+    assert(spoken.includes(CRISIS_SUFFIX.trim()), `Spoken: ${JSON.stringify(spoken)}`);
+  });
+
+  await test('A low crisis likelihood adds no suffix', async () => {
+    const { classifier } = classifierReplying({ weight: 21, dimension: 'psychology', crisisLikelihood: 0.2, footing: null });
+    const { spoken } = await voicedTurn(EULOGY, classifier);
+    assert(!spoken.some(text => text.includes('988')), `Spoken: ${JSON.stringify(spoken)}`);
+  });
+
+  await test('A low-weight verdict never lowers a keyword crisis turn', async () => {
+    const message = "I'm not scared anymore, I just can't go on";
+    const analysis = analyzeMessage(message);
+    assert(analysis.weight === 21 && analysis.dimensions[0].categories.includes('crisis_phrase'), `Keyword pass got W${analysis.weight}`);
+    const result = mergeVerdict(analysis, { weight: 5, dimension: 'context', crisisLikelihood: 0.4, footing: null }, { reason: 'test' });
+    assert(result.weight === 21 && result.dimension === 'psychology', `Got W${result.weight} ${result.dimension}`);
+    assert(result.dimensions[0].categories.includes('crisis_phrase'), `Lead dimension ${JSON.stringify(result.dimensions[0])}`);
+    const crisis = await crisisOverride({ classification: result, response: 'I hear you.', userMessage: message });
+    assert(crisis.override, 'Expected the crisis override');
+  });
+
+  await test('The keyword pass is tagged keyword', () => {
+    assert(analyzeMessage('I hate myself').tier === 'keyword', 'Expected keyword tier');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🧠 SCHEMA AND TIMEOUT');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Only the exact schema parses', () => {
+    assert(!throws(() => parseVerdict(JSON.stringify(STUB_VERDICT))), 'The stub verdict was rejected');
+    assert(throws(() => parseVerdict('W21, psychology')), 'Accepted prose');
+    assert(throws(() => parseVerdict(JSON.stringify({ ...STUB_VERDICT, reason: 'x' }))), 'Accepted an extra key');
+    assert(throws(() => parseVerdict(JSON.stringify({ ...STUB_VERDICT, weight: 7 }))), 'Accepted a weight that is not a tier');
+    assert(throws(() => parseVerdict(JSON.stringify({ ...STUB_VERDICT, crisisLikelihood: 2 }))), 'Accepted a likelihood above 1');
+  });
+
+  await test('An invalid reply keeps the keyword pass', async () => {
+    const { classifier } = classifierReplying('{"weight": 21}');
+    const analysis = analyzeMessage(EULOGY);
+    const result = await classifier.refine(EULOGY, analysis);
+    assert(result.tier === 'keyword' && result.weight === analysis.weight, `Got ${result.tier} W${result.weight}`);
+    assert(/missing/.test(result.llm.error), `Got ${result.llm.error}`);
+  });
+
+  await test('A stalled model gives up at the timeout', async () => {
+    const { classifier } = classifierReplying(STUB_VERDICT, { failures: ['timeout'], timeoutMs: 50 });
+    const start = Date.now();
+    const result = await classifier.refine(EULOGY, analyzeMessage(EULOGY));
+    const elapsed = Date.now() - start;
+    assert(result.tier === 'keyword' && result.llm.error === 'timeout', `Got ${result.tier} ${result.llm.error}`);
+    assert(elapsed < 150, `Took ${elapsed}ms`);
+  });
+
+  await test('The turn\'s signal aborts the call', async () => {
+    const { classifier } = classifierReplying(STUB_VERDICT, { failures: ['timeout'], timeoutMs: 5000 });
+    const controller = new AbortController();
+    const pending = classifier.refine(EULOGY, analyzeMessage(EULOGY), { signal: controller.signal });
+    controller.abort();
+    const result = await pending;
+    assert(result.tier === 'keyword', `Got ${result.tier}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🧠 SESSION AND ENVIRONMENT');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Revising a turn replaces it instead of adding to it', async () => {
+    const session = createSessionClassifier({ halfLifeTurns: 2 });
+    const analysis = analyzeMessage(EULOGY);
+    session.classify(EULOGY, { analysis });
+    const { classifier } = classifierReplying({ weight: 8, dimension: 'physiology', crisisLikelihood: 0, footing: 'somatic' });
+    const refined = await classifier.refine(EULOGY, analysis);
+    session.revise(refined);
+    const revised = session.revise(refined);
+    assert(revised.weight === 8 && revised.instantWeight === 8, `Got W${revised.weight} (message W${revised.instantWeight})`);
+    assert(session.state.envelope === 8, `Envelope ${session.state.envelope}`);
+    assert(session.state.footingScores.somatic === 1, `Footing scored ${session.state.footingScores.somatic} times`);
+  });
+
+  await test('Off unless CLASSIFIER_LLM=on', () => {
+    assert(createLLMClassifierFromEnv({ env: {} }) === null, 'Expected null');
+    const classifier = createLLMClassifierFromEnv({ env: { CLASSIFIER_LLM: 'on', LLM_PROVIDER: 'stub' } });
+    assert(classifier?.name === 'stub-classifier', `Got ${classifier?.name}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,207 @@
+/**
+ * LLM PROVIDER TEST
+ * Run: node test-llm-provider.js
+ * Retries, first-token timeout, failover to FALLBACK_MODEL_NAME and abort
+ */
+
+const {
+  createLLMProvider,
+  createFailoverProvider,
+  createStubProvider,
+  classifyError
+} = require('./services/llm-provider');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Anthropic client stand-in. behaviour[model] is the reply text, an HTTP
+// status to fail with, 'hang' (no token until aborted) or
+// { text, failAfter } (streams text, then fails with a 500).
+function fakeAnthropic(behaviour) {
+  const calls = [];
+
+  function upstream(plan) {
+    const controller = new AbortController();
+    return {
+      abort: () => controller.abort(),
+      async *[Symbol.asyncIterator]() {
+        if (plan === 'hang') {
+          await new Promise(resolve => controller.signal.addEventListener('abort', resolve, { once: true }));
+          throw Object.assign(new Error('Request was aborted.'), { name: 'APIUserAbortError' });
+        }
+        const text = typeof plan === 'string' ? plan : plan.text;
+        for (const word of text.split(/(?= )/)) {
+          yield { type: 'content_block_delta', delta: { type: 'text_delta', text: word } };
+        }
+        if (plan.failAfter) throw Object.assign(new Error('Internal server error'), { status: 500 });
+      }
+    };
+  }
+
+  return {
+    calls,
+    messages: {
+      stream: async (params) => {
+        calls.push(params.model);
+        const plan = behaviour[params.model];
+        if (Number.isInteger(plan)) throw Object.assign(new Error(`HTTP ${plan}`), { status: plan });
+        return upstream(plan);
+      }
+    }
+  };
+}
+
+function providerFor(anthropic, env = {}) {
+  return createLLMProvider({ anthropic, env: { MODEL_NAME: 'primary', FALLBACK_MODEL_NAME: 'fallback', LLM_MAX_RETRIES: '0', ...env } });
+}
+
+async function collect(stream) {
+  let text = '';
+  for await (const delta of stream) text += delta;
+  return text;
+}
+
+const REQUEST = { system: 'test', messages: [{ role: 'user', content: 'hello' }] };
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔌 FAILOVER');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A 5xx on the primary model fails over to FALLBACK_MODEL_NAME', async () => {
+    const anthropic = fakeAnthropic({ primary: 503, fallback: 'From the fallback.' });
+    const stream = providerFor(anthropic).stream(REQUEST);
+    const text = await collect(stream);
+    assert(text === 'From the fallback.', `Got "${text}"`);
+    assert(anthropic.calls.join(',') === 'primary,fallback', `Calls: ${anthropic.calls.join(',')}`);
+    assert(stream.meta.failover && stream.meta.model === 'fallback', `Meta: ${JSON.stringify(stream.meta)}`);
+    assert(stream.meta.errors[0].kind === 'server' && stream.meta.errors[0].status === 503, `Errors: ${JSON.stringify(stream.meta.errors)}`);
+  });
+
+  await test('LLM_MAX_RETRIES retries the primary before failing over', async () => {
+    const anthropic = fakeAnthropic({ primary: 500, fallback: 'Fine.' });
+    const stream = providerFor(anthropic, { LLM_MAX_RETRIES: '1' }).stream(REQUEST);
+    await collect(stream);
+    assert(anthropic.calls.join(',') === 'primary,primary,fallback', `Calls: ${anthropic.calls.join(',')}`);
+    assert(stream.meta.attempts === 3, `Attempts: ${stream.meta.attempts}`);
+  });
+
+  await test('A 4xx is neither retried nor failed over', async () => {
+    const anthropic = fakeAnthropic({ primary: 400, fallback: 'Fine.' });
+    let error = null;
+    try { await collect(providerFor(anthropic, { LLM_MAX_RETRIES: '2' }).stream(REQUEST)); } catch (e) { error = e; }
+    assert(error?.status === 400, `Got ${error?.message}`);
+    assert(anthropic.calls.join(',') === 'primary', `Calls: ${anthropic.calls.join(',')}`);
+  });
+
+  await test('Nothing is retried once text has streamed', async () => {
+    const anthropic = fakeAnthropic({ primary: { text: 'Half a', failAfter: true }, fallback: 'Fine.' });
+    const deltas = [];
+    let error = null;
+    try {
+      for await (const delta of providerFor(anthropic).stream(REQUEST)) deltas.push(delta);
+    } catch (e) { error = e; }
+    assert(error?.status === 500, `Got ${error?.message}`);
+    assert(deltas.join('') === 'Half a', `Got "${deltas.join('')}"`);
+    assert(anthropic.calls.join(',') === 'primary', `Calls: ${anthropic.calls.join(',')}`);
+  });
+
+  await test('FALLBACK_MODEL_NAME=off leaves a single provider', () => {
+    const llm = providerFor(fakeAnthropic({}), { FALLBACK_MODEL_NAME: 'off' });
+    assert(llm.providers.length === 1, `Got ${llm.providers.length} providers`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔌 TIMEOUT AND ABORT');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('No first token within LLM_TIMEOUT_MS fails over', async () => {
+    const anthropic = fakeAnthropic({ primary: 'hang', fallback: 'Fast answer.' });
+    const start = Date.now();
+    const stream = providerFor(anthropic, { LLM_TIMEOUT_MS: '50' }).stream(REQUEST);
+    const text = await collect(stream);
+    assert(text === 'Fast answer.', `Got "${text}"`);
+    assert(stream.meta.errors[0].kind === 'timeout', `Errors: ${JSON.stringify(stream.meta.errors)}`);
+    assert(Date.now() - start < 1000, `Took ${Date.now() - start}ms`);
+  });
+
+  await test('A timeout with no fallback left is thrown as LLM_TIMEOUT', async () => {
+    const anthropic = fakeAnthropic({ primary: 'hang' });
+    let error = null;
+    try { await collect(providerFor(anthropic, { LLM_TIMEOUT_MS: '50', FALLBACK_MODEL_NAME: 'off' }).stream(REQUEST)); } catch (e) { error = e; }
+    assert(error?.code === 'LLM_TIMEOUT', `Got ${error?.message}`);
+  });
+
+  await test('Aborting the caller\'s signal stops the stream without a retry', async () => {
+    const stub = createStubProvider({ replies: ['one two three four five six'], chunkDelayMs: 20 });
+    const llm = createFailoverProvider({ providers: [stub], maxRetries: 2, timeoutMs: 0 });
+    const controller = new AbortController();
+    const deltas = [];
+    let error = null;
+    try {
+      for await (const delta of llm.stream({ ...REQUEST, signal: controller.signal })) {
+        deltas.push(delta);
+        controller.abort();
+      }
+    } catch (e) { error = e; }
+    assert(deltas.length === 1, `Got ${deltas.length} deltas after abort`);
+    assert(!error || error.name === 'AbortError', `Got ${error?.message}`);
+    assert(stub.calls() === 1, `Stub called ${stub.calls()} times`);
+  });
+
+  await test('stream.abort() cancels a hanging upstream', async () => {
+    const anthropic = fakeAnthropic({ primary: 'hang' });
+    const stream = providerFor(anthropic, { LLM_TIMEOUT_MS: '0', FALLBACK_MODEL_NAME: 'off' }).stream(REQUEST);
+    setTimeout(() => stream.abort(), 20);
+    let error = null;
+    try { await collect(stream); } catch (e) { error = e; }
+    assert(error, 'Expected the stream to end in an error');
+    assert(anthropic.calls.length === 1, `Calls: ${anthropic.calls.join(',')}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔌 ERROR KINDS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Errors are classified for retry and failover', () => {
+    const kinds = [
+      classifyError({ status: 503 }),
+      classifyError({ status: 429 }),
+      classifyError({ status: 401 }),
+      classifyError({ error: { type: 'overloaded_error' } }),
+      classifyError({ code: 'ECONNRESET' }),
+      classifyError({ code: 'LLM_TIMEOUT' })
+    ].join(',');
+    assert(kinds === 'server,rate_limit,client,server,connection,timeout', `Got ${kinds}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,130 @@
+/**
+ * MATCHER TEST
+ * Run: node test-matcher.js
+ * Keywords match whole words — every known substring false positive stays fixed
+ */
+
+const { compileMatcher } = require('./services/matcher');
+const { analyzeMessage } = require('./services/classifier');
+const { extractSentimentFromText } = require('./services/sentiment');
+const { detectCartaEmotions } = require('./services/atelier');
+const carta = require('./services/carta-lexicon.json');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const EN = ['s', 'es', "'s", 'ed', 'd', 'ing', 'ly'];
+
+function entries(list, text, options = { inflections: EN }) {
+  return compileMatcher(list, options).find(text).map(m => m.entry);
+}
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔤 MATCHER');
+// ═══════════════════════════════════════════════════════════
+
+test('Whole words only', () => {
+  assert(entries(['ex'], 'what comes next, for example').length === 0, 'ex matched inside a word');
+  assert(entries(['ex'], 'my ex called').length === 1, 'ex missed as a word');
+});
+
+test('Inflections extend words of three letters or more', () => {
+  assert(entries(['kiss'], 'she kissed me').length === 1, 'kissed missed');
+  assert(entries(['worry'], 'so much worrying').length === 1, 'worrying missed');
+  assert(entries(['hi'], 'his dog').length === 0, 'hi inflected into his');
+});
+
+test('Phrases need consecutive words without punctuation between', () => {
+  assert(entries(["can't go on"], "I can't   go on").length === 1, 'phrase missed across spaces');
+  assert(entries(['not sure'], "it's not. sure, whatever").length === 0, 'phrase matched across a full stop');
+});
+
+test('Trailing * matches a stem, leading * a suffix', () => {
+  assert(entries(['preocup*'], 'estou muito preocupada', { inflections: [] }).length === 1, 'stem missed');
+  assert(entries(['*nt'], 'I cant', { inflections: [] }).length === 1, 'suffix missed');
+});
+
+test('An elided article does not hide the word', () => {
+  assert(entries(['angoisse'], "l'angoisse revient", { inflections: [] }).length === 1, "l'angoisse missed");
+});
+
+test('Accents and case are folded', () => {
+  assert(entries(['não aguento mais'], 'NAO AGUENTO MAIS', { inflections: [] }).length === 1, 'folded phrase missed');
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔤 CLASSIFIER — KNOWN FALSE POSITIVES');
+// ═══════════════════════════════════════════════════════════
+
+test('"ex" does not fire on "next"', () => {
+  const result = analyzeMessage('What should we watch next weekend?');
+  assert(result.dimension !== 'sociology', `Got ${result.dimension}`);
+});
+
+test('"hi" does not make "this" noise', () => {
+  const result = analyzeMessage('this');
+  assert(!result.isNoise, 'Expected no noise');
+});
+
+test('"won" does not fire celebration on "wonder"', () => {
+  const result = analyzeMessage('I wonder about the trip');
+  assert(result.mood.mood !== 'celebration', `Got ${result.mood.mood}`);
+});
+
+test('"won" still fires celebration', () => {
+  const result = analyzeMessage('We won the game today');
+  assert(result.mood.mood === 'celebration', `Got ${result.mood.mood}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔤 SENTIMENT AND CARTA');
+// ═══════════════════════════════════════════════════════════
+
+test('"no" does not count inside "know"', () => {
+  const score = extractSentimentFromText('I know');
+  assert(score === 0, `Got ${score}`);
+});
+
+test('"no" still counts as a word', () => {
+  const score = extractSentimentFromText('no');
+  assert(score < 0, `Got ${score}`);
+});
+
+test('Carta "adder" does not fire inside "ladder"', () => {
+  assert(carta.Anger.includes('adder'), 'adder is no longer a Carta keyword');
+  const emotions = detectCartaEmotions('climbing the ladder');
+  assert(!emotions.includes('Anger'), `Got ${emotions.join(', ')}`);
+});
+
+test('Carta keywords still match whole', () => {
+  const emotions = detectCartaEmotions('I was so angry');
+  assert(emotions.includes('Anger'), `Got ${emotions.join(', ')}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,180 @@
+/**
+ * PHRASE CACHE TEST
+ * Run: node test-phrase-cache.js
+ * Entries are keyed by content and voice, evicted least-recently-used
+ * within the byte limit, and stats() reports what the cache did
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPhraseCache, phraseKey, normalizePhrase } = require('./services/phrase-cache');
+const { createTTSService, createStubTTSProvider } = require('./services/tts');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const VOICE = { voiceId: 'voice-a', modelId: 'eleven_turbo_v2', settings: { stability: 0.5, style: 0.3 } };
+const MODEL = 'eleven_turbo_v2';
+
+function pcm(bytes, fill = 1) {
+  return Buffer.alloc(bytes, fill);
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🗂️ KEYS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Spacing, curly quotes and "…" do not split an entry', () => {
+    const key = phraseKey(VOICE, MODEL, "I'm here...");
+    for (const text of ['  I’m   here… ', "I'm here..."]) {
+      assert(phraseKey(VOICE, MODEL, text) === key, `"${text}" got its own key`);
+    }
+    assert(normalizePhrase('“Stay  there.”') === '"Stay there."', `Got ${normalizePhrase('“Stay  there.”')}`);
+  });
+
+  await test('Case and punctuation do split an entry, since they change prosody', () => {
+    const key = phraseKey(VOICE, MODEL, "I'm here.");
+    assert(phraseKey(VOICE, MODEL, "i'm here.") !== key, 'Case was ignored');
+    assert(phraseKey(VOICE, MODEL, "I'm here?") !== key, 'Punctuation was ignored');
+  });
+
+  await test('Voice, model, settings and language are all part of the key', () => {
+    const key = phraseKey(VOICE, MODEL, 'Mm.');
+    const variants = [
+      phraseKey({ ...VOICE, voiceId: 'voice-b' }, MODEL, 'Mm.'),
+      phraseKey(VOICE, 'eleven_flash_v2_5', 'Mm.'),
+      phraseKey({ ...VOICE, settings: { ...VOICE.settings, stability: 0.6 } }, MODEL, 'Mm.'),
+      phraseKey(VOICE, MODEL, 'Mm.', 'pt')
+    ];
+    assert(variants.every(k => k !== key) && new Set(variants).size === 4, 'Two different voices shared a key');
+    const reordered = { ...VOICE, settings: { style: 0.3, stability: 0.5 } };
+    assert(phraseKey(reordered, MODEL, 'Mm.') === key, 'Settings field order split the entry');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🗂️ LRU');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('The least recently used entry is evicted at the byte limit', async () => {
+    const cache = createPhraseCache({ maxBytes: 30, maxChars: 80, dir: null });
+    cache.set('a', pcm(10));
+    cache.set('b', pcm(10));
+    cache.set('c', pcm(10));
+    await cache.get('a');
+    cache.set('d', pcm(10));
+    const present = [];
+    for (const key of ['a', 'b', 'c', 'd']) if (await cache.get(key)) present.push(key);
+    assert(present.join(',') === 'a,c,d', `Kept ${present.join(',')}`);
+    const stats = cache.stats();
+    assert(stats.evictions === 1 && stats.bytes === 30 && stats.entries === 3, `Stats ${JSON.stringify(stats)}`);
+  });
+
+  await test('A larger entry evicts as many as it needs to', async () => {
+    const cache = createPhraseCache({ maxBytes: 30, maxChars: 80, dir: null });
+    for (const key of ['a', 'b', 'c']) cache.set(key, pcm(10));
+    cache.set('big', pcm(25));
+    assert(cache.stats().entries === 1 && cache.stats().evictions === 3, `Stats ${JSON.stringify(cache.stats())}`);
+  });
+
+  await test('An entry bigger than the whole cache is not kept', async () => {
+    const cache = createPhraseCache({ maxBytes: 30, maxChars: 80, dir: null });
+    cache.set('a', pcm(10));
+    cache.set('huge', pcm(40));
+    assert(await cache.get('huge') === null && await cache.get('a') !== null, 'Expected the oversized entry dropped and the rest kept');
+  });
+
+  await test('Text over maxChars is never cached', () => {
+    const cache = createPhraseCache({ maxBytes: 1024, maxChars: 11, dir: null });
+    assert(cache.cacheable('I’m   here…') && !cache.cacheable('That weight is real.'), 'maxChars was not applied to the normalized text');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🗂️ STATS AND DISK');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('stats() reports hits, misses, hit rate and the latency saved', async () => {
+    const cache = createPhraseCache({ maxBytes: 1024, maxChars: 80, dir: null });
+    await cache.get('a');
+    cache.recordLatency(false, 300);
+    cache.set('a', pcm(10));
+    await cache.get('a');
+    cache.recordLatency(true, 10);
+    await cache.get('a');
+    cache.recordLatency(true, 20);
+    const stats = cache.stats();
+    assert(stats.hits === 2 && stats.misses === 1 && stats.stores === 1, `Counters ${JSON.stringify(stats)}`);
+    assert(stats.hitRate === 0.667, `Hit rate ${stats.hitRate}`);
+    assert(stats.avgFirstAudioMs.hit === 15 && stats.avgFirstAudioMs.miss === 300, `Latency ${JSON.stringify(stats.avgFirstAudioMs)}`);
+    assert(stats.estimatedSavedMs === 570, `Saved ${stats.estimatedSavedMs}`);
+  });
+
+  await test('An empty cache reports no rate instead of zero', () => {
+    const stats = createPhraseCache({ maxBytes: 1024, maxChars: 80, dir: null }).stats();
+    assert(stats.hitRate === null && stats.estimatedSavedMs === null, `Stats ${JSON.stringify(stats)}`);
+  });
+
+  await test('A restart reads entries back from TTS_CACHE_DIR', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'phrase-cache-'));
+    try {
+      createPhraseCache({ maxBytes: 1024, maxChars: 80, dir }).set('a', pcm(10, 7));
+      await sleep(20);
+      const restarted = createPhraseCache({ maxBytes: 1024, maxChars: 80, dir });
+      const cached = await restarted.get('a');
+      assert(cached?.length === 10 && cached[0] === 7, 'Entry not read back');
+      assert(restarted.stats().diskHits === 1 && restarted.stats().entries === 1, `Stats ${JSON.stringify(restarted.stats())}`);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🗂️ TTS SERVICE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A repeated phrase is synthesized once per voice', async () => {
+    const stub = createStubTTSProvider();
+    let calls = 0;
+    const provider = { ...stub, stream: (...args) => { calls++; return stub.stream(...args); } };
+    const tts = createTTSService({ provider, cache: createPhraseCache({ maxBytes: 1024 * 1024, maxChars: 80, dir: null }) });
+    const first = await tts.synthesize("I'm here.", VOICE);
+    const again = await tts.synthesize('I’m  here.', VOICE);
+    assert(calls === 1 && again.equals(first), `Provider called ${calls} times`);
+    await tts.synthesize("I'm here.", { ...VOICE, voiceId: 'voice-b' });
+    assert(calls === 2, 'Another voice was served from the cache');
+    assert(tts.cache.stats().hits === 1 && tts.cache.stats().misses === 2, `Stats ${JSON.stringify(tts.cache.stats())}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
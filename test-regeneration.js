@@ -0,0 +1,169 @@
+/**
+ * REGENERATION TEST
+ * Run: node test-regeneration.js
+ * Each retry is stricter than the last, the loop stops at maxAttempts, and
+ * the fallback line fits the turn's weight and language
+ */
+
+const { regenerateUntilPass, escalateConstraints, findGoldStandard } = require('./services/regeneration-controller');
+const { enforceInvariants } = require('./services/invariant-gate');
+const { resolveLimits } = require('./services/calibration');
+const scaffoldLibrary = require('./services/scaffold-library.json');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const ABANDONING = 'You should talk to a therapist about this.';
+
+function turn(weight, language = 'en') {
+  return { weight, language, resistance: [] };
+}
+
+// Runs the loop against a model that answers each prompt from replies in turn
+async function regenerate(classification, replies, options = {}) {
+  const prompts = [];
+  const gate = enforceInvariants(ABANDONING, classification);
+  const result = await regenerateUntilPass({
+    response: ABANDONING,
+    gate,
+    classification,
+    composePrompt: (constraints) => constraints,
+    generate: async (prompt) => { prompts.push(prompt); return replies[prompts.length - 1] ?? ABANDONING; },
+    ...options
+  });
+  return { result, prompts };
+}
+
+// Maximum N words. from an escalated constraint block
+function wordCap(constraints) {
+  const match = constraints.match(/Maximum (\d+) words\. One sentence/);
+  return match ? Number(match[1]) : null;
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔁 ESCALATING CONSTRAINTS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('The first retry uses the gate\'s own constraints', () => {
+    const violations = enforceInvariants(ABANDONING, turn(3)).violations;
+    const constraints = escalateConstraints(1, violations, turn(3), null);
+    assert(/Do NOT suggest professional help/.test(constraints), 'Missing the NEVER_ABANDONS constraint');
+    assert(!/ATTEMPT/.test(constraints) && wordCap(constraints) === null, `Got ${constraints}`);
+  });
+
+  await test('Later retries restate what was said and halve the word cap', () => {
+    const violations = enforceInvariants(ABANDONING, turn(3)).violations;
+    const limits = resolveLimits(3);
+    const second = escalateConstraints(2, violations, turn(3), null, limits);
+    const third = escalateConstraints(3, violations, turn(3), null, limits);
+    assert(/ATTEMPT 2/.test(second) && /ATTEMPT 3/.test(third), 'Missing the attempt header');
+    assert(second.includes(`"${violations[0].matched}"`), 'The broken phrase was not restated');
+    assert(wordCap(second) === limits.maxWords / 2 && wordCap(third) === limits.maxWords / 4, `Caps ${wordCap(second)}, ${wordCap(third)} from ${limits.maxWords}`);
+  });
+
+  await test('The word cap never drops below three', () => {
+    const constraints = escalateConstraints(6, [], turn(21), null);
+    assert(wordCap(constraints) === 3, `Got ${wordCap(constraints)}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔁 ATTEMPT BOUND');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A passing retry ends the loop', async () => {
+    const { result, prompts } = await regenerate(turn(3), [ABANDONING, 'I hear you.'], { maxAttempts: 3 });
+    assert(result.outcome === 'regenerated' && result.response === 'I hear you.', `Got ${result.outcome}: ${result.response}`);
+    assert(prompts.length === 2, `Generated ${prompts.length} times`);
+    assert(wordCap(prompts[1]) !== null, 'The second prompt was not escalated');
+  });
+
+  await test('No more than maxAttempts calls before the fallback', async () => {
+    const { result, prompts } = await regenerate(turn(3), [], { maxAttempts: 2 });
+    assert(prompts.length === 2, `Generated ${prompts.length} times`);
+    assert(result.outcome === 'fallback', `Got ${result.outcome}`);
+    const numbers = result.attempts.map(a => a.attempt).join(',');
+    assert(numbers === '0,1,2,3', `Attempts ${numbers}`);
+    assert(result.attempts.filter(a => a.fallback).length === 1 && result.attempts[3].fallback, 'Only the last entry is the fallback');
+  });
+
+  await test('maxAttempts 0 goes straight to the fallback', async () => {
+    const { result, prompts } = await regenerate(turn(3), [], { maxAttempts: 0 });
+    assert(prompts.length === 0 && result.outcome === 'fallback', `Generated ${prompts.length} times, ${result.outcome}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔁 FALLBACK LINE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('The scaffold\'s goldStandard in English', async () => {
+    const scaffold = scaffoldLibrary['W13:grief:first-disclosure'];
+    const { result } = await regenerate(turn(13), [], { maxAttempts: 0, scaffold });
+    assert(result.response === scaffold.goldStandard, `Got "${result.response}"`);
+    assert(result.attempts[1].scaffold === scaffold.name, `Got ${result.attempts[1].scaffold}`);
+  });
+
+  await test('An English W21 turn with no scaffold gets the presence check', async () => {
+    const { result } = await regenerate(turn(21), [], { maxAttempts: 0 });
+    assert(result.response === scaffoldLibrary['W21:any:presence-check'].goldStandard, `Got "${result.response}"`);
+    assert(result.gate.pass, `Violations: ${result.gate.violations.map(v => v.invariant).join(', ')}`);
+  });
+
+  await test('A light turn is not answered with crisis framing', async () => {
+    const { result } = await regenerate(turn(3), [], { maxAttempts: 0 });
+    assert(result.response !== scaffoldLibrary['W21:any:presence-check'].goldStandard, `Got "${result.response}"`);
+    assert(result.attempts[1].scaffold === null, `Got ${result.attempts[1].scaffold}`);
+  });
+
+  await test('Another language never gets an English line', async () => {
+    const scaffold = scaffoldLibrary['W13:grief:first-disclosure'];
+    const { result } = await regenerate(turn(13, 'pt'), [], { maxAttempts: 0, scaffold });
+    assert(result.response === findGoldStandard(null, turn(13, 'pt')).line, `Got "${result.response}"`);
+    assert(result.response !== scaffold.goldStandard && result.response !== findGoldStandard(null, turn(13)).line, `Got "${result.response}"`);
+  });
+
+  await test('Every fallback line passes the gate at its weight', () => {
+    for (const weight of [1, 3, 5, 8, 13, 21]) {
+      for (const language of ['en', 'pt', 'fr', 'es', 'it', 'de']) {
+        const { line, scaffold } = findGoldStandard(null, turn(weight, language));
+        const gate = enforceInvariants(line, turn(weight, language), {}, resolveLimits(weight, { scaffold }));
+        assert(gate.pass, `W${weight} ${language} "${line}": ${gate.violations.map(v => v.invariant).join(', ')}`);
+      }
+    }
+  });
+
+  await test('An unsupported language falls back to English', () => {
+    const { line } = findGoldStandard(null, turn(8, 'ja'));
+    assert(line === findGoldStandard(null, turn(8)).line, `Got "${line}"`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
@@ -0,0 +1,203 @@
+/**
+ * SENTENCE SEGMENTER TEST
+ * Run: node test-segmenter.js
+ * Tests TTS chunking against Aline-style outputs
+ */
+
+const { createSentenceSegmenter, splitSentences } = require('./services/sentence-segmenter');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function assertChunks(text, expected) {
+  const actual = splitSentences(text);
+  assert(
+    JSON.stringify(actual) === JSON.stringify(expected),
+    `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`
+  );
+}
+
+// Feeds text the way Claude streams it: small uneven deltas
+function streamInDeltas(text, size = 3) {
+  const segmenter = createSentenceSegmenter();
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) {
+    chunks.push(...segmenter.push(text.slice(i, i + size)));
+  }
+  return [...chunks, ...segmenter.flush()];
+}
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══ FRAGMENTS ═══\n');
+
+test('"Mm." is its own chunk', () => {
+  assertChunks('Mm. Tell me more.', ['Mm.', 'Tell me more.']);
+});
+
+test('"Thirty-one years." is its own chunk', () => {
+  assertChunks('Thirty-one years. That is a long time to carry it.', ['Thirty-one years.', 'That is a long time to carry it.']);
+});
+
+test('W21 presence lines split one per sentence', () => {
+  assertChunks('I am here. I am staying.', ['I am here.', 'I am staying.']);
+});
+
+test('Single fragment with no trailing text', () => {
+  assertChunks('Still here.', ['Still here.']);
+});
+
+test('Unpunctuated fragment is flushed at end of stream', () => {
+  assertChunks('Oh', ['Oh']);
+});
+
+test('"So do I." ends a sentence — I is not an initial', () => {
+  assertChunks('So do I. Still here.', ['So do I.', 'Still here.']);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══ ABBREVIATIONS AND NUMBERS ═══\n');
+
+test('"Mr." and "Dr." do not split', () => {
+  assertChunks('Mr. Costa called. Dr. Reyes never did.', ['Mr. Costa called.', 'Dr. Reyes never did.']);
+});
+
+test('"e.g." does not split', () => {
+  assertChunks('Small things, e.g. the coffee. Those matter.', ['Small things, e.g. the coffee.', 'Those matter.']);
+});
+
+test('Decimal "3.5" does not split', () => {
+  assertChunks('You walked 3.5 miles. In the rain.', ['You walked 3.5 miles.', 'In the rain.']);
+});
+
+test('"a.m." before lowercase continues the sentence', () => {
+  assertChunks('You wake at 5 a.m. every day. That is early.', ['You wake at 5 a.m. every day.', 'That is early.']);
+});
+
+test('"etc." before a capital ends the sentence', () => {
+  assertChunks('Bills, dishes, etc. None of it stops.', ['Bills, dishes, etc.', 'None of it stops.']);
+});
+
+test('Initials do not split', () => {
+  assertChunks('J. K. wrote it. I remember.', ['J. K. wrote it.', 'I remember.']);
+});
+
+test('Year at sentence end splits', () => {
+  assertChunks('It was 1999. Everything changed.', ['It was 1999.', 'Everything changed.']);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══ ELLIPSES, DASHES, QUOTES ═══\n');
+
+test('Ellipsis is a pause, not a boundary', () => {
+  assertChunks('I don\'t know... maybe it was me. Or not.', ['I don\'t know... maybe it was me.', 'Or not.']);
+});
+
+test('Unicode ellipsis is a pause, not a boundary', () => {
+  assertChunks('Mm… yeah. That fits.', ['Mm… yeah.', 'That fits.']);
+});
+
+test('Trailing ellipsis is flushed at end of stream', () => {
+  assertChunks('And then…', ['And then…']);
+});
+
+test('Em-dash stays inside its sentence', () => {
+  assertChunks('Thirty-one years — and nobody asked. Until now.', ['Thirty-one years — and nobody asked.', 'Until now.']);
+});
+
+test('Glued em-dash stays inside its sentence', () => {
+  assertChunks('She stayed—she always stayed. Even then.', ['She stayed—she always stayed.', 'Even then.']);
+});
+
+test('Long run-on splits at the em-dash', () => {
+  const text = 'I keep thinking about the way she looked at me that morning in the kitchen with the light coming through the window — like she already knew what I was going to say and decided not to stop me';
+  const chunks = splitSentences(text);
+  assert(chunks.length === 2, `Expected 2 chunks, got ${chunks.length}`);
+  assert(chunks[0].endsWith('—'), `Expected split at em-dash, got ${JSON.stringify(chunks[0])}`);
+});
+
+test('Quoted sentence followed by a new sentence splits after the quote', () => {
+  assertChunks('He said "I\'m leaving." Then he was gone.', ['He said "I\'m leaving."', 'Then he was gone.']);
+});
+
+test('Quoted speech with a lowercase tag stays together', () => {
+  assertChunks('"Stop." she said. And I did.', ['"Stop." she said.', 'And I did.']);
+});
+
+test('Quoted question with a lowercase tag stays together', () => {
+  assertChunks('"Why?" he asked. I had no answer.', ['"Why?" he asked.', 'I had no answer.']);
+});
+
+test('Curly quotes', () => {
+  assertChunks('She said “not tonight.” So I waited.', ['She said “not tonight.”', 'So I waited.']);
+});
+
+test('Exclamation and question runs', () => {
+  assertChunks('Really?! That is wonderful! Tell me.', ['Really?!', 'That is wonderful!', 'Tell me.']);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══ STREAMING ═══\n');
+
+test('Streamed deltas produce the same chunks as the whole text', () => {
+  const text = 'Mm. Mr. Costa walked 3.5 miles... in the rain — alone. "Stop." she said. Thirty-one years. Still here.';
+  for (const size of [1, 2, 3, 5, 8]) {
+    const streamed = streamInDeltas(text, size);
+    const whole = splitSentences(text);
+    assert(JSON.stringify(streamed) === JSON.stringify(whole), `Delta size ${size}: ${JSON.stringify(streamed)} vs ${JSON.stringify(whole)}`);
+  }
+});
+
+test('"Mm." is released as soon as the next space arrives', () => {
+  const segmenter = createSentenceSegmenter();
+  assert(segmenter.push('Mm.').length === 0, 'Should wait — "Mm." could still become "Mm.." or "Mm.5"');
+  const chunks = segmenter.push(' ');
+  assert(JSON.stringify(chunks) === '["Mm."]', `Expected ["Mm."], got ${JSON.stringify(chunks)}`);
+});
+
+test('Decimal split across deltas is not cut', () => {
+  const segmenter = createSentenceSegmenter();
+  const chunks = [...segmenter.push('It was 3.'), ...segmenter.push('5 miles. ')];
+  assert(JSON.stringify(chunks) === '["It was 3.5 miles."]', `Got ${JSON.stringify(chunks)}`);
+});
+
+test('Chunk never carries the opening words of the next sentence', () => {
+  const segmenter = createSentenceSegmenter();
+  const chunks = segmenter.push('I hear you. You should');
+  assert(JSON.stringify(chunks) === '["I hear you."]', `Got ${JSON.stringify(chunks)}`);
+  assert(segmenter.pending() === 'You should', `Pending: ${JSON.stringify(segmenter.pending())}`);
+});
+
+test('Quoted speech waits for the next word before deciding', () => {
+  const segmenter = createSentenceSegmenter();
+  assert(segmenter.push('"Stop." ').length === 0, 'Should wait for the word after the quote');
+  const chunks = [...segmenter.push('she said. '), ...segmenter.flush()];
+  assert(JSON.stringify(chunks) === '["\\"Stop.\\" she said."]', `Got ${JSON.stringify(chunks)}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,148 @@
+/**
+ * SESSION CLASSIFIER TEST
+ * Run: node test-session-classifier.js
+ * Weight envelope, footing and release across turns
+ */
+
+const { createSessionClassifier, nearestTier } = require('./services/session-classifier');
+const { selectBackchannel } = require('./services/backchannel');
+const { buildSystemPrompt } = require('./services/prompt-engine');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// Classifies each message in turn, returns every result
+function conversation(messages, options = {}) {
+  const classifier = createSessionClassifier({ halfLifeTurns: 1.5, ...options });
+  return messages.map(message => classifier.classify(message));
+}
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🧭 WEIGHT ENVELOPE');
+// ═══════════════════════════════════════════════════════════
+
+test('"ok" after a W21 confession is held, not noise', () => {
+  const [confession, ok] = conversation(['I hate myself', 'ok']);
+  assert(confession.weight === 21, `Confession W${confession.weight}`);
+  assert(ok.instantWeight === 1 && ok.isNoise, `Expected instant W1 noise, got W${ok.instantWeight}`);
+  assert(ok.weight === 13, `Expected held W13, got W${ok.weight}`);
+});
+
+test('Held weight decays back to the message over light turns', () => {
+  const weights = conversation(['I hate myself', 'ok', 'ok', 'ok', 'ok', 'ok', 'ok']).map(r => r.weight);
+  assert(JSON.stringify(weights) === '[21,13,8,5,3,3,1]', `Got ${JSON.stringify(weights)}`);
+});
+
+test('Session weight is never below the message weight', () => {
+  const results = conversation(['hi', 'I went to the store today', 'My father left us', 'I hate myself']);
+  for (const r of results) assert(r.weight >= r.instantWeight, `W${r.weight} below message W${r.instantWeight}`);
+  assert(results[3].weight === 21, `Got W${results[3].weight}`);
+});
+
+test('Held "ok" keeps the relational backchannel and a held-weight prompt', () => {
+  const [, ok] = conversation(['I hate myself', 'ok']);
+  const backchannel = selectBackchannel(ok);
+  assert(backchannel.avatarCue === 'soft_concern', `Got ${backchannel.avatarCue}`);
+  assert(buildSystemPrompt(ok).includes('HELD WEIGHT'), 'Expected the held-weight block');
+});
+
+test('Half-life 0 scores every message alone', () => {
+  const [, ok] = conversation(['I hate myself', 'ok'], { halfLifeTurns: 0 });
+  assert(ok.weight === 1, `Expected W1, got W${ok.weight}`);
+});
+
+test('Nearest tier is measured in ratios', () => {
+  assert(nearestTier(12.6) === 13, `12.6 → ${nearestTier(12.6)}`);
+  assert(nearestTier(2.1) === 3, `2.1 → ${nearestTier(2.1)}`);
+  assert(nearestTier(1.3) === 1, `1.3 → ${nearestTier(1.3)}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🧭 RELEASE');
+// ═══════════════════════════════════════════════════════════
+
+test('Deflection releases the envelope immediately', () => {
+  const [, deflect] = conversation(['I hate myself', "I don't want to talk about it"]);
+  assert(deflect.released, 'Expected released');
+  assert(deflect.weight === deflect.instantWeight, `Expected W${deflect.instantWeight}, got W${deflect.weight}`);
+});
+
+test('Topic pivot clears the established footing', () => {
+  const [analysis, pivot] = conversation(['Can you analyze the pattern here?', 'Anyway, how are you?']);
+  assert(analysis.footing === 'analytical', `Got ${analysis.footing}`);
+  assert(pivot.footing === null && pivot.footingShift, `Got ${pivot.footing}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🧭 FOOTING');
+// ═══════════════════════════════════════════════════════════
+
+test('Body sentences establish somatic footing', () => {
+  const [first] = conversation(["I'm so tired, I haven't slept in two weeks"]);
+  assert(first.footing === 'somatic', `Got ${first.footing}`);
+  assert(first.footingShift, 'Expected a footing shift from none');
+});
+
+test('Footing holds through turns with no signal', () => {
+  const results = conversation(['My chest is tight all the time', 'Yeah.', 'ok']);
+  assert(results.every(r => r.footing === 'somatic'), `Got ${results.map(r => r.footing)}`);
+  assert(!results[1].footingShift && !results[2].footingShift, 'No shift expected');
+});
+
+test('An established footing needs more than one aside to change', () => {
+  const results = conversation([
+    "I'm trying to understand why she left",
+    "I still can't make sense of it",
+    'Maybe the pattern matters',
+    'Why does that keep happening, objectively?'
+  ]);
+  assert(results[1].footing === 'sense_making', `Got ${results[1].footing}`);
+  assert(results[2].footing === 'sense_making', `One analytical aside changed it to ${results[2].footing}`);
+  assert(results[3].footing === 'analytical' && results[3].footingShift, `Got ${results[3].footing}`);
+});
+
+test('Footing is detected in the turn language', () => {
+  const classifier = createSessionClassifier();
+  const result = classifier.classify('Sinto um aperto no peito', { language: 'pt' });
+  assert(result.footing === 'somatic', `Got ${result.footing}`);
+});
+
+test('The prompt carries the established footing', () => {
+  const [result] = conversation(['Can you analyze the pattern here?']);
+  assert(buildSystemPrompt(result).includes('analytical footing'), 'Expected the footing block');
+});
+
+test('Stored state continues across a resume', () => {
+  const state = {};
+  createSessionClassifier({ state }).classify('I hate myself');
+  const resumed = createSessionClassifier({ state }).classify('ok');
+  assert(resumed.weight === 13, `Expected held W13, got W${resumed.weight}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,164 @@
+/**
+ * SESSION STORE TEST
+ * Run: node test-session-store.js
+ * A resumed session stays one object: turns after a reconnect count, a drop
+ * mid-turn interrupts that turn, and expiry ends it through the orchestrator
+ * that holds it last
+ */
+
+const { createSessionStore } = require('./services/session-store');
+const { createTurnOrchestrator, resolveStages } = require('./services/turn-orchestrator');
+const { loadPersonaRegistry } = require('./services/persona-registry');
+const { createStubProvider } = require('./services/llm-provider');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const persona = loadPersonaRegistry().get('aline');
+const USER_ID = 'user-1';
+
+// Supabase stand-in: every query resolves empty, inserts are recorded
+function fakeSupabase() {
+  const inserts = [];
+  function from(table) {
+    const query = {};
+    for (const method of ['select', 'eq', 'gt', 'order', 'limit', 'single', 'update']) query[method] = () => query;
+    query.insert = (row) => { inserts.push({ table, row }); return query; };
+    query.then = (resolve) => resolve({ data: null, error: null, count: 0 });
+    return query;
+  }
+  return { from, inserts };
+}
+
+// One connection wired the way server.js wires it
+function connect(store, supabase, resumeToken = null, llm = createStubProvider({ replies: ['I hear you.', 'Tell me more.'] })) {
+  const ws = { readyState: 1, send: () => {} };
+  const onExpire = () => orchestrator.end();
+  const resumed = resumeToken ? store.resume(resumeToken, { userId: USER_ID, personaId: persona.id, owner: ws, onExpire }) : null;
+  const orchestrator = createTurnOrchestrator({
+    ws,
+    persona,
+    llm,
+    speak: async () => {},
+    supabase,
+    stages: resolveStages({ MRA_DISABLED_STAGES: 'backchannel,promptEngine,atelier' }),
+    session: resumed?.session || { sessionId: 'session-1', userId: USER_ID }
+  });
+  orchestrator.start({ resumed: !!resumed });
+  const token = resumeToken || store.open(orchestrator.session, { userId: USER_ID, personaId: persona.id, owner: ws, onExpire });
+  return { ws, orchestrator, token, resumed };
+}
+
+// What server.js does when the socket closes
+function drop(store, connection) {
+  connection.orchestrator.interrupt();
+  store.detach(connection.token, connection.ws);
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔁 RESUME');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A resumed orchestrator works on the stored session object', () => {
+    const store = createSessionStore({ graceMs: 1000 });
+    const first = connect(store, null);
+    store.detach(first.token, first.ws);
+    const second = connect(store, null, first.token);
+    assert(second.orchestrator.session === first.orchestrator.session, 'Expected the same session object');
+    store.expire(first.token);
+  });
+
+  await test('Drop → resume → turn → expire logs the session with its turns', async () => {
+    const supabase = fakeSupabase();
+    const store = createSessionStore({ graceMs: 20 });
+    const first = connect(store, supabase);
+    store.detach(first.token, first.ws);
+
+    const second = connect(store, supabase, first.token);
+    await second.orchestrator.runTurn('I hate myself');
+    store.detach(second.token, second.ws);
+    await sleep(60);
+
+    const logged = supabase.inserts.filter(i => i.table === 'conductance_sessions');
+    assert(store.size() === 0, 'Expected the session to expire');
+    assert(logged.length === 1, `Expected one conductance session, got ${logged.length}`);
+    assert(logged[0].row.max_weight === 21, `Logged max weight ${logged[0].row.max_weight}`);
+  });
+
+  await test('A second resume continues from the latest turn', async () => {
+    const store = createSessionStore({ graceMs: 1000 });
+    const first = connect(store, null);
+    await first.orchestrator.runTurn('hello there');
+    store.detach(first.token, first.ws);
+
+    const second = connect(store, null, first.token);
+    await second.orchestrator.runTurn('I went to the store today');
+    store.detach(second.token, second.ws);
+
+    const third = connect(store, null, first.token);
+    assert(third.orchestrator.session.turnCount === 2, `Got turnCount ${third.orchestrator.session.turnCount}`);
+    assert(third.orchestrator.session.conversationHistory.length === 4, `Got ${third.orchestrator.session.conversationHistory.length} messages`);
+    store.expire(first.token);
+  });
+
+  await test('A drop mid-turn interrupts the turn and the session stays resumable', async () => {
+    const store = createSessionStore({ graceMs: 1000 });
+    const slow = createStubProvider({ replies: ['I hear you, and I want to hear all of it.'], chunkDelayMs: 20 });
+    const first = connect(store, null, null, slow);
+    const pending = first.orchestrator.runTurn('I went to the store today');
+    await sleep(60);
+    drop(store, first);
+    const result = await pending;
+    assert(result.interrupted, 'Expected the turn to be interrupted');
+
+    const second = connect(store, null, first.token);
+    const { session } = second.orchestrator;
+    assert(second.resumed && session.turnCount === 1, `Resumed ${!!second.resumed}, turnCount ${session.turnCount}`);
+    assert(!session.conversationHistory.some(m => /all of it/.test(m.content)), 'The unspoken reply reached history');
+    await second.orchestrator.runTurn('hello again');
+    assert(session.turnCount === 2, `Got turnCount ${session.turnCount}`);
+    store.expire(first.token);
+  });
+
+  await test('A token is not resumable by another user', () => {
+    const store = createSessionStore({ graceMs: 1000 });
+    const first = connect(store, null);
+    store.detach(first.token, first.ws);
+    const resumed = store.resume(first.token, { userId: 'someone-else', personaId: persona.id, owner: {} });
+    assert(resumed === null, 'Expected the resume to be rejected');
+    store.expire(first.token);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
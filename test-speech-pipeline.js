@@ -0,0 +1,192 @@
+/**
+ * SPEECH PIPELINE TEST
+ * Run: node test-speech-pipeline.js
+ * Sentences play in order while the LLM keeps writing, and text counts as
+ * spoken only once its audio has been delivered
+ */
+
+const { createSpeechPipeline, createStreamSpeech } = require('./services/speech-pipeline');
+const { createTTSService, createStubTTSProvider } = require('./services/tts');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const VOICE = { voiceId: 'test-voice', modelId: 'eleven_turbo_v2' };
+
+// Sentence-mode synthesis: three PCM chunks per sentence, msPerChunk[text] apart
+function fakeSynthesize(msPerChunk = {}, log = []) {
+  return async function* (text, { signal }) {
+    log.push(`start:${text}`);
+    for (let i = 0; i < 3; i++) {
+      await sleep(msPerChunk[text] ?? 5);
+      if (signal.aborted) throw Object.assign(new Error('aborted'), { name: 'AbortError' });
+      if (msPerChunk[text] === 'fail') throw new Error('TTS 500');
+      yield Buffer.from(`${text}#${i}`);
+    }
+  };
+}
+
+// A sentence-mode channel recording every event in order
+function sentenceChannel(options = {}) {
+  const events = [];
+  const speech = createSpeechPipeline({
+    synthesize: fakeSynthesize(options.msPerChunk, events),
+    deliver: (chunk) => { events.push(`audio:${chunk}`); options.onDeliver?.(chunk.toString()); },
+    onSpoken: (text) => events.push(`spoken:${text}`),
+    signal: options.signal || null,
+    maxInFlight: options.maxInFlight ?? 2
+  });
+  return { speech, events };
+}
+
+const only = (events, kind) => events.filter(e => e.startsWith(`${kind}:`)).map(e => e.slice(kind.length + 1));
+
+// Stub TTS (100ms chunks, 180ms per word) with no phrase cache
+const tts = createTTSService({ provider: createStubTTSProvider(), cache: null });
+
+// A stream-input channel recording delivered chunks and what was reported spoken
+function streamChannel({ signal = null, onDeliver = () => {} } = {}) {
+  const log = { delivered: 0, spoken: [] };
+  const speech = createStreamSpeech({
+    open: (onVoiced) => tts.openStream(VOICE, { signal, onVoiced }),
+    deliver: () => { log.delivered++; onDeliver(log); },
+    onSpoken: (text) => log.spoken.push({ text, delivered: log.delivered })
+  });
+  return { speech, log };
+}
+
+// Pushes a sentence the way the orchestrator does, then marks it
+function say(speech, sentence) {
+  speech.push(`${sentence} `);
+  speech.mark(sentence);
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔊 SENTENCE QUEUE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Audio starts while the LLM is still writing', async () => {
+    const { speech, events } = sentenceChannel();
+    speech.push('One.');
+    await sleep(40);
+    events.push('llm:Two.');
+    speech.push('Two.');
+    await speech.end();
+    const firstAudio = events.indexOf('audio:One.#0');
+    assert(firstAudio !== -1 && firstAudio < events.indexOf('llm:Two.'), `Events: ${events.join(' ')}`);
+  });
+
+  await test('Sentences play in queue order even when a later one synthesizes faster', async () => {
+    const { speech, events } = sentenceChannel({ msPerChunk: { 'Slow one.': 15, 'Fast two.': 1 } });
+    speech.push('Slow one.');
+    speech.push('Fast two.');
+    speech.push('Third.');
+    assert(only(events, 'start').join(',') === 'Slow one.,Fast two.', `Started ${only(events, 'start').join(',')} with maxInFlight 2`);
+    await speech.end();
+    const audio = only(events, 'audio').join(' ');
+    assert(audio === 'Slow one.#0 Slow one.#1 Slow one.#2 Fast two.#0 Fast two.#1 Fast two.#2 Third.#0 Third.#1 Third.#2', `Audio: ${audio}`);
+  });
+
+  await test('onSpoken fires after a sentence\'s last chunk, never before', async () => {
+    const { speech, events } = sentenceChannel();
+    speech.push('One.');
+    speech.push('Two.');
+    await speech.end();
+    for (const text of ['One.', 'Two.']) {
+      assert(events.indexOf(`spoken:${text}`) === events.indexOf(`audio:${text}#2`) + 1, `Events: ${events.join(' ')}`);
+    }
+  });
+
+  await test('An interrupt stops playback and reports nothing it cut off', async () => {
+    const controller = new AbortController();
+    const { speech, events } = sentenceChannel({
+      signal: controller.signal,
+      onDeliver: (chunk) => { if (chunk === 'Two.#0') controller.abort(); }
+    });
+    speech.push('One.');
+    speech.push('Two.');
+    speech.push('Three.');
+    await speech.end();
+    assert(only(events, 'spoken').join(',') === 'One.', `Spoken: ${only(events, 'spoken').join(',')}`);
+    assert(only(events, 'audio').pop() === 'Two.#0', `Audio after the interrupt: ${only(events, 'audio').join(' ')}`);
+    speech.push('Four.');
+    assert(!only(events, 'start').includes('Four.'), 'Synthesized a sentence pushed after the interrupt');
+  });
+
+  await test('A sentence whose TTS fails is skipped, the rest still play', async () => {
+    const { speech, events } = sentenceChannel({ msPerChunk: { 'Broken.': 'fail' } });
+    speech.push('One.');
+    speech.push('Broken.');
+    speech.push('Three.');
+    await speech.end();
+    assert(only(events, 'spoken').join(',') === 'One.,Three.', `Spoken: ${only(events, 'spoken').join(',')}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔊 STREAM INPUT');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A pushed sentence is not spoken before its audio is delivered', async () => {
+    const { speech, log } = streamChannel();
+    say(speech, 'Hello there friend.');
+    assert(log.spoken.length === 0, `Spoken before any audio: ${JSON.stringify(log.spoken)}`);
+    await speech.end();
+    assert(log.spoken.length === 1, `Got ${log.spoken.length}`);
+    assert(log.spoken[0].delivered === log.delivered, `Spoken after ${log.spoken[0].delivered} of ${log.delivered} chunks`);
+  });
+
+  await test('Sentences are reported in order, each after its own audio', async () => {
+    const { speech, log } = streamChannel();
+    say(speech, 'Hello there friend.');
+    say(speech, 'How are you today?');
+    await speech.end();
+    const texts = log.spoken.map(s => s.text).join(' | ');
+    assert(texts === 'Hello there friend. | How are you today?', `Got ${texts}`);
+    assert(log.spoken[0].delivered < log.spoken[1].delivered, `Both reported after ${log.spoken[0].delivered} chunks`);
+  });
+
+  await test('An interrupted sentence is never reported spoken', async () => {
+    const controller = new AbortController();
+    const { speech, log } = streamChannel({
+      signal: controller.signal,
+      onDeliver: ({ delivered }) => { if (delivered === 2) controller.abort(); }
+    });
+    say(speech, 'Hello there friend.');
+    await speech.end();
+    speech.close();
+    assert(log.spoken.length === 0, `Got ${JSON.stringify(log.spoken)}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
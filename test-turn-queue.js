@@ -0,0 +1,158 @@
+/**
+ * TURN QUEUE TEST
+ * Run: node test-turn-queue.js
+ * Nothing said during a response is dropped: concatenate merges it into one
+ * turn, sequential answers each utterance in order, and meta rides along
+ */
+
+const { createTurnQueue, resolveQueueMode } = require('./services/turn-queue');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+// A queue whose turns stay in flight until release() is called
+function heldQueue(mode, processTurn = null) {
+  const turns = [];
+  const queued = [];
+  let release = null;
+  const queue = createTurnQueue({
+    mode,
+    onQueued: (info) => queued.push(info),
+    processTurn: processTurn || (async (text, meta) => {
+      turns.push({ text, meta });
+      await new Promise(resolve => { release = resolve; });
+    })
+  });
+  const next = async () => {
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+  };
+  return { queue, turns, queued, next };
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📥 CONCATENATE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('An idle queue runs the utterance at once', () => {
+    const { queue, turns, queued } = heldQueue('concatenate');
+    queue.enqueue('  hello there  ');
+    assert(turns.length === 1 && turns[0].text === 'hello there', `Got ${JSON.stringify(turns)}`);
+    assert(queue.isBusy() && queued.length === 0, 'Expected a busy queue with nothing queued');
+  });
+
+  await test('Everything said during a response becomes one turn, in order', async () => {
+    const { queue, turns, queued, next } = heldQueue('concatenate');
+    queue.enqueue('first');
+    queue.enqueue('I mean');
+    queue.enqueue('the second thing');
+    assert(queue.pending.length === 1, `Pending ${queue.pending.length}`);
+    assert(queued.map(q => q.pending).join(',') === '1,1' && queued.every(q => q.merged), `Queued ${JSON.stringify(queued)}`);
+    await next();
+    assert(turns.map(t => t.text).join(' | ') === 'first | I mean the second thing', `Got ${turns.map(t => t.text).join(' | ')}`);
+    await next();
+    assert(!queue.isBusy(), 'Expected the queue to be idle');
+  });
+
+  await test('A merged turn takes the meta of its latest utterance', async () => {
+    const { queue, turns, next } = heldQueue('concatenate');
+    queue.enqueue('hello', { language: 'en' });
+    queue.enqueue('tudo bem', { language: 'pt', source: 'stt' });
+    queue.enqueue('merci', { language: 'fr' });
+    await next();
+    assert(turns[0].meta.language === 'en', `First turn ${turns[0].meta.language}`);
+    assert(turns[1].meta.language === 'fr' && turns[1].meta.source === 'stt', `Merged meta ${JSON.stringify(turns[1].meta)}`);
+    await next();
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📥 SEQUENTIAL');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Each queued utterance is its own turn, in order', async () => {
+    const { queue, turns, queued, next } = heldQueue('sequential');
+    queue.enqueue('one', { language: 'en' });
+    queue.enqueue('two', { language: 'pt' });
+    queue.enqueue('three', { language: 'es' });
+    assert(queue.pending.length === 2, `Pending ${queue.pending.length}`);
+    assert(queued.map(q => q.pending).join(',') === '1,2' && queued.every(q => !q.merged), `Queued ${JSON.stringify(queued)}`);
+    await next();
+    await next();
+    assert(turns.map(t => `${t.text}:${t.meta.language}`).join(',') === 'one:en,two:pt,three:es', `Got ${JSON.stringify(turns)}`);
+    await next();
+    assert(!queue.isBusy(), 'Expected the queue to be idle');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n📥 EDGES');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Blank utterances are ignored', () => {
+    const { queue, turns } = heldQueue('concatenate');
+    queue.enqueue('   ');
+    queue.enqueue(null);
+    assert(turns.length === 0 && !queue.isBusy(), `Got ${turns.length} turns`);
+  });
+
+  await test('A failing turn does not stall the queue', async () => {
+    const texts = [];
+    let release = null;
+    const { queue } = heldQueue('sequential', async (text) => {
+      texts.push(text);
+      if (text === 'boom') {
+        await new Promise(resolve => { release = resolve; });
+        throw new Error('turn failed');
+      }
+    });
+    queue.enqueue('boom');
+    queue.enqueue('after');
+    release();
+    await new Promise(resolve => setImmediate(resolve));
+    assert(texts.join(',') === 'boom,after' && !queue.isBusy(), `Got ${texts.join(',')}`);
+  });
+
+  await test('clear() drops what was waiting', async () => {
+    const { queue, turns, next } = heldQueue('sequential');
+    queue.enqueue('one');
+    queue.enqueue('two');
+    queue.clear();
+    await next();
+    assert(turns.length === 1 && !queue.isBusy(), `Got ${turns.length} turns`);
+  });
+
+  await test('TURN_QUEUE_MODE picks the mode, concatenate by default', () => {
+    const modes = [{}, { TURN_QUEUE_MODE: 'Sequential' }, { TURN_QUEUE_MODE: 'bogus' }].map(resolveQueueMode).join(',');
+    assert(modes === 'concatenate,sequential,concatenate', `Got ${modes}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();
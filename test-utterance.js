@@ -0,0 +1,190 @@
+/**
+ * UTTERANCE TEST
+ * Run: node test-utterance.js
+ * Negation, hypotheticals and reported speech must not add weight
+ */
+
+const { analyzeMessage } = require('./services/classifier');
+const { parseUtterance, findMarkers } = require('./services/utterance');
+const { getLexicon } = require('./services/lexicon');
+const { compileMatcher } = require('./services/matcher');
+
+let passed = 0;
+let failed = 0;
+
+function test(name, fn) {
+  try {
+    fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function contextOf(text, marker, language = 'en') {
+  const lexicon = getLexicon(language);
+  const [found] = findMarkers(parseUtterance(text, lexicon), compileMatcher([marker], { inflections: lexicon.inflections }));
+  return found ? `${found.polarity}/${found.subject}` : 'missing';
+}
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔎 POLARITY');
+// ═══════════════════════════════════════════════════════════
+
+test('"I\'m scared" is affirmed', () => {
+  const context = contextOf("I'm scared", 'scared');
+  assert(context === 'affirmed/self', `Got ${context}`);
+});
+
+test('"I\'m not scared" is negated', () => {
+  const context = contextOf("I'm not scared", 'scared');
+  assert(context === 'negated/self', `Got ${context}`);
+});
+
+test('Negation stops at a clause break', () => {
+  const context = contextOf("I'm not sure, but I'm scared", 'scared');
+  assert(context === 'affirmed/self', `Got ${context}`);
+});
+
+test('A marker that carries its own negation is not flipped', () => {
+  const context = contextOf("I can't go on", "can't go on");
+  assert(context === 'affirmed/self', `Got ${context}`);
+});
+
+test('"What if" makes a marker hypothetical', () => {
+  const context = contextOf('What if I were a failure?', 'failure');
+  assert(context === 'hypothetical/self', `Got ${context}`);
+});
+
+test('A fiction cue makes the sentence hypothetical', () => {
+  const context = contextOf('In that movie the guy was terrified', 'terrified');
+  assert(context.startsWith('hypothetical'), `Got ${context}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔎 SUBJECT');
+// ═══════════════════════════════════════════════════════════
+
+test('"my friend" is someone else', () => {
+  const context = contextOf('My friend is scared', 'scared');
+  assert(context === 'affirmed/other', `Got ${context}`);
+});
+
+test('"she said" is reported speech', () => {
+  const context = contextOf("My friend said she can't go on", "can't go on");
+  assert(context === 'affirmed/reported', `Got ${context}`);
+});
+
+test('Quoted words are reported speech', () => {
+  const context = contextOf('She said "I am worthless"', 'worthless');
+  assert(context === 'affirmed/reported', `Got ${context}`);
+});
+
+test('"I told her" keeps the user as the subject', () => {
+  const context = contextOf("I told her I'm scared", 'scared');
+  assert(context === 'affirmed/self', `Got ${context}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔎 WEIGHTS');
+// ═══════════════════════════════════════════════════════════
+
+test('"I\'m not scared" is not W21', () => {
+  const result = analyzeMessage("I'm not scared");
+  assert(result.weight < 21, `Expected below W21, got W${result.weight}`);
+  assert(result.discounted.some(d => d.category === 'fear' && d.polarity === 'negated'), 'Expected a discounted fear marker');
+});
+
+test('"I don\'t hate myself anymore" is not W21', () => {
+  const result = analyzeMessage("I don't hate myself anymore");
+  assert(result.weight < 21, `Expected below W21, got W${result.weight}`);
+});
+
+test('A friend\'s crisis is not the user\'s crisis', () => {
+  const result = analyzeMessage("My friend said she can't go on");
+  assert(result.weight < 21, `Expected below W21, got W${result.weight}`);
+});
+
+test('A hedge does not negate the clause that follows it', () => {
+  for (const text of [
+    "I don't know why I want to die",
+    "I can't tell anyone I want to die",
+    "I'm not sure I want to be alive",
+    "I don't think I'm worthless"
+  ]) {
+    const result = analyzeMessage(text);
+    assert(result.weight === 21, `"${text}": expected W21, got W${result.weight}`);
+    assert(result.discounted.length === 0, `"${text}": discounted ${result.discounted.map(d => d.category).join(', ')}`);
+  }
+});
+
+test('Negation stops at a complement opener', () => {
+  const context = contextOf("I'm not saying that I'm scared", 'scared');
+  assert(context === 'affirmed/self', `Got ${context}`);
+});
+
+test('Counted markers carry polarity and subject', () => {
+  const result = analyzeMessage('I hate myself');
+  const [marker] = result.dimensions[0].markers;
+  assert(result.weight === 21, `Expected W21, got W${result.weight}`);
+  assert(marker.polarity === 'affirmed' && marker.subject === 'self', `Got ${marker.polarity}/${marker.subject}`);
+});
+
+test('"I have no friends" is still relational', () => {
+  const result = analyzeMessage('I have no friends');
+  assert(result.weight === 13, `Expected W13, got W${result.weight}`);
+});
+
+test('Someone else\'s illness is still about family', () => {
+  const result = analyzeMessage('My mom is sick');
+  assert(result.dimension === 'sociology', `Expected sociology, got ${result.dimension}`);
+  assert(!result.dimensions.some(d => d.type === 'physiology'), 'The illness is not the user\'s body');
+});
+
+test('Hypothetical resistance is not resistance', () => {
+  const result = analyzeMessage("If I didn't want to talk about it I would tell you");
+  assert(!result.hasCriticalResistance, 'Expected no critical resistance');
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🔎 OTHER LANGUAGES');
+// ═══════════════════════════════════════════════════════════
+
+test('[pt] "Não tenho medo" is negated', () => {
+  const context = contextOf('Não tenho medo', 'medo', 'pt');
+  assert(context === 'negated/self', `Got ${context}`);
+});
+
+test('[es] "No tengo miedo" is negated', () => {
+  const context = contextOf('No tengo miedo', 'miedo', 'es');
+  assert(context === 'negated/self', `Got ${context}`);
+});
+
+test('[fr] "ne ... pas" inside a marker still counts', () => {
+  const result = analyzeMessage('Je ne veux pas en parler', { language: 'fr' });
+  assert(result.hasCriticalResistance, 'Expected critical resistance');
+});
+
+test('[pt] A dropped pronoun is still the user', () => {
+  const result = analyzeMessage('Não aguento mais', { language: 'pt' });
+  assert(result.weight === 21, `Expected W21, got W${result.weight}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,251 @@
+/**
+ * VOICE LOOP TEST
+ * Run: node test-voice-loop.js
+ * Replays recorded transcripts through the STT interface, then drives the
+ * whole WebSocket voice loop offline (replay STT, stub LLM, stub TTS)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const WebSocket = require('ws');
+const { createReplaySTTProvider, loadReplayScript, alignmentToEvents } = require('./services/stt');
+
+const FIXTURE = path.join(__dirname, 'fixtures', 'stt', 'two-turns.json');
+const PORT = 3987;
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function tempFile(name, contents) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'stt-')), name);
+  fs.writeFileSync(file, contents);
+  return file;
+}
+
+// Records every callback of one replay session as [name, payload]
+function recordSession(provider) {
+  const seen = [];
+  const record = (name) => (payload) => seen.push(payload ? [name, payload] : [name]);
+  const session = provider.open({
+    onOpen: record('open'),
+    onInterim: record('interim'),
+    onFinal: record('final'),
+    onSpeechStarted: record('speech_started'),
+    onUtteranceEnd: record('utterance_end'),
+    onClose: record('close')
+  });
+  return { session, seen, names: () => seen.map(([name]) => name) };
+}
+
+// 16 kHz mono 16-bit WAV header followed by silence
+function silentWav(ms) {
+  const data = Buffer.alloc(16 * ms * 2);
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVEfmt ', 8, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(16000, 24);
+  header.writeUInt32LE(32000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+(async () => {
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🎙️  REPLAY SCRIPTS');
+// ═══════════════════════════════════════════════════════════
+
+await test('Alignment words become Deepgram-shaped events', () => {
+  const events = alignmentToEvents([
+    { word: 'não', start: 0.1, end: 0.3, language: 'pt' },
+    { word: 'aguento', start: 0.35, end: 0.7, language: 'pt' },
+    { word: 'mais', start: 0.75, end: 1.0, language: 'pt' }
+  ]);
+  const types = events.map(e => e.type).join(',');
+  assert(types === 'speech_started,interim,interim,final,utterance_end', `Got ${types}`);
+  const final = events.find(e => e.type === 'final');
+  assert(final.text === 'não aguento mais' && final.at === 1000, `Got ${JSON.stringify(final)}`);
+  assert(final.language === 'pt', `Expected pt, got ${final.language}`);
+  assert(events[events.length - 1].at === 2000, `Utterance end at ${events[events.length - 1].at}`);
+});
+
+await test('A pause of utterance_end_ms splits the words into two utterances', () => {
+  const events = alignmentToEvents([
+    { word: 'hello', start: 0, end: 0.4 },
+    { word: 'again', start: 1.6, end: 2.0 }
+  ]);
+  const finals = events.filter(e => e.type === 'final').map(e => e.text);
+  assert(JSON.stringify(finals) === '["hello","again"]', `Got ${JSON.stringify(finals)}`);
+});
+
+await test('Unknown event type is rejected at load', () => {
+  const file = tempFile('bad.json', JSON.stringify({ events: [{ at: 0, type: 'Results' }] }));
+  let error = null;
+  try { loadReplayScript(file); } catch (e) { error = e; }
+  assert(error && error.message.includes('unknown type'), `Got ${error && error.message}`);
+});
+
+await test('Final without text is rejected at load', () => {
+  const file = tempFile('bad.json', JSON.stringify({ events: [{ at: 0, type: 'final' }] }));
+  let error = null;
+  try { loadReplayScript(file); } catch (e) { error = e; }
+  assert(error && error.message.includes('needs text'), `Got ${error && error.message}`);
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🎙️  REPLAY SESSIONS');
+// ═══════════════════════════════════════════════════════════
+
+await test('Transcript replays on the wall clock with its language', async () => {
+  const file = tempFile('quick.json', JSON.stringify({
+    language: 'fr',
+    events: [
+      { at: 0, type: 'speech_started' },
+      { at: 20, type: 'interim', text: 'je' },
+      { at: 40, type: 'final', text: "je n'en peux plus" },
+      { at: 60, type: 'utterance_end' }
+    ]
+  }));
+  const { session, seen, names } = recordSession(createReplaySTTProvider({ file }));
+  assert(session.isOpen(), 'Session should be open immediately');
+  await sleep(150);
+  assert(names().join(',') === 'open,speech_started,interim,final,utterance_end', `Got ${names()}`);
+  const [, final] = seen.find(([name]) => name === 'final');
+  assert(JSON.stringify(final.languages) === '["fr"]', `Got ${JSON.stringify(final.languages)}`);
+  session.finish();
+});
+
+await test('finish() stops the replay and closes once', async () => {
+  const file = tempFile('slow.json', JSON.stringify({ events: [{ at: 100, type: 'final', text: 'too late' }] }));
+  const { session, names } = recordSession(createReplaySTTProvider({ file }));
+  session.finish();
+  session.finish();
+  await sleep(150);
+  assert(names().join(',') === 'close', `Got ${names()}`);
+  assert(!session.isOpen(), 'Session should be closed');
+});
+
+await test('WAV replay follows the audio clock', async () => {
+  const wav = tempFile('speech.wav', silentWav(2000));
+  fs.writeFileSync(wav.replace(/\.wav$/, '.json'), JSON.stringify({
+    words: [{ word: 'hi', start: 0.2, end: 0.5 }, { word: 'there', start: 0.5, end: 0.8 }]
+  }));
+  const { session, names } = recordSession(createReplaySTTProvider({ file: wav }));
+  await sleep(20);
+  assert(names().join(',') === 'open', `Nothing should fire before audio, got ${names()}`);
+  session.send(Buffer.alloc(32000 * 0.6));
+  assert(names().join(',') === 'open,speech_started,interim', `Got ${names()}`);
+  session.send(Buffer.alloc(32000 * 1.4));
+  assert(names().join(',') === 'open,speech_started,interim,final,utterance_end', `Got ${names()}`);
+  session.finish();
+});
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n🎙️  WEBSOCKET VOICE LOOP — OFFLINE');
+// ═══════════════════════════════════════════════════════════
+
+const server = spawn(process.execPath, ['server.js'], {
+  cwd: __dirname,
+  env: {
+    ...process.env,
+    PORT: String(PORT),
+    STT_PROVIDER: 'replay',
+    STT_REPLAY_FILE: FIXTURE,
+    LLM_PROVIDER: 'stub',
+    TTS_PROVIDER: 'stub',
+    TTS_CACHE: 'off',
+    WS_AUTH: 'off',
+    MRA_DISABLED_STAGES: 'atelier,conductance'
+  },
+  stdio: ['ignore', 'pipe', 'pipe']
+});
+let serverLog = '';
+server.stdout.on('data', (d) => { serverLog += d; });
+server.stderr.on('data', (d) => { serverLog += d; });
+
+await test('Server boots with replay STT', async () => {
+  for (let i = 0; i < 50; i++) {
+    try {
+      const health = await (await fetch(`http://localhost:${PORT}/health`)).json();
+      assert(health.stt === 'replay:two-turns.json', `Got stt ${health.stt}`);
+      return;
+    } catch (e) {
+      if (e.message.startsWith('Got stt')) throw e;
+      await sleep(200);
+    }
+  }
+  throw new Error(`Server never answered /health\n${serverLog}`);
+});
+
+await test('Audio in → transcripts, two spoken responses out', async () => {
+  const ws = new WebSocket(`ws://localhost:${PORT}/?persona=aline`);
+  const transcripts = [];
+  let audioBytes = 0;
+  let completed = 0;
+
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out after ${completed} responses\n${serverLog}`)), 12000);
+    ws.on('open', () => ws.send(Buffer.alloc(3200)));
+    ws.on('message', (data, isBinary) => {
+      if (isBinary) {
+        audioBytes += data.length;
+        return;
+      }
+      const msg = JSON.parse(data);
+      if (msg.type === 'transcript') transcripts.push(`${msg.isFinal ? 'final' : 'interim'}:${msg.text}`);
+      if (msg.type === 'response_complete' && ++completed === 2) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    ws.on('error', reject);
+  });
+  ws.close();
+
+  const expected = ['interim:I went to', 'final:I went to the store today', 'interim:My father', 'final:My father left us'];
+  assert(JSON.stringify(transcripts) === JSON.stringify(expected), `Got ${JSON.stringify(transcripts)}`);
+  assert(audioBytes > 0, 'Expected response audio');
+});
+
+server.kill();
+
+// ═══════════════════════════════════════════════════════════
+console.log('\n═══════════════════════════════════════════');
+console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+if (failed === 0) {
+  console.log('ALL TESTS PASSED ✓');
+} else {
+  console.log(`${failed} TEST(S) FAILED ✗`);
+}
+console.log('═══════════════════════════════════════════\n');
+
+process.exit(failed > 0 ? 1 : 0);
+
+})();
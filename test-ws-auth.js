@@ -0,0 +1,182 @@
+/**
+ * WEBSOCKET AUTH TEST
+ * Run: node test-ws-auth.js
+ * HS256 tokens, the 4401/4408 close codes, and audio frames sent before the
+ * handshake finishes being handed back for replay
+ */
+
+const { EventEmitter } = require('events');
+const {
+  authenticateConnection,
+  verifyToken,
+  signLocalToken,
+  verifyLocalToken,
+  WS_CLOSE_CODES
+} = require('./services/ws-auth');
+
+let passed = 0;
+let failed = 0;
+
+async function test(name, fn) {
+  try {
+    await fn();
+    console.log(`  ✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`  ✗ ${name}`);
+    console.log(`    → ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+const SECRET = 'test-secret';
+
+// WebSocket stand-in recording what the handshake sends and how it closes
+function fakeSocket() {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.sent = [];
+  ws.closed = null;
+  ws.send = (data) => ws.sent.push(JSON.parse(data));
+  ws.close = (code, reason) => {
+    ws.closed = { code, reason };
+    ws.readyState = 3;
+    ws.emit('close', code, reason);
+  };
+  return ws;
+}
+
+function handshake(query = '', options = {}) {
+  const ws = fakeSocket();
+  const pending = authenticateConnection(ws, { url: `/?persona=aline${query}` }, { secret: SECRET, required: true, timeoutMs: 50, ...options });
+  return { ws, pending };
+}
+
+function authMessage(token, extra = {}) {
+  return Buffer.from(JSON.stringify({ type: 'auth', token, ...extra }));
+}
+
+async function run() {
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔐 LOCAL HS256 TOKENS');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A valid token verifies to its user and session', async () => {
+    const token = signLocalToken({ userId: 'user-1', sessionId: 'session-1' }, { secret: SECRET });
+    const identity = await verifyToken(token, { secret: SECRET });
+    assert(identity?.userId === 'user-1' && identity.sessionId === 'session-1' && identity.method === 'local', `Got ${JSON.stringify(identity)}`);
+  });
+
+  await test('An expired token is rejected', () => {
+    const token = signLocalToken({ userId: 'user-1' }, { secret: SECRET, expiresIn: -10 });
+    assert(verifyLocalToken(token, SECRET) === null, 'Accepted an expired token');
+  });
+
+  await test('A token signed with another secret is rejected', () => {
+    const token = signLocalToken({ userId: 'user-1' }, { secret: 'other-secret' });
+    assert(verifyLocalToken(token, SECRET) === null, 'Accepted a foreign signature');
+  });
+
+  await test('A tampered payload is rejected', () => {
+    const [header, , signature] = signLocalToken({ userId: 'user-1' }, { secret: SECRET }).split('.');
+    const forged = Buffer.from(JSON.stringify({ iss: 'persona-io-local', sub: 'admin' })).toString('base64url');
+    assert(verifyLocalToken(`${header}.${forged}.${signature}`, SECRET) === null, 'Accepted a forged payload');
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔐 HANDSHAKE');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('A query-string token authenticates and is acknowledged', async () => {
+    const token = signLocalToken({ userId: 'user-1' }, { secret: SECRET });
+    const { ws, pending } = handshake(`&token=${token}&resume=abc`);
+    const identity = await pending;
+    assert(identity?.userId === 'user-1' && identity.resume === 'abc', `Got ${JSON.stringify(identity)}`);
+    assert(ws.sent[0]?.type === 'auth_ok' && !ws.closed, `Sent ${JSON.stringify(ws.sent)}`);
+  });
+
+  await test('A first-message token authenticates and carries its resume token', async () => {
+    const { ws, pending } = handshake();
+    ws.emit('message', authMessage(signLocalToken({ userId: 'user-2' }, { secret: SECRET }), { resume: 'xyz' }));
+    const identity = await pending;
+    assert(identity?.userId === 'user-2' && identity.resume === 'xyz', `Got ${JSON.stringify(identity)}`);
+  });
+
+  await test('A badly signed token closes with 4401', async () => {
+    const { ws, pending } = handshake();
+    ws.emit('message', authMessage(signLocalToken({ userId: 'user-1' }, { secret: 'other-secret' })));
+    const identity = await pending;
+    assert(identity === null, `Got ${JSON.stringify(identity)}`);
+    assert(ws.closed?.code === WS_CLOSE_CODES.UNAUTHENTICATED && WS_CLOSE_CODES.UNAUTHENTICATED === 4401, `Closed ${JSON.stringify(ws.closed)}`);
+    assert(ws.sent[0]?.type === 'auth_error' && ws.sent[0].code === 4401, `Sent ${JSON.stringify(ws.sent)}`);
+  });
+
+  await test('An expired query-string token closes with 4401', async () => {
+    const token = signLocalToken({ userId: 'user-1' }, { secret: SECRET, expiresIn: -10 });
+    const { ws, pending } = handshake(`&token=${token}`);
+    assert(await pending === null && ws.closed?.code === 4401, `Closed ${JSON.stringify(ws.closed)}`);
+  });
+
+  await test('No token before the timeout closes with 4408', async () => {
+    const { ws, pending } = handshake();
+    const start = Date.now();
+    const identity = await pending;
+    assert(identity === null, `Got ${JSON.stringify(identity)}`);
+    assert(ws.closed?.code === WS_CLOSE_CODES.AUTH_TIMEOUT && WS_CLOSE_CODES.AUTH_TIMEOUT === 4408, `Closed ${JSON.stringify(ws.closed)}`);
+    assert(Date.now() - start < 500, `Took ${Date.now() - start}ms`);
+  });
+
+  await test('WS_AUTH=off lets an anonymous client in', async () => {
+    const { ws, pending } = handshake('', { required: false });
+    const identity = await pending;
+    assert(identity?.userId === null && identity.method === 'anonymous' && !ws.closed, `Got ${JSON.stringify(identity)}`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n🔐 EARLY FRAMES');
+  // ═══════════════════════════════════════════════════════════
+
+  await test('Frames sent before the auth message are buffered, then replayed in order', async () => {
+    const { ws, pending } = handshake();
+    const frames = [Buffer.alloc(320, 1), Buffer.alloc(320, 2)];
+    for (const frame of frames) ws.emit('message', frame);
+    ws.emit('message', authMessage(signLocalToken({ userId: 'user-1' }, { secret: SECRET })));
+    const identity = await pending;
+    assert(identity.buffered.length === 2 && identity.buffered.every((b, i) => b === frames[i]), `Buffered ${identity.buffered.length}`);
+
+    // Replayed the way server.js does once its handlers are attached
+    const received = [];
+    ws.on('message', (data) => received.push(data));
+    for (const data of identity.buffered) ws.emit('message', data);
+    assert(received.length === 2 && received[0][0] === 1 && received[1][0] === 2, `Received ${received.map(d => d[0]).join(',')}`);
+    assert(ws.listenerCount('message') === 1, `Auth left ${ws.listenerCount('message') - 1} listener(s) behind`);
+  });
+
+  await test('Frames sent while the token is being verified are buffered too', async () => {
+    const supabase = { auth: { getUser: () => new Promise(resolve => setTimeout(() => resolve({ data: { user: { id: 'user-3' } }, error: null }), 20)) } };
+    const { ws, pending } = handshake('', { supabase });
+    ws.emit('message', authMessage('supabase-access-token'));
+    ws.emit('message', Buffer.alloc(320, 3));
+    const identity = await pending;
+    assert(identity?.userId === 'user-3' && identity.method === 'supabase', `Got ${JSON.stringify(identity)}`);
+    assert(identity.buffered.length === 1 && identity.buffered[0][0] === 3, `Buffered ${identity.buffered.length} frame(s)`);
+  });
+
+  // ═══════════════════════════════════════════════════════════
+  console.log('\n═══════════════════════════════════════════');
+  console.log(`RESULTS: ${passed} passed, ${failed} failed out of ${passed + failed} tests`);
+  if (failed === 0) {
+    console.log('ALL TESTS PASSED ✓');
+  } else {
+    console.log(`${failed} TEST(S) FAILED ✗`);
+  }
+  console.log('═══════════════════════════════════════════\n');
+
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+run();